@@ -1,90 +1,25 @@
-import React, { useState, useEffect } from 'react';
-import { Sun, Zap, Droplet, Wind, AlertTriangle, Activity, TrendingUp, Thermometer, Gauge, Battery, Cloud, MapPin, Calendar, Settings } from 'lucide-react';
-
-// Real-world solar data by location (Annual average DNI in kWh/m²/day)
-const SOLAR_DATA = {
-  'Riyadh, Saudi Arabia': { dni: 6.8, lat: 24.7, lon: 46.7, tz: 3 },
-  'Phoenix, USA': { dni: 7.2, lat: 33.4, lon: -112.1, tz: -7 },
-  'Seville, Spain': { dni: 5.9, lat: 37.4, lon: -5.9, tz: 1 },
-  'Dubai, UAE': { dni: 6.5, lat: 25.3, lon: 55.3, tz: 4 },
-  'Las Vegas, USA': { dni: 7.5, lat: 36.2, lon: -115.1, tz: -8 },
-  'Alice Springs, Australia': { dni: 7.3, lat: -23.7, lon: 133.9, tz: 9.5 },
-  'Almeria, Spain': { dni: 6.4, lat: 36.8, lon: -2.4, tz: 1 },
-  'Cairo, Egypt': { dni: 6.2, lat: 30.0, lon: 31.2, tz: 2 },
-  'Atacama, Chile': { dni: 8.5, lat: -23.6, lon: -70.4, tz: -4 },
-  'Ouarzazate, Morocco': { dni: 6.7, lat: 30.9, lon: -6.9, tz: 0 },
-  'Tucson, USA': { dni: 7.0, lat: 32.2, lon: -110.9, tz: -7 },
-  'Jodhpur, India': { dni: 6.3, lat: 26.3, lon: 73.0, tz: 5.5 },
-};
-
-// Plastic types with real pyrolysis characteristics
-const PLASTIC_TYPES = {
-  'HDPE': {
-    name: 'High-Density Polyethylene',
-    h2_yield: 168, // mmol/g - catalytic
-    carbon_yield: 0.25,
-    oil_yield: 0.15,
-    gas_yield: 0.10,
-    optimal_temp: 850,
-    color: '#3b82f6',
-    description: 'Bottles, containers',
-  },
-  'LDPE': {
-    name: 'Low-Density Polyethylene',
-    h2_yield: 175, // Higher than HDPE
-    carbon_yield: 0.22,
-    oil_yield: 0.18,
-    gas_yield: 0.12,
-    optimal_temp: 850,
-    color: '#06b6d4',
-    description: 'Bags, films',
-  },
-  'PP': {
-    name: 'Polypropylene',
-    h2_yield: 165,
-    carbon_yield: 0.26,
-    oil_yield: 0.16,
-    gas_yield: 0.11,
-    optimal_temp: 850,
-    color: '#8b5cf6',
-    description: 'Containers, textiles',
-  },
-  'PS': {
-    name: 'Polystyrene',
-    h2_yield: 95, // Lower H2, high aromatics
-    carbon_yield: 0.48, // Much higher carbon
-    oil_yield: 0.20, // Styrene-rich
-    gas_yield: 0.08,
-    optimal_temp: 900,
-    color: '#ec4899',
-    description: 'Foam, packaging',
-  },
-  'Mixed': {
-    name: 'Mixed Plastics',
-    h2_yield: 150,
-    carbon_yield: 0.30,
-    oil_yield: 0.17,
-    gas_yield: 0.10,
-    optimal_temp: 850,
-    color: '#f59e0b',
-    description: 'Municipal waste',
-  },
-};
-
-const CONSTANTS = {
-  HELIOSTAT_AREA: 115,
-  HELIOSTAT_EFFICIENCY: 0.68,
-  RECEIVER_EFFICIENCY: 0.88,
-  SALT_TEMP_HOT: 565,
-  SALT_TEMP_COLD: 290,
-  SALT_HEAT_CAPACITY: 1.55,
-  SALT_DENSITY: 1800,
-  HEAT_LOSS_PER_HOUR: 0.02,
-  PYROLYSIS_ENERGY: 450,
-  HELIOSTAT_COUNT: 2127,
-  REACTOR_CAPACITY: 500,
-  STORAGE_TANK_VOLUME: 12000,
-};
+import React, { useState, useEffect, useRef } from 'react';
+import { Sun, Zap, Droplet, Wind, AlertTriangle, Activity, TrendingUp, Thermometer, Gauge, Battery, Cloud, MapPin, Calendar, Settings, Dices, Upload } from 'lucide-react';
+import DispatchControls from './components/DispatchControls';
+import AnnualReport from './components/AnnualReport';
+import HistoryCharts from './components/HistoryCharts';
+import EconomicsPanel from './components/EconomicsPanel';
+import EmissionsPanel from './components/EmissionsPanel';
+import FeedstockEditor from './components/FeedstockEditor';
+import FeedSupplyPanel from './components/FeedSupplyPanel';
+import HeliostatField from './components/HeliostatField';
+import MaintenancePanel from './components/MaintenancePanel';
+import ScenarioComparison from './components/ScenarioComparison';
+import SweepPanel from './components/SweepPanel';
+import PlantConfigPanel from './components/PlantConfigPanel';
+import SnapshotPanel from './components/SnapshotPanel';
+import AlarmPanel from './components/AlarmPanel';
+import ProtectionPanel from './components/ProtectionPanel';
+import FaultConsole from './components/FaultConsole';
+import WindPanel from './components/WindPanel';
+import { downloadFile } from './utils/download';
+import { loadJSON, saveJSON, removeJSON } from './utils/localStore';
+import { SOLAR_DATA, PLASTIC_TYPES, createInitialState, getSolarConditions, step, parseWeatherFile, getStorageStatus, DISPATCH_STRATEGIES, buildExport, exportToCSV, exportToJSON, createEconomicInputs, simTime, carbonIntensity, SMR_INTENSITY, getPlasticData, createSupply, reactorReady as isReactorReady, pyrolysisYields, heliostatEfficiencies, createHeliostats, getHeliostatCounts, sweepGrid, DEFAULT_PLANT, createPlant, createSnapshot, restoreSnapshot, createAlarms, createAlarmSettings, followDesign, acknowledgeAlarms, getAlarmSummary, createProtection, createProtectionSettings, followDesignLimits, tripPlant, resetTrip, createWind, getClimate, dayTypeShares, DAY_TYPES, armFaultScript, stopFaults, faultScriptSetup, setupDate, faultedWeather, reactorTargetTemp, reblendFeedstocks } from './engine';
 
 const SPEED_OPTIONS = {
   'Real-time (1 day = 24 hours)': 1,
@@ -94,286 +29,409 @@ const SPEED_OPTIONS = {
   'Extreme (1 day = 10 min)': 144,
 };
 
+const FEEDSTOCKS_KEY = 'csp-pyrolysis.feedstocks';
+const PLANT_KEY = 'csp-pyrolysis.plant';
+const PLANT_PRESETS_KEY = 'csp-pyrolysis.plantPresets';
+const SNAPSHOTS_KEY = 'csp-pyrolysis.snapshots';
+const FAULT_SCRIPTS_KEY = 'csp-pyrolysis.faultScripts';
+const AUTOSAVE_KEY = 'csp-pyrolysis.autosave';
+const AUTOSAVE_ENABLED_KEY = 'csp-pyrolysis.autosaveEnabled';
+const AUTOSAVE_INTERVAL = 15000; // ms of wall-clock time
+
+// The run autosaved before the last page unload, if it can still be resumed
+const loadAutosave = () => {
+  const data = loadJSON(AUTOSAVE_KEY, null);
+  if (!data || !loadJSON(AUTOSAVE_ENABLED_KEY, true)) return null;
+  try {
+    return restoreSnapshot(data, 'Autosave');
+  } catch (err) {
+    return null;
+  }
+};
+
+// The plant design last applied, if it still validates; else the built-in one
+const loadPlant = () => {
+  try {
+    return createPlant({ ...DEFAULT_PLANT, ...loadJSON(PLANT_KEY, {}) });
+  } catch (err) {
+    return createPlant();
+  }
+};
+
 const CSPPyrolysisSimulation = () => {
-  // Location and settings
-  const [selectedLocation, setSelectedLocation] = useState('Riyadh, Saudi Arabia');
-  const [selectedPlastic, setSelectedPlastic] = useState('HDPE');
+  // Settings
   const [selectedSpeed, setSelectedSpeed] = useState('Ultra Fast (1 day = 20 min)');
-  const [currentDate, setCurrentDate] = useState(new Date(2026, 0, 15)); // Jan 15, 2026
-  
-  // Simulation state
-  const [time, setTime] = useState(0);
   const [isRunning, setIsRunning] = useState(false);
-  const [currentHour, setCurrentHour] = useState(6);
-  const [currentMinute, setCurrentMinute] = useState(0);
-  
-  // Weather state
-  const [cloudCover, setCloudCover] = useState(0); // 0-100%
-  const [windSpeed, setWindSpeed] = useState(0); // m/s
-  
-  // System state
-  const [heliostats, setHeliostats] = useState({
-    operational: CONSTANTS.HELIOSTAT_COUNT,
-    maintenance: 0,
-    cleaning_needed: 0,
-    faulty: 0
+
+  // An autosaved run resumes (paused) with the plant design it was built for
+  const [autosaved] = useState(loadAutosave);
+
+  const [plantPresets, setPlantPresets] = useState(() => loadJSON(PLANT_PRESETS_KEY, {}));
+  const [showPlantConfig, setShowPlantConfig] = useState(false);
+  useEffect(() => saveJSON(PLANT_PRESETS_KEY, plantPresets), [plantPresets]);
+
+  // Plant state, advanced by the headless engine; it carries its plant design
+  const [sim, setSim] = useState(() => (autosaved ? autosaved.state : createInitialState({
+    plant: loadPlant(),
+    feedstocks: reblendFeedstocks(loadJSON(FEEDSTOCKS_KEY, {})),
+  })));
+  const {
+    plant,
+    seed,
+    location: selectedLocation,
+    plastic: selectedPlastic,
+    tmy,
+    date: currentDate,
+    hour: currentHour,
+    minute: currentMinute,
+    heliostats,
+    reactorTemp,
+    storage,
+    pyrolysisActive,
+    dispatch,
+    dispatchTarget,
+    reactorFeedRate,
+    production,
+    dailyStats,
+  } = sim;
+
+  // Custom feedstock blends, kept across sessions
+  const [showFeedstockEditor, setShowFeedstockEditor] = useState(false);
+  useEffect(() => saveJSON(FEEDSTOCKS_KEY, sim.feedstocks), [sim.feedstocks]);
+  const saveFeedstock = (name, blend) => setSim(prev => ({ ...prev, feedstocks: { ...prev.feedstocks, [name]: blend } }));
+  const deleteFeedstock = (name) => setSim(prev => {
+    const { [name]: removed, ...feedstocks } = prev.feedstocks;
+    return { ...prev, feedstocks, plastic: prev.plastic === name ? 'Mixed' : prev.plastic };
   });
-  
-  const [reactorTemp, setReactorTemp] = useState(290);
-  const [saltHotTemp, setSaltHotTemp] = useState(420);
-  const [saltColdTemp, setSaltColdTemp] = useState(290);
-  const [pyrolysisActive, setPyrolysisActive] = useState(false);
-  
-  const [production, setProduction] = useState({
-    hydrogen: 0,
-    carbon: 0,
-    wax: 0,
-    waste: 0,
-    totalPlasticProcessed: 0,
+
+  // Seed typed by the user; the running simulation keeps its own until the
+  // next reset or new run, so editing it never changes a run part-way
+  const [nextSeed, setNextSeed] = useState(seed);
+  useEffect(() => setNextSeed(seed), [seed]);
+
+  // Fresh run at the current date with the same settings
+  const resetState = (prev, runSeed = nextSeed) => createInitialState({
+    plant: prev.plant,
+    location: prev.location,
+    plastic: prev.plastic,
+    feedstocks: prev.feedstocks,
+    date: prev.date,
+    seed: runSeed,
+    tmy: prev.tmy,
+    dispatch: prev.dispatch,
+    wasteBaseline: prev.wasteBaseline,
+    supply: createSupply(prev.supply.settings),
+    reactorSetpoint: prev.reactorSetpoint,
+    heliostats: createHeliostats(prev.heliostats.settings, prev.plant.HELIOSTAT_COUNT),
+    alarms: createAlarms(prev.alarms.settings),
+    protection: createProtection(prev.protection.settings),
+    wind: createWind(prev.wind.settings),
   });
-  
-  const [dailyStats, setDailyStats] = useState({
-    energyCollected: 0,
-    plasticProcessed: 0,
-    hydrogenProduced: 0,
-    carbonProduced: 0,
-    heatLoss: 0,
+
+  // A new plant design invalidates the running state, so the run restarts
+  const applyPlant = (config) => {
+    const design = createPlant(config);
+    saveJSON(PLANT_KEY, config);
+    setSim(prev => resetState({
+      ...prev,
+      plant: design,
+      alarms: {
+        ...prev.alarms,
+        settings: followDesign(prev.alarms.settings, createAlarmSettings(prev.plant), createAlarmSettings(design)),
+      },
+      protection: {
+        ...prev.protection,
+        settings: followDesignLimits(prev.protection.settings, createProtectionSettings(prev.plant), createProtectionSettings(design)),
+      },
+    }));
+  };
+
+  // Operator acknowledgement, stamped with the simulation clock
+  const acknowledge = (ids) => setSim(prev => ({
+    ...prev,
+    alarms: acknowledgeAlarms(prev.alarms, ids, simTime(prev.date, prev.hour, prev.minute)),
+  }));
+
+  // Training fault scripts: replayed from the setup they were written for,
+  // or against the current run with today as their first day
+  const [faultScripts, setFaultScripts] = useState(() => loadJSON(FAULT_SCRIPTS_KEY, {}));
+  useEffect(() => saveJSON(FAULT_SCRIPTS_KEY, faultScripts), [faultScripts]);
+  const deleteFaultScript = (name) => setFaultScripts(prev => {
+    const { [name]: removed, ...rest } = prev;
+    return rest;
+  });
+  const playFaultScript = (script) => setSim(prev => {
+    const { setup } = script;
+    const base = resetState(setup ? {
+      ...prev,
+      location: setup.location,
+      plastic: PLASTIC_TYPES[setup.plastic] || prev.feedstocks[setup.plastic] ? setup.plastic : prev.plastic,
+      date: setupDate(setup),
+      tmy: prev.tmy && prev.tmy.name === setup.weatherFile ? prev.tmy : null,
+    } : prev, setup ? setup.seed : nextSeed);
+    return { ...base, faults: armFaultScript(script, base.date.getTime()) };
+  });
+  const stopFaultScript = (prev) => ({
+    ...prev,
+    ...stopFaults(prev.faults, { now: simTime(prev.date, prev.hour, prev.minute), heliostats: prev.heliostats }),
   });
 
-  // Get current location data
-  const locationData = SOLAR_DATA[selectedLocation];
-  const plasticData = PLASTIC_TYPES[selectedPlastic];
-  // TIME_MULTIPLIER calculated inside loop for reactivity
+  // Saved runs: named snapshots in the browser, files, and a rolling autosave
+  const [snapshots, setSnapshots] = useState(() => loadJSON(SNAPSHOTS_KEY, {}));
+  const [showSnapshots, setShowSnapshots] = useState(false);
+  const [autosave, setAutosave] = useState(() => loadJSON(AUTOSAVE_ENABLED_KEY, true));
+  const [lastAutosave, setLastAutosave] = useState(autosaved && autosaved.savedAt);
+  const simRef = useRef(sim);
+  simRef.current = sim;
 
-  // Enhanced sun calculation with seasonal variation
-  const calculateSunParameters = (hour, minute, dayOfYear) => {
-    const hourDecimal = (hour || 0) + (minute || 0) / 60;
-    
-    // Sunrise/sunset times vary by season and latitude
-    const seasonalOffset = Math.sin(((dayOfYear || 1) - 81) / 365 * 2 * Math.PI) * 1.5; // ±1.5 hours
-    const latitudeFactor = Math.abs(locationData?.lat || 0) / 90;
-    
-    const sunrise = 6 - seasonalOffset * latitudeFactor;
-    const sunset = 18 + seasonalOffset * latitudeFactor;
-    
-    if (hourDecimal < sunrise || hourDecimal > sunset) {
-      return { elevation: 0, dni: 0, isDaytime: false };
-    }
-    
-    // Calculate elevation
-    const dayLength = sunset - sunrise;
-    const normalizedHour = (hourDecimal - sunrise) / dayLength;
-    const baseElevation = Math.sin(normalizedHour * Math.PI) * 70;
-    
-    // Latitude correction (lower latitudes = higher sun)
-    const latitudeCorrection = 1 - (Math.abs(locationData?.lat || 0) / 90) * 0.3;
-    const elevation = baseElevation * latitudeCorrection;
-    
-    // Calculate DNI based on location's annual average
-    const baseDNI = (locationData?.dni || 6.0) * 1000 / 8; // Convert kWh/m²/day to W/m² average
-    const timeOfDayFactor = Math.sin(normalizedHour * Math.PI);
-    
-    // Seasonal variation
-    const seasonalFactor = 1 + Math.sin((dayOfYear - 81) / 365 * 2 * Math.PI) * 0.3;
-    
-    // Cloud effect
-    const cloudFactor = 1 - (cloudCover / 100) * 0.7;
-    
-    const dni = baseDNI * timeOfDayFactor * seasonalFactor * cloudFactor * 1.4;
-    
-    return { 
-      elevation, 
-      dni: Math.max(0, dni), 
-      isDaytime: true,
-      sunrise,
-      sunset
-    };
+  const saveSnapshot = (name) => {
+    const next = { ...snapshots, [name]: createSnapshot(sim) };
+    if (!saveJSON(SNAPSHOTS_KEY, next)) return false;
+    setSnapshots(next);
+    return true;
   };
-
-  // Thermal power calculation
-  const calculateThermalPower = (dni) => {
-    const activeHeliostats = heliostats.operational;
-    
-    // Wind reduces efficiency
-    const windEffect = windSpeed > 10 ? 0.95 : 1.0;
-    
-    const totalArea = activeHeliostats * CONSTANTS.HELIOSTAT_AREA;
-    const opticalPower = totalArea * dni * CONSTANTS.HELIOSTAT_EFFICIENCY * windEffect;
-    const thermalPower = opticalPower * CONSTANTS.RECEIVER_EFFICIENCY;
-    return thermalPower / 1e6;
+  const deleteSnapshot = (name) => {
+    const { [name]: removed, ...rest } = snapshots;
+    saveJSON(SNAPSHOTS_KEY, rest);
+    setSnapshots(rest);
   };
 
-  // Pyrolysis calculation with selected plastic type
-  const processPyrolysis = (thermalPowerMW, deltaTime) => {
-    const requiredPowerPerKg = CONSTANTS.PYROLYSIS_ENERGY / 3600;
-    const maxPlasticRate = (thermalPowerMW * 1000) / requiredPowerPerKg;
-    const actualRate = Math.min(maxPlasticRate, CONSTANTS.REACTOR_CAPACITY);
-    
-    const plasticProcessed = actualRate * (deltaTime / 3600);
-    
-    // Use selected plastic characteristics
-    const h2_mmol = plasticProcessed * 1000 * plasticData.h2_yield;
-    const h2_kg = (h2_mmol * 2.016) / 1e6;
-    const carbon_kg = plasticProcessed * plasticData.carbon_yield;
-    const wax_kg = plasticProcessed * plasticData.oil_yield;
-    const waste_kg = plasticProcessed * plasticData.gas_yield;
-    
-    return {
-      plastic: plasticProcessed,
-      hydrogen: h2_kg,
-      carbon: carbon_kg,
-      wax: wax_kg,
-      waste: waste_kg,
-      rate: actualRate
-    };
+  // Resumes paused; blends saved since the snapshot are kept alongside its own
+  const resumeSnapshot = ({ constants, state }) => {
+    saveJSON(PLANT_KEY, constants);
+    setIsRunning(false);
+    setSim(prev => ({ ...state, feedstocks: { ...prev.feedstocks, ...state.feedstocks } }));
   };
 
-  // Random weather events
-  const updateWeather = () => {
-    // Random cloud formation
-    if (Math.random() < 0.05) { // 5% chance each update
-      setCloudCover(prev => Math.min(100, prev + Math.random() * 30));
-    } else if (cloudCover > 0) {
-      setCloudCover(prev => Math.max(0, prev - Math.random() * 15));
-    }
-    
-    // Random wind gusts
-    if (Math.random() < 0.1) {
-      setWindSpeed(Math.random() * 15);
-    } else {
-      setWindSpeed(prev => Math.max(0, prev * 0.9));
-    }
+  const changeAutosave = (enabled) => {
+    setAutosave(enabled);
+    saveJSON(AUTOSAVE_ENABLED_KEY, enabled);
+    if (!enabled) removeJSON(AUTOSAVE_KEY);
   };
 
-  // Main simulation loop
   useEffect(() => {
-    if (!isRunning) return;
-    
-    const interval = setInterval(() => {
-      setTime(t => t + 1);
-      
-      // Get current speed multiplier from selected speed
-      const speedMultiplier = SPEED_OPTIONS[selectedSpeed] || 72;
-      const minuteIncrement = speedMultiplier;
-      const newMinute = (currentMinute || 0) + minuteIncrement;
-      let newHour = currentHour;
-      let finalMinute = newMinute;
-      
-      if (newMinute >= 60) {
-        newHour = currentHour + Math.floor(newMinute / 60);
-        finalMinute = newMinute % 60;
+    if (!autosave) return;
+    let saved = null;
+    const save = () => {
+      if (simRef.current === saved) return;
+      if (saveJSON(AUTOSAVE_KEY, createSnapshot(simRef.current))) {
+        saved = simRef.current;
+        setLastAutosave(Date.now());
       }
-      
-      // Day rollover
-      if (newHour >= 24) {
-        newHour = newHour % 24;
-        setCurrentDate(prev => new Date(prev.getTime() + 86400000));
-        
-        // Reset daily stats
-        setDailyStats({
-          energyCollected: 0,
-          plasticProcessed: 0,
-          hydrogenProduced: 0,
-          carbonProduced: 0,
-          heatLoss: 0,
-        });
+    };
+    const interval = setInterval(save, AUTOSAVE_INTERVAL);
+    window.addEventListener('pagehide', save);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('pagehide', save);
+    };
+  }, [autosave]);
+
+  // Cost and price assumptions for the economics panel
+  const [economicInputs, setEconomicInputs] = useState(createEconomicInputs);
+  const elapsedHours = (simTime(currentDate, currentHour, currentMinute) - sim.startTime) / 3600000;
+
+  // Weather file (TMY/EPW) loading
+  const weatherFileInput = useRef(null);
+  const [weatherFileError, setWeatherFileError] = useState(null);
+  const loadWeatherFile = async (file) => {
+    if (!file) return;
+    try {
+      const parsed = parseWeatherFile(await file.text(), file.name);
+      setSim(prev => ({ ...prev, tmy: parsed }));
+      setWeatherFileError(null);
+    } catch (err) {
+      setWeatherFileError(err.message);
+    }
+  };
+
+  // Full-year run in a worker, off the animation loop
+  const annualWorker = useRef(null);
+  const [annualRun, setAnnualRun] = useState(null);
+  const runFullYear = () => {
+    if (annualWorker.current) annualWorker.current.terminate();
+    const worker = new Worker(new URL('./workers/annual.worker.js', import.meta.url));
+    annualWorker.current = worker;
+    setAnnualRun({ progress: 0, report: null, error: null });
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        setAnnualRun(prev => ({ ...prev, progress: data.progress }));
+        return;
       }
-      
-      setCurrentHour(newHour);
-      setCurrentMinute(finalMinute);
-      
-      // Weather updates
-      if (time % 6 === 0) { // Every 6 seconds
-        updateWeather();
+      setAnnualRun({ progress: 1, report: data.result || null, error: data.message || null });
+      worker.terminate();
+      annualWorker.current = null;
+    };
+    worker.postMessage({
+      plant,
+      location: sim.location,
+      plastic: sim.plastic,
+      feedstocks: sim.feedstocks,
+      seed: nextSeed,
+      tmy: sim.tmy,
+      dispatch: sim.dispatch,
+      wasteBaseline: sim.wasteBaseline,
+      supply: createSupply(sim.supply.settings),
+      reactorSetpoint: sim.reactorSetpoint,
+      heliostats: createHeliostats(sim.heliostats.settings, plant.HELIOSTAT_COUNT),
+      protection: createProtection(sim.protection.settings),
+      wind: createWind(sim.wind.settings),
+      year: sim.date.getFullYear(),
+    });
+  };
+  useEffect(() => () => annualWorker.current && annualWorker.current.terminate(), []);
+
+  // Scenario comparison batch in its own worker; results fill in as each finishes
+  const scenarioWorker = useRef(null);
+  const [scenarioRun, setScenarioRun] = useState(null);
+  const cancelScenarios = () => {
+    if (scenarioWorker.current) scenarioWorker.current.terminate();
+    scenarioWorker.current = null;
+    setScenarioRun(prev => prev && { ...prev, done: true });
+  };
+  const runScenarios = ({ scenarios, startDate, days }) => {
+    if (scenarioWorker.current) scenarioWorker.current.terminate();
+    const worker = new Worker(new URL('./workers/scenario.worker.js', import.meta.url));
+    scenarioWorker.current = worker;
+    setScenarioRun({ scenarios, days, progress: 0, results: [], done: false, error: null });
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        setScenarioRun(prev => ({ ...prev, progress: data.progress }));
+        return;
       }
-      
-      // Day of year for seasonal calculation
-      const dayOfYear = Math.floor((currentDate - new Date(currentDate.getFullYear(), 0, 0)) / 86400000);
-      
-      // Sun parameters
-      const { elevation, dni, isDaytime } = calculateSunParameters(newHour, finalMinute, dayOfYear);
-      
-      // Thermal power
-      const thermalPower = calculateThermalPower(dni);
-      
-      // Reactor temperature dynamics
-      setReactorTemp(prev => {
-        if (thermalPower > 5 && isDaytime) {
-          const heating = Math.min(2 * speedMultiplier / 10, thermalPower / 10);
-          return Math.min(prev + heating, plasticData.optimal_temp);
-        } else {
-          return Math.max(prev - 0.5 * speedMultiplier / 10, CONSTANTS.SALT_TEMP_COLD);
-        }
-      });
-      
-      // Salt temperatures
-      setSaltHotTemp(prev => {
-        if (thermalPower > 3 && isDaytime) {
-          return Math.min(prev + 0.8 * speedMultiplier / 10, CONSTANTS.SALT_TEMP_HOT);
-        } else {
-          return Math.max(prev - CONSTANTS.HEAT_LOSS_PER_HOUR * speedMultiplier / 60, CONSTANTS.SALT_TEMP_COLD);
-        }
-      });
-      
-      // Pyrolysis
-      const minTemp = plasticData.optimal_temp - 200;
-      const pyrolysisReady = reactorTemp > minTemp;
-      setPyrolysisActive(pyrolysisReady);
-      
-      if (pyrolysisReady && thermalPower > 2) {
-        const products = processPyrolysis(thermalPower, 60 * speedMultiplier);
-        
-        setProduction(prev => ({
-          hydrogen: prev.hydrogen + products.hydrogen,
-          carbon: prev.carbon + products.carbon,
-          wax: prev.wax + products.wax,
-          waste: prev.waste + products.waste,
-          totalPlasticProcessed: prev.totalPlasticProcessed + products.plastic
-        }));
-        
-        setDailyStats(prev => ({
-          ...prev,
-          energyCollected: prev.energyCollected + (thermalPower * speedMultiplier / 60),
-          plasticProcessed: prev.plasticProcessed + products.plastic,
-          hydrogenProduced: prev.hydrogenProduced + products.hydrogen,
-          carbonProduced: prev.carbonProduced + products.carbon,
-        }));
+      if (data.type === 'scenario') {
+        setScenarioRun(prev => {
+          const results = [...prev.results];
+          results[data.index] = data.result;
+          return { ...prev, results };
+        });
+        return;
       }
-      
-      // Heat loss
-      setDailyStats(prev => ({
-        ...prev,
-        heatLoss: prev.heatLoss + (CONSTANTS.HEAT_LOSS_PER_HOUR * (saltHotTemp - 20) * 0.01 * speedMultiplier / 60)
-      }));
-      
-      // Random heliostat issues
-      if (Math.random() < 0.0001 * speedMultiplier) {
-        setHeliostats(prev => ({
-          ...prev,
-          operational: prev.operational - 1,
-          faulty: prev.faulty + 1
-        }));
+      setScenarioRun(prev => ({ ...prev, progress: 1, done: true, error: data.message || null }));
+      worker.terminate();
+      scenarioWorker.current = null;
+    };
+    worker.postMessage({
+      plant,
+      scenarios,
+      startDate,
+      days,
+      feedstocks: sim.feedstocks,
+      seed: nextSeed,
+      dispatch: sim.dispatch,
+      wasteBaseline: sim.wasteBaseline,
+      supply: createSupply(sim.supply.settings),
+      reactorSetpoint: sim.reactorSetpoint,
+      maintenance: sim.heliostats.settings,
+      protection: createProtection(sim.protection.settings),
+      wind: createWind(sim.wind.settings),
+      economicInputs,
+    });
+  };
+  useEffect(() => () => scenarioWorker.current && scenarioWorker.current.terminate(), []);
+
+  // Plant sizing sweep, also in a worker; points arrive as each annual run finishes
+  const sweepWorker = useRef(null);
+  const [sweepRun, setSweepRun] = useState(null);
+  const cancelSweep = () => {
+    if (sweepWorker.current) sweepWorker.current.terminate();
+    sweepWorker.current = null;
+    setSweepRun(prev => prev && { ...prev, done: true });
+  };
+  const runSweep = ({ ranges, objective, location }) => {
+    if (sweepWorker.current) sweepWorker.current.terminate();
+    const worker = new Worker(new URL('./workers/sweep.worker.js', import.meta.url));
+    sweepWorker.current = worker;
+    setSweepRun({ ranges, objective, location, total: sweepGrid(ranges).length, progress: 0, points: [], done: false, error: null });
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        setSweepRun(prev => ({ ...prev, progress: data.progress }));
+        return;
       }
-      
-      if (Math.random() < 0.001 * speedMultiplier) {
-        setHeliostats(prev => ({
-          ...prev,
-          cleaning_needed: Math.min(prev.cleaning_needed + 1, prev.operational * 0.1)
-        }));
+      if (data.type === 'point') {
+        setSweepRun(prev => {
+          const points = [...prev.points];
+          points[data.index] = data.point;
+          return { ...prev, points };
+        });
+        return;
       }
-      
+      setSweepRun(prev => ({ ...prev, progress: 1, done: true, error: data.message || null }));
+      worker.terminate();
+      sweepWorker.current = null;
+    };
+    worker.postMessage({
+      plant,
+      ranges,
+      objective,
+      location,
+      plastic: sim.plastic,
+      feedstocks: sim.feedstocks,
+      seed: nextSeed,
+      dispatch: sim.dispatch,
+      wasteBaseline: sim.wasteBaseline,
+      supply: createSupply(sim.supply.settings),
+      reactorSetpoint: sim.reactorSetpoint,
+      maintenance: sim.heliostats.settings,
+      protection: createProtection(sim.protection.settings),
+      wind: createWind(sim.wind.settings),
+      economicInputs,
+      year: sim.date.getFullYear(),
+    });
+  };
+  useEffect(() => () => sweepWorker.current && sweepWorker.current.terminate(), []);
+
+  // Results export
+  const exportResults = (format) => {
+    const data = buildExport(sim, { speed: selectedSpeed });
+    const slug = data.header.location.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const fileName = `csp-pyrolysis-${slug}-${data.header.dateRange.end.slice(0, 10)}.${format}`;
+    if (format === 'csv') downloadFile(fileName, exportToCSV(data), 'text/csv');
+    else downloadFile(fileName, exportToJSON(data), 'application/json');
+  };
+
+  // Get current location data
+  const locationData = SOLAR_DATA[selectedLocation];
+  const climate = getClimate(selectedLocation);
+  const currentMonth = currentDate.getMonth();
+  const climateShares = dayTypeShares(climate, currentMonth);
+  const { cloudCover, windSpeed, ambientTemp } = faultedWeather(sim.weather, sim.faults);
+  const skyLabel = sim.weather.dust > 0.05 ? 'Sandstorm' : !tmy && sim.weather.dayType ? DAY_TYPES[sim.weather.dayType].name : null;
+  const plasticData = getPlasticData(sim);
+
+  // Main simulation loop: each 100 ms tick advances SPEED_OPTIONS minutes
+  useEffect(() => {
+    if (!isRunning) return;
+
+    const speedMultiplier = SPEED_OPTIONS[selectedSpeed] || 72;
+    const interval = setInterval(() => {
+      setSim(prev => step(prev, 60 * speedMultiplier));
     }, 100);
-    
+
     return () => clearInterval(interval);
-  }, [isRunning, time, currentHour, currentMinute, reactorTemp, saltHotTemp, cloudCover, windSpeed, currentDate, selectedPlastic, selectedSpeed]);
-  
-  const dayOfYear = Math.floor((currentDate - new Date(currentDate.getFullYear(), 0, 0)) / 86400000);
-  const { elevation, dni, isDaytime, sunrise, sunset } = calculateSunParameters(currentHour + currentMinute/60, 0, dayOfYear);
-  const thermalPower = calculateThermalPower(dni);
+  }, [isRunning, selectedSpeed]);
+
+  const { elevation, azimuth, dni, isDaytime, sunrise, sunset, thermalPower, receiverLoss, fieldEfficiency, cleanliness } = getSolarConditions(sim);
+  const mirrorEfficiencies = heliostatEfficiencies({ azimuth, elevation }, plant);
+  const heliostatCounts = getHeliostatCounts(heliostats);
+  const opticalEfficiency = fieldEfficiency * plant.MIRROR_REFLECTIVITY * cleanliness * (heliostatCounts.operational / plant.HELIOSTAT_COUNT);
   
   // Tank levels
+  const { hotTemp: saltHotTemp, coldTemp: saltColdTemp } = storage;
+  const storageStatus = getStorageStatus(storage, plant);
+  const reactorReady = isReactorReady(plasticData, reactorTemp);
+  const reactorSetpoint = sim.reactorSetpoint === null ? plasticData.optimal_temp : sim.reactorSetpoint;
+  const reactorTarget = reactorTargetTemp(sim, plasticData);
+  const reactorYields = pyrolysisYields(plasticData, reactorTemp, reactorFeedRate || plant.REACTOR_CAPACITY, plant);
+  const reactorStatus = sim.protection.status === 'tripped' ? 'TRIPPED'
+    : pyrolysisActive ? 'Pyrolysis Active'
+      : sim.protection.status === 'restarting' ? 'Restarting...'
+        : reactorReady ? 'Standby' : 'Heating...';
   const h2TankLevel = Math.min((production.hydrogen / 100) * 100, 100);
   const carbonTankLevel = Math.min((production.carbon / 500) * 100, 100);
+  const alarmSummary = getAlarmSummary(sim.alarms);
+  const latestAlarm = sim.alarms.log.filter(entry => entry.acknowledged === null).pop();
+  const dailyIntensity = carbonIntensity(dailyStats.hydrogenProduced, dailyStats.co2Emitted, dailyStats.co2Avoided);
   
   return (
     <div style={{
@@ -384,7 +442,13 @@ const CSPPyrolysisSimulation = () => {
       padding: '2rem',
       position: 'relative',
       overflow: 'hidden'
-    }}>
+    }}
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={(e) => {
+        e.preventDefault();
+        loadWeatherFile(e.dataTransfer.files[0]);
+      }}
+    >
       {/* Background effects */}
       <div style={{
         position: 'absolute',
@@ -482,7 +546,10 @@ const CSPPyrolysisSimulation = () => {
               </div>
               <select
                 value={selectedLocation}
-                onChange={(e) => setSelectedLocation(e.target.value)}
+                onChange={(e) => {
+                  const location = e.target.value;
+                  setSim(prev => ({ ...prev, location }));
+                }}
                 style={{
                   background: 'rgba(0,0,0,0.3)',
                   border: '1px solid rgba(255,255,255,0.2)',
@@ -499,8 +566,14 @@ const CSPPyrolysisSimulation = () => {
                 ))}
               </select>
               <div style={{ fontSize: '0.7rem', color: '#6b7280', marginTop: '0.25rem' }}>
-                DNI: {locationData.dni} kWh/m²/day
+                {tmy ? 'Overridden by weather file' : `DNI: ${locationData.dni} kWh/m²/day`}
               </div>
+              {!tmy && (
+                <div style={{ fontSize: '0.7rem', color: '#6b7280' }}>
+                  {currentDate.toLocaleString('en', { month: 'short' })}: {(climateShares.clear * 100).toFixed(0)}% clear, {(climateShares.overcast * 100).toFixed(0)}% overcast days
+                  · {climate.temp[currentMonth]}°C{climate.dustDays[currentMonth] > 0 ? ` · ${climate.dustDays[currentMonth]} sandstorm days` : ''}
+                </div>
+              )}
             </div>
             
             {/* Plastic type selector */}
@@ -520,7 +593,10 @@ const CSPPyrolysisSimulation = () => {
               </div>
               <select
                 value={selectedPlastic}
-                onChange={(e) => setSelectedPlastic(e.target.value)}
+                onChange={(e) => {
+                  const plastic = e.target.value;
+                  setSim(prev => ({ ...prev, plastic }));
+                }}
                 style={{
                   background: 'rgba(0,0,0,0.3)',
                   border: '1px solid rgba(255,255,255,0.2)',
@@ -537,10 +613,112 @@ const CSPPyrolysisSimulation = () => {
                     {type} - {PLASTIC_TYPES[type].name}
                   </option>
                 ))}
+                {Object.keys(sim.feedstocks).length > 0 && (
+                  <optgroup label="Custom blends">
+                    {Object.keys(sim.feedstocks).map(name => (
+                      <option key={name} value={name}>{name}</option>
+                    ))}
+                  </optgroup>
+                )}
               </select>
               <div style={{ fontSize: '0.7rem', color: '#6b7280', marginTop: '0.25rem' }}>
                 {plasticData.description}
               </div>
+              <button
+                onClick={() => setShowFeedstockEditor(show => !show)}
+                style={{
+                  background: 'transparent',
+                  border: 'none',
+                  color: '#f59e0b',
+                  fontSize: '0.7rem',
+                  padding: 0,
+                  marginTop: '0.25rem',
+                  cursor: 'pointer'
+                }}
+              >
+                ✎ Edit blends
+              </button>
+            </div>
+            
+            {/* Random seed */}
+            <div style={{
+              background: 'rgba(15,23,42,0.8)',
+              backdropFilter: 'blur(10px)',
+              border: '1px solid rgba(255,255,255,0.1)',
+              borderRadius: '12px',
+              padding: '0.75rem',
+              minWidth: '120px',
+              maxWidth: '160px',
+              flex: '1 1 auto'
+            }}>
+              <div style={{ fontSize: '0.8rem', color: '#8b95a5', marginBottom: '0.5rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                <Dices size={14} />
+                Seed
+              </div>
+              <input
+                type="text"
+                value={nextSeed}
+                onChange={(e) => setNextSeed(e.target.value)}
+                style={{
+                  background: 'rgba(0,0,0,0.3)',
+                  border: '1px solid rgba(255,255,255,0.2)',
+                  borderRadius: '6px',
+                  color: '#e0e6ed',
+                  padding: '0.5rem',
+                  fontSize: 'clamp(0.75rem, 2vw, 0.9rem)',
+                  width: '100%'
+                }}
+              />
+              <div style={{ fontSize: '0.7rem', color: '#6b7280', marginTop: '0.25rem' }}>
+                {String(nextSeed) === String(seed) ? 'RESET replays this seed' : 'Applies on RESET'}
+              </div>
+            </div>
+            
+            {/* Weather file */}
+            <div style={{
+              background: 'rgba(15,23,42,0.8)',
+              backdropFilter: 'blur(10px)',
+              border: `1px solid ${tmy ? 'rgba(0,180,255,0.4)' : 'rgba(255,255,255,0.1)'}`,
+              borderRadius: '12px',
+              padding: '0.75rem',
+              minWidth: '160px',
+              maxWidth: '220px',
+              flex: '1 1 auto'
+            }}>
+              <div style={{ fontSize: '0.8rem', color: '#8b95a5', marginBottom: '0.5rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                <Upload size={14} />
+                Weather File
+              </div>
+              <input
+                ref={weatherFileInput}
+                type="file"
+                accept=".epw,.csv"
+                style={{ display: 'none' }}
+                onChange={(e) => {
+                  loadWeatherFile(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+              <button
+                onClick={() => (tmy ? setSim(prev => ({ ...prev, tmy: null })) : weatherFileInput.current.click())}
+                style={{
+                  background: 'rgba(0,0,0,0.3)',
+                  border: '1px solid rgba(255,255,255,0.2)',
+                  borderRadius: '6px',
+                  color: '#e0e6ed',
+                  padding: '0.5rem',
+                  fontSize: 'clamp(0.75rem, 2vw, 0.9rem)',
+                  cursor: 'pointer',
+                  width: '100%'
+                }}
+              >
+                {tmy ? '✕ Use synthetic weather' : 'Load TMY / EPW…'}
+              </button>
+              <div style={{ fontSize: '0.7rem', color: weatherFileError ? '#ef4444' : '#6b7280', marginTop: '0.25rem', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                {weatherFileError || (tmy
+                  ? `${tmy.name} · ${tmy.annualDni.toFixed(1)} kWh/m²/day`
+                  : 'or drop a file on the page')}
+              </div>
             </div>
             
             {/* Date and time */}
@@ -563,10 +741,49 @@ const CSPPyrolysisSimulation = () => {
                 {String(currentHour || 0).padStart(2, '0')}:{String(Math.floor(currentMinute || 0)).padStart(2, '0')}
               </div>
               <div style={{ fontSize: '0.65rem', color: '#8b95a5', marginTop: '0.25rem' }}>
-                {isDaytime ? `☀️ ${(sunrise || 6).toFixed(1)}-${(sunset || 18).toFixed(1)}` : '🌙'}
+                {isDaytime ? `☀️ ${sunrise.toFixed(1)}-${sunset.toFixed(1)}` : '🌙'}
               </div>
             </div>
           </div>
+          
+          {showFeedstockEditor && (
+            <FeedstockEditor
+              feedstocks={sim.feedstocks}
+              selected={selectedPlastic}
+              onSave={saveFeedstock}
+              onDelete={deleteFeedstock}
+              onSelect={(plastic) => setSim(prev => ({ ...prev, plastic }))}
+              onClose={() => setShowFeedstockEditor(false)}
+            />
+          )}
+
+          {showPlantConfig && (
+            <PlantConfigPanel
+              config={plant}
+              presets={plantPresets}
+              onApply={applyPlant}
+              onSavePreset={(name, values) => setPlantPresets(prev => ({ ...prev, [name]: values }))}
+              onDeletePreset={(name) => setPlantPresets(prev => {
+                const { [name]: removed, ...rest } = prev;
+                return rest;
+              })}
+              onClose={() => setShowPlantConfig(false)}
+            />
+          )}
+
+          {showSnapshots && (
+            <SnapshotPanel
+              state={sim}
+              snapshots={snapshots}
+              autosave={autosave}
+              lastAutosave={lastAutosave}
+              onSave={saveSnapshot}
+              onRestore={resumeSnapshot}
+              onDelete={deleteSnapshot}
+              onAutosaveChange={changeAutosave}
+              onClose={() => setShowSnapshots(false)}
+            />
+          )}
         </div>
         
         {/* START/STOP Controls - Moved to top for better mobile UX */}
@@ -596,30 +813,7 @@ const CSPPyrolysisSimulation = () => {
           </button>
           
           <button
-            onClick={() => {
-              setTime(0);
-              setCurrentHour(6);
-              setCurrentMinute(0);
-              setReactorTemp(290);
-              setSaltHotTemp(420);
-              setSaltColdTemp(290);
-              setCloudCover(0);
-              setWindSpeed(0);
-              setProduction({
-                hydrogen: 0,
-                carbon: 0,
-                wax: 0,
-                waste: 0,
-                totalPlasticProcessed: 0
-              });
-              setDailyStats({
-                energyCollected: 0,
-                plasticProcessed: 0,
-                hydrogenProduced: 0,
-                carbonProduced: 0,
-                heatLoss: 0
-              });
-            }}
+            onClick={() => setSim(resetState)}
             style={{
               background: 'rgba(59,130,246,0.2)',
               border: '2px solid rgba(59,130,246,0.5)',
@@ -635,9 +829,122 @@ const CSPPyrolysisSimulation = () => {
           >
             ↻ RESET
           </button>
+          
+          <button
+            onClick={runFullYear}
+            disabled={annualRun && !annualRun.report && !annualRun.error}
+            style={{
+              background: 'rgba(192,132,252,0.2)',
+              border: '2px solid rgba(192,132,252,0.5)',
+              color: '#c084fc',
+              padding: '0.75rem 2rem',
+              borderRadius: '8px',
+              fontSize: 'clamp(0.9rem, 2.5vw, 1rem)',
+              fontWeight: 600,
+              cursor: 'pointer',
+              transition: 'all 0.3s',
+              minWidth: '120px'
+            }}
+          >
+            📅 RUN FULL YEAR
+          </button>
+
+          <button
+            onClick={() => setShowPlantConfig(show => !show)}
+            style={{
+              background: 'rgba(148,163,184,0.15)',
+              border: '2px solid rgba(148,163,184,0.5)',
+              color: '#cbd5e1',
+              padding: '0.75rem 2rem',
+              borderRadius: '8px',
+              fontSize: 'clamp(0.9rem, 2.5vw, 1rem)',
+              fontWeight: 600,
+              cursor: 'pointer',
+              transition: 'all 0.3s',
+              minWidth: '120px'
+            }}
+          >
+            ⚙ PLANT
+          </button>
+
+          <button
+            onClick={() => setShowSnapshots(show => !show)}
+            style={{
+              background: 'rgba(0,180,255,0.15)',
+              border: '2px solid rgba(0,180,255,0.5)',
+              color: '#00b4ff',
+              padding: '0.75rem 2rem',
+              borderRadius: '8px',
+              fontSize: 'clamp(0.9rem, 2.5vw, 1rem)',
+              fontWeight: 600,
+              cursor: 'pointer',
+              transition: 'all 0.3s',
+              minWidth: '120px'
+            }}
+          >
+            💾 SAVED RUNS
+          </button>
+          
+          {['csv', 'json'].map(format => (
+            <button
+              key={format}
+              onClick={() => exportResults(format)}
+              style={{
+                background: 'rgba(251,191,36,0.15)',
+                border: '2px solid rgba(251,191,36,0.4)',
+                color: '#fbbf24',
+                padding: '0.75rem 1.25rem',
+                borderRadius: '8px',
+                fontSize: 'clamp(0.9rem, 2.5vw, 1rem)',
+                fontWeight: 600,
+                cursor: 'pointer',
+                transition: 'all 0.3s'
+              }}
+            >
+              ⬇ {format.toUpperCase()}
+            </button>
+          ))}
         </div>
       </div>
       
+      {/* Unacknowledged alarms */}
+      {alarmSummary.unacknowledged > 0 && (
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.75rem',
+          flexWrap: 'wrap',
+          marginBottom: '1rem',
+          padding: '0.75rem 1rem',
+          background: alarmSummary.critical > 0 ? 'rgba(239,68,68,0.15)' : 'rgba(251,191,36,0.1)',
+          border: `1px solid ${alarmSummary.critical > 0 ? 'rgba(239,68,68,0.5)' : 'rgba(251,191,36,0.4)'}`,
+          borderRadius: '10px',
+          color: alarmSummary.critical > 0 ? '#ef4444' : '#fbbf24',
+          position: 'relative',
+          zIndex: 1
+        }}>
+          <AlertTriangle size={20} />
+          <span style={{ fontWeight: 600 }}>
+            {alarmSummary.unacknowledged} unacknowledged alarm{alarmSummary.unacknowledged === 1 ? '' : 's'}
+          </span>
+          <span style={{ color: '#e0e6ed', fontSize: '0.9rem' }}>Latest: {latestAlarm.message}</span>
+          <button
+            onClick={() => acknowledge(sim.alarms.log.filter(entry => entry.acknowledged === null).map(entry => entry.id))}
+            style={{
+              marginLeft: 'auto',
+              background: 'transparent',
+              border: '1px solid currentColor',
+              color: 'inherit',
+              padding: '0.3rem 0.75rem',
+              borderRadius: '6px',
+              cursor: 'pointer'
+            }}
+          >
+            Acknowledge all
+          </button>
+        </div>
+      )}
+
       {/* Top metrics */}
       <div style={{ 
         display: 'grid', 
@@ -653,15 +960,15 @@ const CSPPyrolysisSimulation = () => {
           value={dni.toFixed(0)}
           unit="W/m²"
           color="#ff8800"
-          subtitle={`Elevation: ${elevation.toFixed(1)}°`}
+          subtitle={`Elevation: ${elevation.toFixed(1)}° | Azimuth: ${azimuth.toFixed(0)}°`}
         />
         <MetricCard 
-          icon={cloudCover > 30 ? <Cloud size={24} /> : <Sun size={24} />}
+          icon={sim.wind.status !== 'tracking' ? <Wind size={24} /> : cloudCover > 30 ? <Cloud size={24} /> : <Sun size={24} />}
           title="Weather"
           value={cloudCover.toFixed(0)}
           unit="% clouds"
           color={cloudCover > 50 ? "#6b7280" : "#fbbf24"}
-          subtitle={`Wind: ${windSpeed.toFixed(1)} m/s`}
+          subtitle={`${skyLabel ? `${skyLabel} | ` : ''}Wind: ${windSpeed.toFixed(1)} m/s${sim.wind.status === 'tracking' ? '' : ` (field ${sim.wind.status})`} | ${ambientTemp.toFixed(0)}°C`}
         />
         <MetricCard 
           icon={<Zap size={24} />}
@@ -669,15 +976,15 @@ const CSPPyrolysisSimulation = () => {
           value={thermalPower.toFixed(2)}
           unit="MW"
           color="#00b4ff"
-          subtitle={`${heliostats.operational} heliostats active`}
+          subtitle={`${heliostatCounts.operational} heliostats active${receiverLoss > 0 ? ` | ${receiverLoss.toFixed(1)} MW receiver loss` : ''}`}
         />
         <MetricCard 
           icon={<Thermometer size={24} />}
           title="Reactor Temp"
           value={reactorTemp.toFixed(0)}
           unit="°C"
-          color={reactorTemp > plasticData.optimal_temp - 200 ? "#4ade80" : "#fbbf24"}
-          subtitle={pyrolysisActive ? "Pyrolysis Active" : "Heating..."}
+          color={reactorReady ? "#4ade80" : "#fbbf24"}
+          subtitle={reactorStatus}
         />
         <MetricCard 
           icon={<Activity size={24} />}
@@ -726,52 +1033,30 @@ const CSPPyrolysisSimulation = () => {
             marginBottom: '1.5rem',
             border: '1px solid rgba(255,136,0,0.2)'
           }}>
-            <div style={{
-              display: 'grid',
-              gridTemplateColumns: 'repeat(20, 1fr)',
-              gap: '3px',
-              marginBottom: '1rem'
-            }}>
-              {Array.from({ length: 200 }).map((_, i) => {
-                const isOperational = i < (heliostats.operational / CONSTANTS.HELIOSTAT_COUNT) * 200;
-                const needsCleaning = Math.random() < (heliostats.cleaning_needed / CONSTANTS.HELIOSTAT_COUNT);
-                const isFaulty = i >= (heliostats.operational / CONSTANTS.HELIOSTAT_COUNT) * 200;
-                
-                let color = 'rgba(255,136,0,0.8)';
-                if (isFaulty) color = 'rgba(239,68,68,0.6)';
-                else if (needsCleaning) color = 'rgba(251,191,36,0.6)';
-                else if (dni < 200) color = 'rgba(255,136,0,0.3)';
-                
-                return (
-                  <div
-                    key={i}
-                    style={{
-                      width: '100%',
-                      paddingBottom: '100%',
-                      background: color,
-                      borderRadius: '2px',
-                      transition: 'all 0.3s',
-                      boxShadow: isOperational && dni > 500 ? '0 0 4px rgba(255,136,0,0.6)' : 'none'
-                    }}
-                  />
-                );
-              })}
+            <div style={{ marginBottom: '1rem' }}>
+              <HeliostatField
+                plant={plant}
+                efficiencies={mirrorEfficiencies}
+                heliostats={heliostats}
+                wind={sim.wind}
+              />
             </div>
             <div style={{ fontSize: '0.75rem', color: '#8b95a5', textAlign: 'center' }}>
-              {CONSTANTS.HELIOSTAT_COUNT} Heliostat Mirrors ({(CONSTANTS.HELIOSTAT_COUNT * CONSTANTS.HELIOSTAT_AREA / 10000).toFixed(1)} hectares)
+              {plant.HELIOSTAT_COUNT} Heliostat Mirrors ({(plant.HELIOSTAT_COUNT * plant.HELIOSTAT_AREA / 10000).toFixed(1)} hectares)
             </div>
           </div>
           
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
-            <StatBox label="Operational" value={heliostats.operational} color="#4ade80" />
-            <StatBox label="Maintenance" value={heliostats.maintenance} color="#fbbf24" />
-            <StatBox label="Needs Cleaning" value={heliostats.cleaning_needed} color="#fb923c" />
-            <StatBox label="Faulty" value={heliostats.faulty} color="#ef4444" />
+            <StatBox label="Operational" value={heliostatCounts.operational} color="#4ade80" />
+            <StatBox label="Maintenance" value={heliostatCounts.maintenance} color="#fbbf24" />
+            <StatBox label="Needs Cleaning" value={heliostatCounts.cleaning_needed} color="#fb923c" />
+            <StatBox label="Faulty" value={heliostatCounts.faulty} color="#ef4444" />
           </div>
           
           <div style={{ marginTop: '1.5rem' }}>
             <div style={{ fontSize: '0.85rem', color: '#8b95a5', marginBottom: '0.5rem' }}>
-              Field Efficiency: {((heliostats.operational / CONSTANTS.HELIOSTAT_COUNT) * 100).toFixed(1)}%
+              Field Efficiency: {(opticalEfficiency * 100).toFixed(1)}%
+              <span style={{ fontSize: '0.7rem', color: '#6b7280' }}> (optical × reflectivity × cleanliness × availability)</span>
             </div>
             <div style={{
               height: '8px',
@@ -781,7 +1066,7 @@ const CSPPyrolysisSimulation = () => {
             }}>
               <div style={{
                 height: '100%',
-                width: `${(heliostats.operational / CONSTANTS.HELIOSTAT_COUNT) * 100}%`,
+                width: `${opticalEfficiency * 100}%`,
                 background: 'linear-gradient(90deg, #ff8800, #ffb347)',
                 transition: 'width 0.5s'
               }} />
@@ -810,63 +1095,44 @@ const CSPPyrolysisSimulation = () => {
             Thermal Transfer System
           </h3>
           
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem', marginBottom: '1.5rem' }}>
+            <SaltTank
+              label="Hot Tank (Solar Salt)"
+              temp={saltHotTemp}
+              level={storageStatus.hotLevel * 100}
+              mass={storage.hotMass}
+              color="#ff8800"
+              fill="rgba(255,68,0,0.7)"
+              alert={'hotTankHigh' in sim.alarms.active}
+              note={`Max: ${plant.SALT_TEMP_HOT}°C`}
+            />
+            <SaltTank
+              label="Cold Tank"
+              temp={saltColdTemp}
+              level={storageStatus.coldLevel * 100}
+              mass={storage.coldMass}
+              color="#3b82f6"
+              fill="rgba(59,130,246,0.6)"
+              note={`Heat tracing ${sim.protection.heaterPower > 0 ? `on, ${(sim.protection.heaterPower * 1000).toFixed(0)} kW` : 'standby'} · ${sim.protection.settings.traceSetpoint}°C`}
+            />
+          </div>
+          
           <div style={{ marginBottom: '1.5rem' }}>
             <div style={{ fontSize: '0.85rem', color: '#8b95a5', marginBottom: '0.5rem' }}>
-              Hot Tank (Solar Salt)
+              Stored Energy: {storageStatus.storedMWh.toFixed(0)} / {storageStatus.capacityMWh.toFixed(0)} MWh
             </div>
             <div style={{
-              background: 'rgba(0,0,0,0.3)',
-              borderRadius: '8px',
-              padding: '1rem',
-              border: `2px solid ${saltHotTemp > 500 ? 'rgba(239,68,68,0.5)' : 'rgba(255,136,0,0.3)'}`,
-              position: 'relative',
-              height: '120px',
-              display: 'flex',
-              flexDirection: 'column',
-              justifyContent: 'flex-end',
+              height: '8px',
+              background: 'rgba(255,255,255,0.1)',
+              borderRadius: '4px',
               overflow: 'hidden'
             }}>
               <div style={{
-                position: 'absolute',
-                bottom: 0,
-                left: 0,
-                right: 0,
-                height: '70%',
-                background: `linear-gradient(180deg, 
-                  rgba(255,136,0,0.3) 0%, 
-                  rgba(255,136,0,0.6) 50%, 
-                  rgba(255,68,0,0.8) 100%)`,
-                borderRadius: '0 0 6px 6px',
-                animation: 'liquidWave 3s ease-in-out infinite'
+                height: '100%',
+                width: `${(storageStatus.storedMWh / storageStatus.capacityMWh) * 100}%`,
+                background: 'linear-gradient(90deg, #3b82f6, #ff8800)',
+                transition: 'width 0.5s'
               }} />
-              <div style={{ position: 'relative', zIndex: 1, textAlign: 'center' }}>
-                <div style={{ fontSize: '1.8rem', fontWeight: 700, color: '#ff8800' }}>
-                  {saltHotTemp.toFixed(0)}°C
-                </div>
-                <div style={{ fontSize: '0.75rem', color: '#8b95a5' }}>
-                  Max: {CONSTANTS.SALT_TEMP_HOT}°C
-                </div>
-              </div>
-            </div>
-          </div>
-          
-          <div style={{ marginBottom: '1.5rem' }}>
-            <div style={{ fontSize: '0.85rem', color: '#8b95a5', marginBottom: '0.5rem' }}>
-              Cold Tank
-            </div>
-            <div style={{
-              background: 'rgba(0,0,0,0.3)',
-              borderRadius: '8px',
-              padding: '1rem',
-              border: '2px solid rgba(59,130,246,0.3)',
-              textAlign: 'center'
-            }}>
-              <div style={{ fontSize: '1.5rem', fontWeight: 700, color: '#3b82f6' }}>
-                {saltColdTemp.toFixed(0)}°C
-              </div>
-              <div style={{ fontSize: '0.75rem', color: '#8b95a5' }}>
-                Crystallization: {CONSTANTS.SALT_TEMP_COLD}°C
-              </div>
             </div>
           </div>
           
@@ -879,8 +1145,23 @@ const CSPPyrolysisSimulation = () => {
             <div style={{ fontSize: '0.85rem', color: '#8b95a5', marginBottom: '0.5rem' }}>
               Heat Transfer Rate
             </div>
-            <div style={{ fontSize: '1.3rem', fontWeight: 700, color: '#00b4ff' }}>
-              {((saltHotTemp - saltColdTemp) * CONSTANTS.SALT_HEAT_CAPACITY * 10).toFixed(1)} kW
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
+              <div>
+                <div style={{ fontSize: '1.3rem', fontWeight: 700, color: '#ff8800' }}>
+                  {storage.chargePower.toFixed(1)} MW
+                </div>
+                <div style={{ fontSize: '0.7rem', color: '#8b95a5' }}>
+                  Receiver → hot tank{storage.dumpedPower > 0.1 ? ` (${storage.dumpedPower.toFixed(1)} MW dumped)` : ''}
+                </div>
+              </div>
+              <div>
+                <div style={{ fontSize: '1.3rem', fontWeight: 700, color: '#00b4ff' }}>
+                  {(storage.dischargePower * 1000).toFixed(1)} kW
+                </div>
+                <div style={{ fontSize: '0.7rem', color: '#8b95a5' }}>
+                  Hot tank → reactor
+                </div>
+              </div>
             </div>
           </div>
         </div>
@@ -916,7 +1197,7 @@ const CSPPyrolysisSimulation = () => {
             textAlign: 'center'
           }}>
             <div style={{ fontSize: '0.85rem', color: plasticData.color, fontWeight: 600 }}>
-              {selectedPlastic} - {plasticData.name}
+              {selectedPlastic}{plasticData.name !== selectedPlastic && ` - ${plasticData.name}`}
             </div>
             <div style={{ fontSize: '0.7rem', color: '#8b95a5', marginTop: '0.25rem' }}>
               H₂: {plasticData.h2_yield} mmol/g | Optimal: {plasticData.optimal_temp}°C
@@ -937,13 +1218,72 @@ const CSPPyrolysisSimulation = () => {
               fontWeight: 600,
               marginBottom: '0.5rem'
             }}>
-              {pyrolysisActive ? '✓ PROCESS ACTIVE' : '⏸ HEATING'}
+              {pyrolysisActive ? '✓ PROCESS ACTIVE' : reactorReady ? '⏸ STANDBY' : '⏸ HEATING'}
             </div>
             <div style={{ fontSize: '0.75rem', color: '#8b95a5' }}>
-              Reactor: {reactorTemp.toFixed(0)}°C / {plasticData.optimal_temp}°C
+              Reactor: {reactorTemp.toFixed(0)}°C / {reactorSetpoint}°C setpoint
+              {reactorTarget < reactorSetpoint && ` (held to ${reactorTarget.toFixed(0)}°C by the ${reactorTarget === storage.hotTemp ? 'hot salt' : 'trip limit'})`}
+            </div>
+          </div>
+          
+          <div style={{
+            background: 'rgba(0,0,0,0.3)',
+            border: '1px solid rgba(16,185,129,0.3)',
+            borderRadius: '8px',
+            padding: '0.75rem',
+            marginBottom: '1rem'
+          }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.85rem', color: '#8b95a5', marginBottom: '0.25rem' }}>
+              <span>Temperature Setpoint</span>
+              <button
+                onClick={() => setSim(prev => ({ ...prev, reactorSetpoint: null }))}
+                disabled={sim.reactorSetpoint === null}
+                style={{
+                  background: 'transparent',
+                  border: 'none',
+                  color: sim.reactorSetpoint === null ? '#6b7280' : '#10b981',
+                  fontSize: '0.7rem',
+                  cursor: 'pointer'
+                }}
+              >
+                {sim.reactorSetpoint === null ? 'Auto (optimal)' : `Reset to ${plasticData.optimal_temp}°C`}
+              </button>
+            </div>
+            <input
+              type="range"
+              min="400"
+              max={plant.SALT_TEMP_HOT}
+              step="5"
+              value={reactorSetpoint}
+              onChange={(e) => {
+                const reactorSetpoint = parseFloat(e.target.value);
+                setSim(prev => ({ ...prev, reactorSetpoint }));
+              }}
+              style={{ width: '100%' }}
+            />
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '0.5rem', fontSize: '0.7rem', color: '#8b95a5', marginTop: '0.5rem' }}>
+              <div>
+                Conversion
+                <div style={{ fontSize: '0.95rem', fontWeight: 600, color: '#e0e6ed' }}>{(reactorYields.conversion * 100).toFixed(1)}%</div>
+              </div>
+              <div>
+                Cracking
+                <div style={{ fontSize: '0.95rem', fontWeight: 600, color: '#e0e6ed' }}>{(reactorYields.severity * 100).toFixed(1)}%</div>
+              </div>
+              <div>
+                H₂ yield
+                <div style={{ fontSize: '0.95rem', fontWeight: 600, color: '#10b981' }}>{(reactorYields.hydrogen * 1000 / 2.016).toFixed(0)} mmol/g</div>
+              </div>
             </div>
           </div>
           
+          <DispatchControls
+            dispatch={dispatch}
+            capacity={plant.REACTOR_CAPACITY}
+            currentHour={currentHour}
+            onChange={(changes) => setSim(prev => ({ ...prev, dispatch: { ...prev.dispatch, ...changes } }))}
+          />
+          
           <div style={{ marginBottom: '1.5rem' }}>
             <div style={{ fontSize: '0.85rem', color: '#8b95a5', marginBottom: '0.5rem' }}>
               Plastic Processing Rate
@@ -955,13 +1295,36 @@ const CSPPyrolysisSimulation = () => {
               border: '1px solid rgba(16,185,129,0.3)'
             }}>
               <div style={{ fontSize: '1.5rem', fontWeight: 700, color: '#10b981' }}>
-                {pyrolysisActive ? 
-                  ((thermalPower * 1000) / (CONSTANTS.PYROLYSIS_ENERGY / 3600)).toFixed(1) : 
-                  '0.0'
-                } kg/h
+                {reactorFeedRate.toFixed(1)} kg/h
               </div>
               <div style={{ fontSize: '0.75rem', color: '#8b95a5', marginTop: '0.25rem' }}>
-                Capacity: {CONSTANTS.REACTOR_CAPACITY} kg/h
+                Target: {dispatchTarget.toFixed(1)} kg/h ({DISPATCH_STRATEGIES[dispatch.strategy].name})
+              </div>
+              <div style={{
+                height: '6px',
+                background: 'rgba(255,255,255,0.1)',
+                borderRadius: '3px',
+                overflow: 'hidden',
+                margin: '0.5rem 0 0.25rem',
+                position: 'relative'
+              }}>
+                <div style={{
+                  height: '100%',
+                  width: `${(reactorFeedRate / plant.REACTOR_CAPACITY) * 100}%`,
+                  background: '#10b981',
+                  transition: 'width 0.5s'
+                }} />
+                <div style={{
+                  position: 'absolute',
+                  top: 0,
+                  bottom: 0,
+                  left: `${Math.min(dispatchTarget / plant.REACTOR_CAPACITY, 1) * 100}%`,
+                  width: '2px',
+                  background: '#fbbf24'
+                }} />
+              </div>
+              <div style={{ fontSize: '0.75rem', color: '#8b95a5' }}>
+                Capacity: {plant.REACTOR_CAPACITY} kg/h · Min: {(dispatch.minTurndown * plant.REACTOR_CAPACITY).toFixed(0)} kg/h
               </div>
             </div>
           </div>
@@ -983,6 +1346,53 @@ const CSPPyrolysisSimulation = () => {
         </div>
       </div>
       
+      <AlarmPanel
+        alarms={sim.alarms}
+        onAcknowledge={acknowledge}
+        onSettingsChange={(settings) => setSim(prev => ({ ...prev, alarms: { ...prev.alarms, settings } }))}
+      />
+
+      <ProtectionPanel
+        protection={sim.protection}
+        now={simTime(currentDate, currentHour, currentMinute)}
+        onTrip={() => setSim(prev => ({ ...prev, protection: tripPlant(prev.protection, simTime(prev.date, prev.hour, prev.minute)) }))}
+        onReset={() => setSim(prev => ({ ...prev, protection: resetTrip(prev.protection, simTime(prev.date, prev.hour, prev.minute)) }))}
+        onChange={(settings) => setSim(prev => ({ ...prev, protection: { ...prev.protection, settings } }))}
+      />
+
+      <FaultConsole
+        faults={sim.faults}
+        now={simTime(currentDate, currentHour, currentMinute)}
+        setup={faultScriptSetup(sim)}
+        scripts={faultScripts}
+        onPlay={playFaultScript}
+        onArm={(script) => setSim(prev => {
+          const stopped = stopFaultScript(prev);
+          return { ...stopped, faults: { ...armFaultScript(script, prev.date.getTime()), log: stopped.faults.log } };
+        })}
+        onStop={() => setSim(stopFaultScript)}
+        onSaveScript={(script) => setFaultScripts(prev => ({ ...prev, [script.name]: script }))}
+        onDeleteScript={deleteFaultScript}
+      />
+
+      <MaintenancePanel
+        heliostats={heliostats}
+        onChange={(settings) => setSim(prev => ({ ...prev, heliostats: { ...prev.heliostats, settings } }))}
+      />
+
+      <WindPanel
+        wind={sim.wind}
+        windSpeed={windSpeed}
+        now={simTime(currentDate, currentHour, currentMinute)}
+        onChange={(settings) => setSim(prev => ({ ...prev, wind: { ...prev.wind, settings } }))}
+      />
+      
+      <FeedSupplyPanel
+        supply={sim.supply}
+        now={simTime(currentDate, currentHour, currentMinute)}
+        onChange={(settings) => setSim(prev => ({ ...prev, supply: { ...prev.supply, settings } }))}
+      />
+      
       {/* Product tanks */}
       <div style={{
         marginTop: '1.5rem',
@@ -1046,6 +1456,12 @@ const CSPPyrolysisSimulation = () => {
         </div>
       </div>
       
+      <EmissionsPanel
+        production={production}
+        baseline={sim.wasteBaseline}
+        onBaselineChange={(wasteBaseline) => setSim(prev => ({ ...prev, wasteBaseline }))}
+      />
+      
       {/* Daily report */}
       <div style={{
         marginTop: '1.5rem',
@@ -1070,7 +1486,7 @@ const CSPPyrolysisSimulation = () => {
           Daily Performance Report
         </h3>
         
-        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: '1rem' }}>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(6, 1fr)', gap: '1rem' }}>
           <DailyMetric 
             label="Energy Collected" 
             value={dailyStats.energyCollected.toFixed(2)} 
@@ -1101,9 +1517,49 @@ const CSPPyrolysisSimulation = () => {
             unit="MWh" 
             color="#ef4444"
           />
+          <DailyMetric 
+            label="CO₂ Intensity" 
+            value={dailyIntensity === null ? '—' : dailyIntensity.toFixed(2)} 
+            unit="kg CO₂e/kg H₂" 
+            color={dailyIntensity !== null && dailyIntensity < SMR_INTENSITY ? '#4ade80' : '#8b95a5'}
+          />
         </div>
       </div>
       
+      <HistoryCharts sim={sim} />
+      
+      {annualRun && (
+        <AnnualReport run={annualRun} onClose={() => setAnnualRun(null)} />
+      )}
+      
+      <ScenarioComparison
+        locations={Object.keys(SOLAR_DATA)}
+        plastics={[...Object.keys(PLASTIC_TYPES), ...Object.keys(sim.feedstocks)]}
+        defaults={{ location: selectedLocation, plastic: selectedPlastic, date: currentDate, seed: nextSeed }}
+        run={scenarioRun}
+        onRun={runScenarios}
+        onCancel={cancelScenarios}
+      />
+      
+      <SweepPanel
+        plant={plant}
+        locations={Object.keys(SOLAR_DATA)}
+        defaultLocation={selectedLocation}
+        run={sweepRun}
+        onRun={runSweep}
+        onCancel={cancelSweep}
+      />
+      
+      <EconomicsPanel
+        inputs={economicInputs}
+        onChange={setEconomicInputs}
+        production={production}
+        elapsedHours={elapsedHours}
+        annualReport={annualRun && annualRun.report}
+        crews={heliostats.settings.repairCrews + heliostats.settings.cleaningCrews}
+        plant={plant}
+      />
+      
       <style>{`
         @import url('https://fonts.googleapis.com/css2?family=Rajdhani:wght@400;600;700&display=swap');
         
@@ -1117,7 +1573,7 @@ const CSPPyrolysisSimulation = () => {
           box-shadow: 0 4px 12px rgba(0,0,0,0.3);
         }
         
-        select:focus {
+        select:focus, input:focus {
           outline: none;
           border-color: rgba(255,136,0,0.5);
         }
@@ -1223,6 +1679,49 @@ const ProductTank = ({ name, amount, unit, capacity, color, level }) => (
   </div>
 );
 
+const SaltTank = ({ label, temp, level, mass, color, fill, alert, note }) => (
+  <div>
+    <div style={{ fontSize: '0.85rem', color: '#8b95a5', marginBottom: '0.5rem' }}>
+      {label}
+    </div>
+    <div style={{
+      background: 'rgba(0,0,0,0.3)',
+      borderRadius: '8px',
+      padding: '1rem',
+      border: `2px solid ${alert ? 'rgba(239,68,68,0.5)' : `${color}50`}`,
+      position: 'relative',
+      height: '120px',
+      display: 'flex',
+      flexDirection: 'column',
+      justifyContent: 'flex-end',
+      overflow: 'hidden'
+    }}>
+      <div style={{
+        position: 'absolute',
+        bottom: 0,
+        left: 0,
+        right: 0,
+        height: `${Math.min(level, 100)}%`,
+        background: `linear-gradient(180deg, ${color}40 0%, ${fill} 100%)`,
+        borderRadius: '0 0 6px 6px',
+        transition: 'height 0.5s',
+        animation: 'liquidWave 3s ease-in-out infinite'
+      }} />
+      <div style={{ position: 'relative', zIndex: 1, textAlign: 'center' }}>
+        <div style={{ fontSize: '1.5rem', fontWeight: 700, color }}>
+          {temp.toFixed(0)}°C
+        </div>
+        <div style={{ fontSize: '0.7rem', color: '#e0e6ed' }}>
+          {level.toFixed(0)}% · {(mass / 1e6).toFixed(1)} kt
+        </div>
+        <div style={{ fontSize: '0.7rem', color: '#8b95a5' }}>
+          {note}
+        </div>
+      </div>
+    </div>
+  </div>
+);
+
 const DailyMetric = ({ label, value, unit, color }) => (
   <div style={{
     background: 'rgba(0,0,0,0.3)',
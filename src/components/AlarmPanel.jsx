@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { ALARM_DEFINITIONS, ALARM_SEVERITIES, getAlarmSummary, formatSimTime, alarmLogToCSV, exportToJSON } from '../engine';
+import { downloadFile } from '../utils/download';
+
+const SEVERITY_COLORS = {
+  critical: '#ef4444',
+  warning: '#fbbf24',
+  info: '#8b95a5',
+};
+
+const inputStyle = {
+  background: 'rgba(0,0,0,0.3)',
+  border: '1px solid rgba(255,255,255,0.2)',
+  borderRadius: '6px',
+  color: '#e0e6ed',
+  padding: '0.4rem',
+  fontSize: '0.8rem',
+  width: '100%'
+};
+
+const buttonStyle = (color) => ({
+  background: `${color}20`,
+  border: `1px solid ${color}80`,
+  borderRadius: '6px',
+  color,
+  padding: '0.3rem 0.75rem',
+  cursor: 'pointer',
+  fontSize: '0.8rem'
+});
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const SHOWN_ENTRIES = 200;
+
+const STATE_FILTERS = {
+  all: { name: 'All', test: () => true },
+  active: { name: 'Active', test: entry => entry.cleared === null },
+  unacknowledged: { name: 'Unacknowledged', test: entry => entry.acknowledged === null },
+};
+
+const Figure = ({ label, value, color = '#e0e6ed' }) => (
+  <div style={{ padding: '0.5rem', background: 'rgba(0,0,0,0.2)', borderRadius: '8px' }}>
+    <div style={{ fontSize: '0.7rem', color: '#8b95a5' }}>{label}</div>
+    <div style={{ fontSize: '1.1rem', fontWeight: 700, color }}>{value}</div>
+  </div>
+);
+
+// Alarm and event log: filter, acknowledge and export alarms, and set each
+// alarm's threshold and severity
+const AlarmPanel = ({ alarms, onAcknowledge, onSettingsChange }) => {
+  const [severity, setSeverity] = useState('all');
+  const [state, setState] = useState('all');
+  const [kind, setKind] = useState('all');
+  const { settings, log } = alarms;
+  const summary = getAlarmSummary(alarms);
+
+  const shown = log.filter(entry =>
+    (severity === 'all' || entry.severity === severity)
+    && (kind === 'all' || entry.alarm === kind)
+    && STATE_FILTERS[state].test(entry)
+  ).reverse();
+  const unacknowledged = shown.filter(entry => entry.acknowledged === null).map(entry => entry.id);
+
+  const update = (key, changes) => onSettingsChange({ ...settings, [key]: { ...settings[key], ...changes } });
+
+  const exportLog = (format) => {
+    const fileName = `csp-pyrolysis-alarms.${format}`;
+    if (format === 'csv') downloadFile(fileName, alarmLogToCSV(shown.slice().reverse()), 'text/csv');
+    else {
+      const entries = shown.slice().reverse().map(entry => ({
+        ...entry,
+        raised: formatSimTime(entry.raised),
+        cleared: entry.cleared === null ? null : formatSimTime(entry.cleared),
+        acknowledged: entry.acknowledged === null ? null : formatSimTime(entry.acknowledged),
+      }));
+      downloadFile(fileName, exportToJSON(entries), 'application/json');
+    }
+  };
+
+  const select = (value, onChange, options) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} style={{ ...inputStyle, width: 'auto' }}>
+      {options.map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+    </select>
+  );
+
+  return (
+    <div style={{
+      marginTop: '1.5rem',
+      background: 'rgba(15,23,42,0.6)',
+      backdropFilter: 'blur(10px)',
+      border: `1px solid ${summary.critical > 0 ? 'rgba(239,68,68,0.5)' : 'rgba(255,255,255,0.1)'}`,
+      borderRadius: '16px',
+      padding: '1.5rem',
+      boxShadow: '0 8px 32px rgba(0,0,0,0.3)',
+      position: 'relative',
+      zIndex: 1
+    }}>
+      <h3 style={{
+        margin: '0 0 1.5rem 0',
+        fontSize: '1.2rem',
+        color: '#f87171',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem'
+      }}>
+        <AlertTriangle size={20} />
+        Alarms &amp; Events
+      </h3>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', gap: '1.5rem' }}>
+        <div>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '0.5rem', marginBottom: '1rem' }}>
+            <Figure label="Active" value={summary.active} color={summary.active > 0 ? '#fbbf24' : '#10b981'} />
+            <Figure label="Unacknowledged" value={summary.unacknowledged} color={summary.unacknowledged > 0 ? '#fbbf24' : '#e0e6ed'} />
+            <Figure label="Critical, unacked" value={summary.critical} color={summary.critical > 0 ? '#ef4444' : '#e0e6ed'} />
+          </div>
+
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'center', marginBottom: '0.75rem' }}>
+            {select(state, setState, Object.entries(STATE_FILTERS).map(([key, f]) => [key, f.name]))}
+            {select(severity, setSeverity, [['all', 'All severities'], ...ALARM_SEVERITIES.map(s => [s, s])])}
+            {select(kind, setKind, [['all', 'All alarms'], ...Object.entries(ALARM_DEFINITIONS).map(([key, d]) => [key, d.name])])}
+          </div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+            <button
+              onClick={() => onAcknowledge(unacknowledged)}
+              disabled={unacknowledged.length === 0}
+              style={{ ...buttonStyle('#10b981'), opacity: unacknowledged.length > 0 ? 1 : 0.5 }}
+            >
+              ✓ Acknowledge {unacknowledged.length > 0 ? unacknowledged.length : ''} shown
+            </button>
+            <button onClick={() => exportLog('csv')} disabled={shown.length === 0} style={buttonStyle('#fbbf24')}>⬇ CSV</button>
+            <button onClick={() => exportLog('json')} disabled={shown.length === 0} style={buttonStyle('#fbbf24')}>⬇ JSON</button>
+          </div>
+
+          <div style={{ fontSize: '0.8rem', color: '#8b95a5', margin: '1.25rem 0 0.5rem' }}>Thresholds</div>
+          {Object.entries(ALARM_DEFINITIONS).map(([key, definition]) => (
+            <div key={key} style={{ display: 'grid', gridTemplateColumns: 'auto 1fr 130px 90px', gap: '0.5rem', alignItems: 'center', marginBottom: '0.4rem', fontSize: '0.75rem', color: '#8b95a5' }}>
+              <input type="checkbox" checked={settings[key].enabled} onChange={(e) => update(key, { enabled: e.target.checked })} />
+              <span style={{ color: settings[key].enabled ? '#e0e6ed' : '#6b7280' }}>{definition.name}</span>
+              {definition.unit ? (
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+                  <input
+                    type="number"
+                    value={settings[key].threshold}
+                    min={definition.range[0]}
+                    max={definition.range[1]}
+                    onChange={(e) => {
+                      const parsed = parseFloat(e.target.value);
+                      if (Number.isFinite(parsed)) update(key, { threshold: clamp(parsed, ...definition.range) });
+                    }}
+                    style={inputStyle}
+                  />
+                  {definition.unit}
+                </label>
+              ) : <span />}
+              {select(settings[key].severity, severityValue => update(key, { severity: severityValue }), ALARM_SEVERITIES.map(s => [s, s]))}
+            </div>
+          ))}
+        </div>
+
+        <div>
+          <div style={{ fontSize: '0.8rem', color: '#8b95a5', marginBottom: '0.5rem' }}>
+            Event log ({shown.length} of {log.length}, newest first)
+          </div>
+          <div style={{ maxHeight: '320px', overflowY: 'auto', fontSize: '0.75rem' }}>
+            {shown.length === 0 && <div style={{ color: '#6b7280' }}>No alarms match.</div>}
+            {shown.slice(0, SHOWN_ENTRIES).map(entry => (
+              <div key={entry.id} style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                gap: '0.5rem',
+                padding: '0.35rem 0.5rem',
+                marginBottom: '0.25rem',
+                borderLeft: `3px solid ${SEVERITY_COLORS[entry.severity]}`,
+                background: entry.cleared === null ? `${SEVERITY_COLORS[entry.severity]}15` : 'rgba(0,0,0,0.15)',
+                borderRadius: '4px'
+              }}>
+                <span>
+                  <div style={{ color: entry.cleared === null ? SEVERITY_COLORS[entry.severity] : '#8b95a5', fontWeight: entry.acknowledged === null ? 700 : 400 }}>
+                    {entry.message}
+                  </div>
+                  <div style={{ color: '#6b7280', fontSize: '0.7rem' }}>
+                    {formatSimTime(entry.raised)} · {entry.severity}
+                    {entry.cleared !== null && ` · cleared ${formatSimTime(entry.cleared)}`}
+                    {entry.acknowledged !== null && ` · acked ${formatSimTime(entry.acknowledged)}`}
+                  </div>
+                </span>
+                {entry.acknowledged === null && (
+                  <button onClick={() => onAcknowledge([entry.id])} style={{ ...buttonStyle('#10b981'), padding: '0.15rem 0.5rem', fontSize: '0.7rem' }}>
+                    Ack
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AlarmPanel;
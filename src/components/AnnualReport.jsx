@@ -0,0 +1,156 @@
+import React from 'react';
+import { CalendarDays } from 'lucide-react';
+
+const COLUMNS = [
+  { key: 'dni', label: 'DNI', unit: 'kWh/m²', format: v => v.toFixed(0) },
+  { key: 'energyCollected', label: 'Energy', unit: 'MWh', format: v => v.toFixed(0) },
+  { key: 'plasticProcessed', label: 'Plastic', unit: 't', format: v => (v / 1000).toFixed(1) },
+  { key: 'hydrogen', label: 'H₂', unit: 't', format: v => (v / 1000).toFixed(2) },
+  { key: 'carbon', label: 'Carbon', unit: 't', format: v => (v / 1000).toFixed(1) },
+  { key: 'wax', label: 'Wax/Oil', unit: 't', format: v => (v / 1000).toFixed(1) },
+  { key: 'heatLoss', label: 'Heat Loss', unit: 'MWh', format: v => v.toFixed(1) },
+  { key: 'capacityFactor', label: 'Capacity Factor', unit: '%', format: v => (v * 100).toFixed(1) },
+];
+
+const cellStyle = {
+  padding: '0.4rem 0.6rem',
+  textAlign: 'right',
+  borderBottom: '1px solid rgba(255,255,255,0.05)',
+  whiteSpace: 'nowrap'
+};
+
+// Monthly and annual yield table from runAnnualSimulation
+const AnnualReport = ({ run, onClose }) => {
+  const { report, progress, error } = run;
+  const maxHydrogen = report ? Math.max(...report.months.map(m => m.hydrogen), 1) : 1;
+
+  return (
+    <div style={{
+      marginTop: '1.5rem',
+      background: 'rgba(15,23,42,0.6)',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid rgba(255,255,255,0.1)',
+      borderRadius: '16px',
+      padding: '1.5rem',
+      boxShadow: '0 8px 32px rgba(0,0,0,0.3)',
+      position: 'relative',
+      zIndex: 1
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem' }}>
+        <h3 style={{
+          margin: 0,
+          fontSize: '1.2rem',
+          color: '#c084fc',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem'
+        }}>
+          <CalendarDays size={20} />
+          Annual Yield Report
+        </h3>
+        <button
+          onClick={onClose}
+          style={{
+            background: 'transparent',
+            border: '1px solid rgba(255,255,255,0.2)',
+            borderRadius: '6px',
+            color: '#8b95a5',
+            padding: '0.25rem 0.75rem',
+            cursor: 'pointer'
+          }}
+        >
+          ✕
+        </button>
+      </div>
+
+      {error && (
+        <div style={{ color: '#ef4444', fontSize: '0.85rem' }}>Annual run failed: {error}</div>
+      )}
+
+      {!report && !error && (
+        <div>
+          <div style={{ fontSize: '0.85rem', color: '#8b95a5', marginBottom: '0.5rem' }}>
+            Simulating 8760 hours… {(progress * 100).toFixed(0)}%
+          </div>
+          <div style={{ height: '8px', background: 'rgba(255,255,255,0.1)', borderRadius: '4px', overflow: 'hidden' }}>
+            <div style={{
+              height: '100%',
+              width: `${progress * 100}%`,
+              background: 'linear-gradient(90deg, #c084fc, #ff8800)',
+              transition: 'width 0.3s'
+            }} />
+          </div>
+        </div>
+      )}
+
+      {report && (
+        <>
+          <div style={{ fontSize: '0.8rem', color: '#8b95a5', marginBottom: '1rem' }}>
+            {report.location} · {report.plastic} · {report.year} · dispatch: {report.dispatch} · seed {report.seed}
+            {report.maintenance && (
+              <div>
+                O&amp;M: {report.maintenance.settings.repairCrews} repair / {report.maintenance.settings.cleaningCrews} cleaning crews
+                · {report.maintenance.repairs} repairs · {report.maintenance.cleanings.toLocaleString()} washes
+              </div>
+            )}
+            {report.protection && (
+              <div>
+                Protection: {report.protection.trips} trip{report.protection.trips === 1 ? '' : 's'}
+                · {report.protection.downtimeHours.toFixed(0)} h down · {report.protection.heaterMWh.toFixed(0)} MWh heat tracing
+              </div>
+            )}
+            {report.wind && (
+              <div>
+                Wind: {report.wind.stows} stow{report.wind.stows === 1 ? '' : 's'} · {report.wind.stowedHours.toFixed(0)} h stowed
+                · {report.wind.damaged} mirror{report.wind.damaged === 1 ? '' : 's'} damaged · peak {report.wind.peakWind.toFixed(1)} m/s
+              </div>
+            )}
+          </div>
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+              <thead>
+                <tr style={{ color: '#8b95a5' }}>
+                  <th style={{ ...cellStyle, textAlign: 'left' }}>Month</th>
+                  {COLUMNS.map(col => (
+                    <th key={col.key} style={cellStyle}>
+                      {col.label}
+                      <div style={{ fontSize: '0.65rem', fontWeight: 400 }}>{col.unit}</div>
+                    </th>
+                  ))}
+                  <th style={{ ...cellStyle, width: '20%' }} />
+                </tr>
+              </thead>
+              <tbody>
+                {report.months.map(month => (
+                  <tr key={month.month}>
+                    <td style={{ ...cellStyle, textAlign: 'left', color: '#e0e6ed' }}>{month.month}</td>
+                    {COLUMNS.map(col => (
+                      <td key={col.key} style={cellStyle}>{col.format(month[col.key])}</td>
+                    ))}
+                    <td style={cellStyle}>
+                      <div style={{
+                        height: '8px',
+                        width: `${(month.hydrogen / maxHydrogen) * 100}%`,
+                        background: 'rgba(16,185,129,0.6)',
+                        borderRadius: '2px'
+                      }} />
+                    </td>
+                  </tr>
+                ))}
+                <tr style={{ color: '#ff8800', fontWeight: 700 }}>
+                  <td style={{ ...cellStyle, textAlign: 'left' }}>Year</td>
+                  {COLUMNS.map(col => (
+                    <td key={col.key} style={cellStyle}>{col.format(report.annual[col.key])}</td>
+                  ))}
+                  <td style={cellStyle} />
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AnnualReport;
@@ -0,0 +1,115 @@
+import React from 'react';
+import { DISPATCH_STRATEGIES } from '../engine';
+
+const inputStyle = {
+  background: 'rgba(0,0,0,0.3)',
+  border: '1px solid rgba(255,255,255,0.2)',
+  borderRadius: '6px',
+  color: '#e0e6ed',
+  padding: '0.4rem',
+  fontSize: '0.8rem',
+  width: '100%'
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Reactor dispatch strategy selector and its settings; capacity is the
+// reactor's in kg/h
+const DispatchControls = ({ dispatch, capacity, onChange, currentHour }) => {
+  const numberField = (label, value, unit, min, max, apply) => (
+    <label style={{ fontSize: '0.7rem', color: '#8b95a5' }}>
+      {label} ({unit})
+      <input
+        type="number"
+        value={Math.round(value * 100) / 100}
+        min={min}
+        max={max}
+        onChange={(e) => {
+          const parsed = parseFloat(e.target.value);
+          if (Number.isFinite(parsed)) apply(clamp(parsed, min, max));
+        }}
+        style={{ ...inputStyle, marginTop: '0.25rem' }}
+      />
+    </label>
+  );
+
+  return (
+    <div style={{
+      background: 'rgba(0,0,0,0.3)',
+      border: '1px solid rgba(16,185,129,0.3)',
+      borderRadius: '8px',
+      padding: '0.75rem',
+      marginBottom: '1rem'
+    }}>
+      <div style={{ fontSize: '0.85rem', color: '#8b95a5', marginBottom: '0.5rem' }}>
+        Dispatch Strategy
+      </div>
+      <select
+        value={dispatch.strategy}
+        onChange={(e) => onChange({ strategy: e.target.value })}
+        style={{ ...inputStyle, cursor: 'pointer' }}
+      >
+        {Object.entries(DISPATCH_STRATEGIES).map(([key, strategy]) => (
+          <option key={key} value={key}>{strategy.name}</option>
+        ))}
+      </select>
+      <div style={{ fontSize: '0.7rem', color: '#6b7280', margin: '0.25rem 0 0.75rem' }}>
+        {DISPATCH_STRATEGIES[dispatch.strategy].description}
+      </div>
+
+      {dispatch.strategy === 'baseload' && (
+        <div style={{ marginBottom: '0.75rem' }}>
+          {numberField('Baseload feed', dispatch.baseloadRate, 'kg/h', 0, capacity,
+            baseloadRate => onChange({ baseloadRate }))}
+        </div>
+      )}
+
+      {dispatch.strategy === 'schedule' && (
+        <div style={{ marginBottom: '0.75rem' }}>
+          <div style={{ fontSize: '0.7rem', color: '#8b95a5', marginBottom: '0.25rem' }}>
+            Feed setpoint by hour (click to set)
+          </div>
+          <div style={{ display: 'flex', alignItems: 'flex-end', gap: '2px', height: '60px' }}>
+            {dispatch.schedule.map((fraction, hour) => (
+              <div
+                key={hour}
+                title={`${String(hour).padStart(2, '0')}:00 - ${(fraction * 100).toFixed(0)}%`}
+                onClick={(e) => {
+                  const rect = e.currentTarget.getBoundingClientRect();
+                  const value = Math.round(clamp(1 - (e.clientY - rect.top) / rect.height, 0, 1) * 10) / 10;
+                  onChange({ schedule: dispatch.schedule.map((f, h) => (h === hour ? value : f)) });
+                }}
+                style={{
+                  flex: 1,
+                  height: '100%',
+                  display: 'flex',
+                  alignItems: 'flex-end',
+                  cursor: 'pointer',
+                  background: 'rgba(255,255,255,0.05)'
+                }}
+              >
+                <div style={{
+                  width: '100%',
+                  height: `${fraction * 100}%`,
+                  background: hour === currentHour ? '#10b981' : 'rgba(16,185,129,0.5)'
+                }} />
+              </div>
+            ))}
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.6rem', color: '#6b7280' }}>
+            <span>00</span><span>06</span><span>12</span><span>18</span><span>23</span>
+          </div>
+        </div>
+      )}
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
+        {numberField('Ramp rate', dispatch.rampRate, 'kg/h per h', 1, capacity * 10,
+          rampRate => onChange({ rampRate }))}
+        {numberField('Min turndown', dispatch.minTurndown * 100, '%', 0, 100,
+          percent => onChange({ minTurndown: percent / 100 }))}
+      </div>
+    </div>
+  );
+};
+
+export default DispatchControls;
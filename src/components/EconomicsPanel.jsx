@@ -0,0 +1,137 @@
+import React from 'react';
+import { DollarSign } from 'lucide-react';
+import { ECONOMIC_INPUTS, annualizeProduction, computeEconomics } from '../engine';
+import { formatMoney } from '../utils/format';
+
+const GROUPS = ['CAPEX', 'OPEX', 'Revenue', 'Finance'];
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.35rem 0.5rem',
+  background: 'rgba(0,0,0,0.3)',
+  border: '1px solid rgba(255,255,255,0.2)',
+  borderRadius: '6px',
+  color: '#e0e6ed',
+  fontSize: '0.85rem'
+};
+
+const Result = ({ label, value, color = '#e0e6ed', note }) => (
+  <div style={{
+    padding: '0.75rem',
+    background: 'rgba(0,0,0,0.2)',
+    borderRadius: '8px',
+    border: '1px solid rgba(255,255,255,0.05)'
+  }}>
+    <div style={{ fontSize: '0.75rem', color: '#8b95a5', marginBottom: '0.25rem' }}>{label}</div>
+    <div style={{ fontSize: '1.3rem', fontWeight: 700, color }}>{value}</div>
+    {note && <div style={{ fontSize: '0.7rem', color: '#6b7280', marginTop: '0.25rem' }}>{note}</div>}
+  </div>
+);
+
+// Editable cost/price assumptions and the resulting LCOH, NPV, IRR and payback
+// for the plant design. Uses the full-year report when available, otherwise
+// extrapolates the live run.
+const EconomicsPanel = ({ inputs, onChange, production, elapsedHours, annualReport, crews = 0, plant }) => {
+  const annual = annualReport
+    ? annualReport.annual
+    : annualizeProduction(production, elapsedHours);
+  const basis = annualReport
+    ? `Full-year run (${annualReport.year})`
+    : `Live run extrapolated from ${(elapsedHours / 24).toFixed(1)} days`;
+  const hasProduction = annual.hydrogen > 0;
+  const result = computeEconomics(inputs, annual, annualReport && annualReport.maintenance
+    ? annualReport.maintenance.settings.repairCrews + annualReport.maintenance.settings.cleaningCrews
+    : crews, plant);
+
+  const setInput = (key, value) => {
+    const number = parseFloat(value);
+    if (Number.isFinite(number) && number >= 0) onChange({ ...inputs, [key]: number });
+  };
+
+  return (
+    <div style={{
+      marginTop: '1.5rem',
+      background: 'rgba(15,23,42,0.6)',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid rgba(255,255,255,0.1)',
+      borderRadius: '16px',
+      padding: '1.5rem',
+      boxShadow: '0 8px 32px rgba(0,0,0,0.3)',
+      position: 'relative',
+      zIndex: 1
+    }}>
+      <h3 style={{
+        margin: '0 0 0.5rem 0',
+        fontSize: '1.2rem',
+        color: '#fbbf24',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem'
+      }}>
+        <DollarSign size={20} />
+        Techno-Economics
+      </h3>
+      <div style={{ fontSize: '0.8rem', color: '#8b95a5', marginBottom: '1rem' }}>
+        Basis: {basis} · {(annual.hydrogen / 1000).toFixed(2)} t H₂/yr · {(annual.plasticProcessed / 1000).toFixed(1)} t plastic/yr
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '1rem', marginBottom: '1.5rem' }}>
+        {GROUPS.map(group => (
+          <div key={group}>
+            <div style={{ fontSize: '0.85rem', color: '#fbbf24', marginBottom: '0.5rem', fontWeight: 600 }}>{group}</div>
+            {Object.entries(ECONOMIC_INPUTS).filter(([, meta]) => meta.group === group).map(([key, meta]) => (
+              <label key={key} style={{ display: 'block', marginBottom: '0.5rem' }}>
+                <div style={{ fontSize: '0.75rem', color: '#8b95a5', marginBottom: '0.2rem' }}>
+                  {meta.label} <span style={{ color: '#6b7280' }}>({meta.unit})</span>
+                </div>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={inputs[key]}
+                  onChange={(e) => setInput(key, e.target.value)}
+                  style={inputStyle}
+                />
+              </label>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', gap: '1rem' }}>
+        <Result
+          label="LCOH"
+          value={hasProduction ? `$${result.lcoh.toFixed(2)}/kg` : '—'}
+          color="#10b981"
+          note={hasProduction ? `$${result.lcohGross.toFixed(2)}/kg before co-product credits` : 'No hydrogen produced yet'}
+        />
+        <Result
+          label="Total CAPEX"
+          value={formatMoney(result.capex.total)}
+          note={`Field ${formatMoney(result.capex.heliostats)} · Storage ${formatMoney(result.capex.storage)}`}
+        />
+        <Result label="Annual OPEX" value={formatMoney(result.opex)} color="#ef4444" />
+        <Result
+          label="Annual Revenue"
+          value={formatMoney(result.revenue.total)}
+          color="#fbbf24"
+          note={`H₂ ${formatMoney(result.revenue.hydrogen)} · Tipping ${formatMoney(result.revenue.tipping)}`}
+        />
+        <Result
+          label="NPV"
+          value={formatMoney(result.npv)}
+          color={result.npv >= 0 ? '#10b981' : '#ef4444'}
+          note={`${inputs.discountRate}% over ${inputs.lifetime} years`}
+        />
+        <Result label="IRR" value={result.irr !== null ? `${(result.irr * 100).toFixed(1)}%` : '—'} />
+        <Result
+          label="Payback"
+          value={result.paybackYears !== null ? `${result.paybackYears.toFixed(1)} yr` : 'Never'}
+          note="Simple payback on annual cash flow"
+        />
+      </div>
+    </div>
+  );
+};
+
+export default EconomicsPanel;
@@ -0,0 +1,113 @@
+import React from 'react';
+import { Leaf } from 'lucide-react';
+import { WASTE_BASELINES, SMR_INTENSITY, carbonIntensity, sequesteredCO2 } from '../engine';
+
+const Row = ({ label, value, color = '#e0e6ed' }) => (
+  <div style={{
+    display: 'flex',
+    justifyContent: 'space-between',
+    padding: '0.4rem 0',
+    borderBottom: '1px solid rgba(255,255,255,0.05)',
+    fontSize: '0.85rem'
+  }}>
+    <span style={{ color: '#8b95a5' }}>{label}</span>
+    <span style={{ color, fontWeight: 600 }}>{value}</span>
+  </div>
+);
+
+const IntensityBar = ({ label, value, max, color }) => (
+  <div style={{ marginBottom: '0.75rem' }}>
+    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.8rem', marginBottom: '0.25rem' }}>
+      <span style={{ color: '#8b95a5' }}>{label}</span>
+      <span style={{ color, fontWeight: 700 }}>{value.toFixed(2)} kg CO₂e/kg H₂</span>
+    </div>
+    <div style={{ height: '10px', background: 'rgba(255,255,255,0.1)', borderRadius: '5px', overflow: 'hidden' }}>
+      <div style={{
+        height: '100%',
+        width: `${Math.max(0, Math.min(value / max, 1)) * 100}%`,
+        background: color,
+        transition: 'width 0.3s'
+      }} />
+    </div>
+  </div>
+);
+
+// Cumulative carbon balance and hydrogen carbon intensity against SMR
+const EmissionsPanel = ({ production, baseline, onBaselineChange }) => {
+  const { hydrogen, carbon, co2Emitted, co2Avoided } = production;
+  const intensity = carbonIntensity(hydrogen, co2Emitted, co2Avoided);
+  const scale = Math.max(SMR_INTENSITY, intensity || 0);
+
+  return (
+    <div style={{
+      marginTop: '1.5rem',
+      background: 'rgba(15,23,42,0.6)',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid rgba(255,255,255,0.1)',
+      borderRadius: '16px',
+      padding: '1.5rem',
+      boxShadow: '0 8px 32px rgba(0,0,0,0.3)',
+      position: 'relative',
+      zIndex: 1
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '1rem', marginBottom: '1.5rem' }}>
+        <h3 style={{
+          margin: 0,
+          fontSize: '1.2rem',
+          color: '#4ade80',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem'
+        }}>
+          <Leaf size={20} />
+          Lifecycle Emissions
+        </h3>
+        <label style={{ fontSize: '0.8rem', color: '#8b95a5', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          Avoided baseline
+          <select
+            value={baseline}
+            onChange={(e) => onBaselineChange(e.target.value)}
+            title={WASTE_BASELINES[baseline].description}
+            style={{
+              padding: '0.35rem 0.5rem',
+              background: 'rgba(0,0,0,0.3)',
+              border: '1px solid rgba(255,255,255,0.2)',
+              borderRadius: '6px',
+              color: '#e0e6ed'
+            }}
+          >
+            {Object.entries(WASTE_BASELINES).map(([key, value]) => (
+              <option key={key} value={key}>{value.name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))', gap: '1.5rem' }}>
+        <div>
+          <Row label="Carbon retained as solid" value={`${carbon.toFixed(1)} kg C (${sequesteredCO2(carbon).toFixed(1)} kg CO₂e)`} color="#64748b" />
+          <Row label="CO₂ from gas/oil combustion" value={`${co2Emitted.toFixed(1)} kg`} color="#ef4444" />
+          <Row label={`Avoided ${WASTE_BASELINES[baseline].name.toLowerCase()}`} value={`${co2Avoided.toFixed(1)} kg`} color="#4ade80" />
+          <Row label="Net emissions" value={`${(co2Emitted - co2Avoided).toFixed(1)} kg CO₂e`} />
+        </div>
+        <div>
+          {intensity === null ? (
+            <div style={{ fontSize: '0.85rem', color: '#6b7280' }}>No hydrogen produced yet.</div>
+          ) : (
+            <>
+              <IntensityBar label="This plant" value={intensity} max={scale} color={intensity < SMR_INTENSITY ? '#4ade80' : '#ef4444'} />
+              <IntensityBar label="Steam methane reforming" value={SMR_INTENSITY} max={scale} color="#6b7280" />
+              <div style={{ fontSize: '0.8rem', color: '#8b95a5' }}>
+                {intensity < SMR_INTENSITY
+                  ? `${((1 - intensity / SMR_INTENSITY) * 100).toFixed(0)}% lower than SMR hydrogen`
+                  : `${((intensity / SMR_INTENSITY - 1) * 100).toFixed(0)}% higher than SMR hydrogen`}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EmissionsPanel;
@@ -0,0 +1,314 @@
+import React, { useRef, useState } from 'react';
+import { Siren } from 'lucide-react';
+import {
+  FAULT_TYPES, createFaultEvent, createFaultScript, validateFaultScript, describeFaultEvent,
+  formatEventTime, serializeFaultScript, parseFaultScript, formatSimTime,
+} from '../engine';
+import { downloadFile } from '../utils/download';
+
+const HOUR_MS = 3600000;
+
+const inputStyle = {
+  background: 'rgba(0,0,0,0.3)',
+  border: '1px solid rgba(255,255,255,0.2)',
+  borderRadius: '6px',
+  color: '#e0e6ed',
+  padding: '0.35rem',
+  fontSize: '0.8rem',
+  width: '100%'
+};
+
+const buttonStyle = (color) => ({
+  background: `${color}20`,
+  border: `1px solid ${color}80`,
+  borderRadius: '6px',
+  color,
+  padding: '0.35rem 0.8rem',
+  cursor: 'pointer',
+  fontSize: '0.8rem'
+});
+
+const smallButton = (color) => ({ ...buttonStyle(color), padding: '0.15rem 0.5rem', fontSize: '0.75rem' });
+
+const TYPE_COLORS = {
+  cloud: '#94a3b8',
+  windStorm: '#38bdf8',
+  heliostatFailure: '#fb923c',
+  feedBlockage: '#a78bfa',
+  pumpFailure: '#ef4444',
+};
+
+const slug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'script';
+
+const toClock = (at) => {
+  const minutes = Math.round((at % 24) * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// Timeline of the armed script: bars for each event's duration, coloured by
+// type, dimmed once played, with a cursor at the current simulation time
+const Timeline = ({ faults, now }) => {
+  const { events } = faults.script;
+  const hours = (now - faults.start) / HOUR_MS;
+  const span = Math.max(24, ...events.map(e => e.at + (e.params.duration || 0.5)), hours) * 1.05;
+  const x = (h) => `${(h / span) * 100}%`;
+  const activeIndexes = new Set(faults.active.map(effect => effect.index));
+
+  return (
+    <div style={{ position: 'relative', height: `${events.length * 14 + 24}px`, background: 'rgba(0,0,0,0.25)', borderRadius: '8px', margin: '0.5rem 0' }}>
+      {Array.from({ length: Math.floor(span / 24) + 1 }, (_, day) => (
+        <div key={day} style={{ position: 'absolute', left: x(day * 24), top: 0, bottom: 0, borderLeft: '1px dashed rgba(255,255,255,0.1)', fontSize: '0.6rem', color: '#6b7280', paddingLeft: '2px' }}>
+          D{day + 1}
+        </div>
+      ))}
+      {events.map((event, i) => (
+        <div
+          key={i}
+          title={`${formatEventTime(event.at)} ${describeFaultEvent(event)}`}
+          style={{
+            position: 'absolute',
+            left: x(event.at),
+            width: `max(4px, ${x(event.params.duration || 0)})`,
+            top: `${16 + i * 14}px`,
+            height: '10px',
+            borderRadius: '3px',
+            background: TYPE_COLORS[event.type],
+            opacity: activeIndexes.has(i) ? 1 : i < faults.next ? 0.35 : 0.75,
+            boxShadow: activeIndexes.has(i) ? `0 0 8px ${TYPE_COLORS[event.type]}` : 'none'
+          }}
+        />
+      ))}
+      {hours >= 0 && (
+        <div style={{ position: 'absolute', left: x(Math.min(hours, span)), top: 0, bottom: 0, borderLeft: '2px solid #fbbf24' }} />
+      )}
+    </div>
+  );
+};
+
+// Fault injection console for training: edit a timeline of scripted events,
+// keep scripts in the browser or as files, and play them against the run
+const FaultConsole = ({ faults, now, setup, scripts, onPlay, onArm, onStop, onSaveScript, onDeleteScript }) => {
+  const [draft, setDraft] = useState(() => (faults.script ? { ...faults.script } : createFaultScript()));
+  const [newType, setNewType] = useState('cloud');
+  const [fileError, setFileError] = useState(null);
+  const fileInput = useRef(null);
+
+  const errors = validateFaultScript(draft);
+  const valid = errors.length === 0 && draft.name.trim() !== '';
+  const playable = valid && draft.events.length > 0;
+
+  const updateEvent = (i, changes) => setDraft(prev => ({
+    ...prev,
+    events: prev.events.map((event, j) => (j === i ? { ...event, ...changes } : event)),
+  }));
+  const setTime = (i, day, clock) => {
+    const [hh, mm] = clock.split(':').map(Number);
+    if (!Number.isFinite(day) || !Number.isFinite(hh) || !Number.isFinite(mm)) return;
+    updateEvent(i, { at: Math.max(0, (day - 1) * 24 + hh + mm / 60) });
+  };
+  const setParam = (i, key, value) => {
+    const parsed = parseFloat(value);
+    if (Number.isFinite(parsed)) updateEvent(i, { params: { ...draft.events[i].params, [key]: parsed } });
+  };
+  const lastAt = draft.events.reduce((latest, event) => Math.max(latest, event.at), 11);
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      setDraft(parseFaultScript(await file.text(), file.name));
+      setFileError(null);
+    } catch (err) {
+      setFileError(err.message);
+    }
+  };
+
+  const named = { ...draft, name: draft.name.trim() };
+
+  return (
+    <div style={{
+      marginTop: '1.5rem',
+      background: 'rgba(15,23,42,0.6)',
+      backdropFilter: 'blur(10px)',
+      border: `1px solid ${faults.script ? 'rgba(251,146,60,0.5)' : 'rgba(255,255,255,0.1)'}`,
+      borderRadius: '16px',
+      padding: '1.5rem',
+      boxShadow: '0 8px 32px rgba(0,0,0,0.3)',
+      position: 'relative',
+      zIndex: 1
+    }}>
+      <h3 style={{
+        margin: '0 0 1.5rem 0',
+        fontSize: '1.2rem',
+        color: '#fb923c',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem'
+      }}>
+        <Siren size={20} />
+        Training Fault Console
+      </h3>
+
+      {faults.script && (
+        <div style={{ marginBottom: '1.25rem' }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', fontSize: '0.85rem' }}>
+            <span style={{ color: '#fb923c', fontWeight: 600 }}>▶ {faults.script.name}</span>
+            <span style={{ color: '#8b95a5' }}>
+              {faults.next} of {faults.script.events.length} events played · {faults.active.length} in progress
+            </span>
+            <button onClick={onStop} style={{ ...smallButton('#ef4444'), marginLeft: 'auto' }}>Stop script</button>
+          </div>
+          <Timeline faults={faults} now={now} />
+        </div>
+      )}
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))', gap: '1.5rem' }}>
+        <div>
+          <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.75rem' }}>
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Script name"
+              style={inputStyle}
+            />
+            <button onClick={() => setDraft(createFaultScript())} style={{ ...buttonStyle('#8b95a5'), whiteSpace: 'nowrap' }}>New</button>
+          </div>
+          {draft.setup && (
+            <div style={{ fontSize: '0.7rem', color: '#6b7280', marginBottom: '0.5rem' }}>
+              Written for {draft.setup.weatherFile || draft.setup.location} · {draft.setup.plastic} · seed {draft.setup.seed} · from {draft.setup.date}
+            </div>
+          )}
+
+          {draft.events.length === 0 && <div style={{ fontSize: '0.75rem', color: '#6b7280', marginBottom: '0.5rem' }}>No events yet.</div>}
+          {draft.events.map((event, i) => {
+            const day = Math.floor(event.at / 24) + 1;
+            return (
+              <div key={i} style={{
+                marginBottom: '0.5rem',
+                padding: '0.5rem',
+                borderLeft: `3px solid ${TYPE_COLORS[event.type]}`,
+                background: 'rgba(0,0,0,0.2)',
+                borderRadius: '6px'
+              }}>
+                <div style={{ display: 'grid', gridTemplateColumns: '60px 90px 1fr auto', gap: '0.4rem', alignItems: 'center' }}>
+                  <input type="number" min="1" value={day} onChange={(e) => setTime(i, parseInt(e.target.value, 10), toClock(event.at))} style={inputStyle} title="Day" />
+                  <input type="time" value={toClock(event.at)} onChange={(e) => setTime(i, day, e.target.value)} style={inputStyle} />
+                  <span style={{ fontSize: '0.8rem', color: TYPE_COLORS[event.type] }}>{FAULT_TYPES[event.type].name}</span>
+                  <button
+                    onClick={() => setDraft(prev => ({ ...prev, events: prev.events.filter((_, j) => j !== i) }))}
+                    style={smallButton('#ef4444')}
+                  >
+                    ✕
+                  </button>
+                </div>
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(110px, 1fr))', gap: '0.4rem', marginTop: '0.4rem' }}>
+                  {Object.entries(FAULT_TYPES[event.type].params).map(([key, p]) => (
+                    <label key={key} style={{ fontSize: '0.65rem', color: '#8b95a5' }}>
+                      {p.label} ({p.unit})
+                      <input
+                        type="number"
+                        value={event.params[key]}
+                        min={p.min}
+                        max={p.max}
+                        step="any"
+                        onChange={(e) => setParam(i, key, e.target.value)}
+                        style={inputStyle}
+                      />
+                    </label>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+
+          <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+            <select value={newType} onChange={(e) => setNewType(e.target.value)} style={inputStyle}>
+              {Object.entries(FAULT_TYPES).map(([key, type]) => <option key={key} value={key}>{type.name}</option>)}
+            </select>
+            <button
+              onClick={() => setDraft(prev => ({ ...prev, events: [...prev.events, createFaultEvent(newType, lastAt + 1)] }))}
+              style={{ ...buttonStyle('#fb923c'), whiteSpace: 'nowrap' }}
+            >
+              + Add event
+            </button>
+          </div>
+          {errors.map(error => <div key={error} style={{ color: '#ef4444', fontSize: '0.7rem', marginTop: '0.25rem' }}>{error}</div>)}
+
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginTop: '1rem' }}>
+            <button
+              onClick={() => playable && onPlay(named)}
+              disabled={!playable}
+              style={{ ...buttonStyle('#10b981'), opacity: playable ? 1 : 0.5 }}
+              title={draft.setup ? 'Reset to the script’s site, seed and date and play it' : 'Reset the run and play the script from its first day'}
+            >
+              ⏮ Play from start
+            </button>
+            <button
+              onClick={() => playable && onArm(named)}
+              disabled={!playable}
+              style={{ ...buttonStyle('#fbbf24'), opacity: playable ? 1 : 0.5 }}
+              title="Play against the current run, with day 1 as today"
+            >
+              ▶ Play from today
+            </button>
+            <button
+              onClick={() => valid && onSaveScript({ ...named, setup: setup })}
+              disabled={!valid}
+              style={{ ...buttonStyle('#00b4ff'), opacity: valid ? 1 : 0.5 }}
+            >
+              {scripts[named.name] ? 'Overwrite' : 'Save'}
+            </button>
+            <button
+              onClick={() => valid && downloadFile(`${slug(named.name)}.json`, serializeFaultScript({ ...named, setup: draft.setup || setup }), 'application/json')}
+              disabled={!valid}
+              style={{ ...buttonStyle('#fbbf24'), opacity: valid ? 1 : 0.5 }}
+            >
+              ⬇ Export
+            </button>
+            <button onClick={() => fileInput.current && fileInput.current.click()} style={buttonStyle('#fbbf24')}>⬆ Import</button>
+            <input
+              ref={fileInput}
+              type="file"
+              accept=".json,application/json"
+              style={{ display: 'none' }}
+              onChange={(e) => {
+                importFile(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </div>
+          {fileError && <div style={{ color: '#ef4444', fontSize: '0.75rem', marginTop: '0.35rem' }}>{fileError}</div>}
+        </div>
+
+        <div>
+          <div style={{ fontSize: '0.8rem', color: '#8b95a5', marginBottom: '0.5rem' }}>Saved scripts</div>
+          {Object.keys(scripts).length === 0 && <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>None yet.</div>}
+          {Object.entries(scripts).map(([name, script]) => (
+            <div key={name} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.8rem', marginBottom: '0.35rem' }}>
+              <span style={{ color: '#e0e6ed' }}>
+                {name} <span style={{ color: '#6b7280' }}>· {script.events.length} events</span>
+              </span>
+              <span style={{ display: 'flex', gap: '0.35rem' }}>
+                <button onClick={() => setDraft(script)} style={smallButton('#00b4ff')}>Edit</button>
+                <button onClick={() => onPlay(script)} style={smallButton('#10b981')}>Play</button>
+                <button onClick={() => onDeleteScript(name)} style={smallButton('#ef4444')}>Delete</button>
+              </span>
+            </div>
+          ))}
+
+          <div style={{ fontSize: '0.8rem', color: '#8b95a5', margin: '1.25rem 0 0.5rem' }}>Fault log</div>
+          <div style={{ maxHeight: '220px', overflowY: 'auto', fontSize: '0.75rem' }}>
+            {faults.log.length === 0 && <div style={{ color: '#6b7280' }}>No scripted faults yet.</div>}
+            {faults.log.slice().reverse().map((entry, i) => (
+              <div key={i} style={{ marginBottom: '0.2rem' }}>
+                <span style={{ color: '#6b7280' }}>{formatSimTime(entry.time)}</span> <span style={{ color: '#e0e6ed' }}>{entry.message}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FaultConsole;
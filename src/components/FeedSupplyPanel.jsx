@@ -0,0 +1,213 @@
+import React from 'react';
+import { Truck, AlertTriangle } from 'lucide-react';
+import { FEEDSTOCK_COMPONENTS, getSupplyAlarms, formatSimTime } from '../engine';
+
+const DAY_NAMES = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+const SEVERITY_COLORS = {
+  critical: '#ef4444',
+  warning: '#fbbf24',
+  info: '#8b95a5',
+};
+
+const inputStyle = {
+  background: 'rgba(0,0,0,0.3)',
+  border: '1px solid rgba(255,255,255,0.2)',
+  borderRadius: '6px',
+  color: '#e0e6ed',
+  padding: '0.4rem',
+  fontSize: '0.8rem',
+  width: '100%'
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Feed deliveries, store inventory and composition, with contamination alarms
+const FeedSupplyPanel = ({ supply, now, onChange }) => {
+  const { settings } = supply;
+  const alarms = getSupplyAlarms(supply, now);
+  const composition = supply.composition || {};
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  const numberField = (label, value, unit, min, max, apply) => (
+    <label style={{ fontSize: '0.7rem', color: '#8b95a5' }}>
+      {label} ({unit})
+      <input
+        type="number"
+        value={Math.round(value * 100) / 100}
+        min={min}
+        max={max}
+        onChange={(e) => {
+          const parsed = parseFloat(e.target.value);
+          if (Number.isFinite(parsed)) apply(clamp(parsed, min, max));
+        }}
+        style={{ ...inputStyle, marginTop: '0.25rem' }}
+      />
+    </label>
+  );
+
+  return (
+    <div style={{
+      marginTop: '1.5rem',
+      background: 'rgba(15,23,42,0.6)',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid rgba(255,255,255,0.1)',
+      borderRadius: '16px',
+      padding: '1.5rem',
+      boxShadow: '0 8px 32px rgba(0,0,0,0.3)',
+      position: 'relative',
+      zIndex: 1
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '1rem', marginBottom: '1.5rem' }}>
+        <h3 style={{
+          margin: 0,
+          fontSize: '1.2rem',
+          color: '#f59e0b',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem'
+        }}>
+          <Truck size={20} />
+          Feedstock Supply
+        </h3>
+        <label style={{ fontSize: '0.85rem', color: '#8b95a5', display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+          />
+          Variable supply
+        </label>
+      </div>
+
+      {!settings.enabled ? (
+        <div style={{ fontSize: '0.85rem', color: '#6b7280' }}>
+          Off: the selected plastic is fed at its nominal composition with unlimited stock.
+        </div>
+      ) : (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))', gap: '1.5rem' }}>
+          <div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.85rem', marginBottom: '0.5rem' }}>
+              <span style={{ color: '#8b95a5' }}>Feed store</span>
+              <span style={{ color: '#f59e0b', fontWeight: 700 }}>
+                {supply.inventory.toFixed(1)} / {settings.capacity} t
+              </span>
+            </div>
+            <div style={{ height: '14px', background: 'rgba(255,255,255,0.1)', borderRadius: '7px', overflow: 'hidden', marginBottom: '1rem' }}>
+              <div style={{
+                height: '100%',
+                width: `${clamp(supply.inventory / settings.capacity, 0, 1) * 100}%`,
+                background: 'linear-gradient(90deg, #f59e0b, #fbbf24)',
+                transition: 'width 0.3s'
+              }} />
+            </div>
+
+            <div style={{ fontSize: '0.85rem', color: '#8b95a5', marginBottom: '0.5rem' }}>Composition in store</div>
+            <div style={{ display: 'flex', height: '14px', borderRadius: '7px', overflow: 'hidden', marginBottom: '0.5rem' }}>
+              {Object.entries(composition).map(([key, fraction]) => (
+                <div
+                  key={key}
+                  title={`${key} ${(fraction * 100).toFixed(1)}%`}
+                  style={{ width: `${fraction * 100}%`, background: FEEDSTOCK_COMPONENTS[key].color }}
+                />
+              ))}
+            </div>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem 0.75rem', fontSize: '0.7rem' }}>
+              {Object.entries(composition).map(([key, fraction]) => (
+                <span key={key} style={{ color: FEEDSTOCK_COMPONENTS[key].color }}>
+                  {key} {(fraction * 100).toFixed(1)}%
+                </span>
+              ))}
+            </div>
+
+            {alarms.length > 0 && (
+              <div style={{ marginTop: '1rem' }}>
+                {alarms.map((alarm, i) => (
+                  <div key={`${alarm.message}-${i}`} style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '0.5rem',
+                    fontSize: '0.8rem',
+                    color: SEVERITY_COLORS[alarm.severity],
+                    marginBottom: '0.25rem'
+                  }}>
+                    <AlertTriangle size={14} />
+                    {alarm.message}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem', marginBottom: '0.75rem' }}>
+              {numberField('Store capacity', settings.capacity, 't', 1, 10000, capacity => update({ capacity }))}
+              {numberField('Truck size', settings.truckSize, 't', 0.1, 1000, truckSize => update({ truckSize }))}
+              {numberField('Composition drift', settings.drift * 100, '%/day', 0, 50, percent => update({ drift: percent / 100 }))}
+              {numberField('Contaminated loads', settings.contaminationRate * 100, '%', 0, 100, percent => update({ contaminationRate: percent / 100 }))}
+            </div>
+            <div style={{ fontSize: '0.7rem', color: '#8b95a5', marginBottom: '0.25rem' }}>Delivery days</div>
+            <div style={{ display: 'flex', gap: '4px', marginBottom: '0.75rem' }}>
+              {DAY_NAMES.map((day, i) => (
+                <button
+                  key={i}
+                  onClick={() => update({ deliveryDays: settings.deliveryDays.map((on, d) => (d === i ? !on : on)) })}
+                  style={{
+                    flex: 1,
+                    padding: '0.25rem 0',
+                    fontSize: '0.75rem',
+                    cursor: 'pointer',
+                    borderRadius: '4px',
+                    border: '1px solid rgba(245,158,11,0.4)',
+                    background: settings.deliveryDays[i] ? 'rgba(245,158,11,0.3)' : 'transparent',
+                    color: settings.deliveryDays[i] ? '#f59e0b' : '#6b7280'
+                  }}
+                >
+                  {day}
+                </button>
+              ))}
+            </div>
+            <div style={{ fontSize: '0.7rem', color: '#8b95a5', marginBottom: '0.25rem' }}>Delivery hours (click to toggle)</div>
+            <div style={{ display: 'flex', gap: '2px' }}>
+              {Array.from({ length: 24 }, (_, hour) => {
+                const active = settings.deliveryHours.includes(hour);
+                return (
+                  <div
+                    key={hour}
+                    title={`${String(hour).padStart(2, '0')}:00`}
+                    onClick={() => update({
+                      deliveryHours: active
+                        ? settings.deliveryHours.filter(h => h !== hour)
+                        : [...settings.deliveryHours, hour].sort((a, b) => a - b),
+                    })}
+                    style={{
+                      flex: 1,
+                      height: '18px',
+                      cursor: 'pointer',
+                      background: active ? '#f59e0b' : 'rgba(255,255,255,0.05)'
+                    }}
+                  />
+                );
+              })}
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.6rem', color: '#6b7280' }}>
+              <span>00</span><span>06</span><span>12</span><span>18</span><span>23</span>
+            </div>
+
+            <div style={{ fontSize: '0.7rem', color: '#8b95a5', margin: '1rem 0 0.25rem' }}>Recent supply events</div>
+            <div style={{ maxHeight: '120px', overflowY: 'auto', fontSize: '0.75rem' }}>
+              {supply.log.length === 0 && <div style={{ color: '#6b7280' }}>No deliveries yet.</div>}
+              {supply.log.slice(-10).reverse().map((entry, i) => (
+                <div key={`${entry.time}-${i}`} style={{ color: SEVERITY_COLORS[entry.severity], marginBottom: '0.15rem' }}>
+                  <span style={{ color: '#6b7280' }}>{formatSimTime(entry.time)}</span> {entry.message}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FeedSupplyPanel;
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { Layers } from 'lucide-react';
+import { PLASTIC_TYPES, FEEDSTOCK_COMPONENTS, blendFeedstock } from '../engine';
+
+const inputStyle = {
+  background: 'rgba(0,0,0,0.3)',
+  border: '1px solid rgba(255,255,255,0.2)',
+  borderRadius: '6px',
+  color: '#e0e6ed',
+  padding: '0.4rem',
+  fontSize: '0.85rem',
+  width: '100%'
+};
+
+const buttonStyle = (color) => ({
+  background: `${color}20`,
+  border: `1px solid ${color}80`,
+  borderRadius: '6px',
+  color,
+  padding: '0.4rem 0.9rem',
+  cursor: 'pointer',
+  fontSize: '0.85rem'
+});
+
+const emptyComposition = () => Object.fromEntries(Object.keys(FEEDSTOCK_COMPONENTS).map(key => [key, 0]));
+
+const toPercent = (fractions) => ({
+  ...emptyComposition(),
+  ...Object.fromEntries(Object.entries(fractions).map(([key, value]) => [key, Math.round(value * 1000) / 10])),
+});
+
+// Editor for custom feedstock blends by mass fraction, with a live preview
+// of the blended yields and reactor temperature
+const FeedstockEditor = ({ feedstocks, selected, onSave, onDelete, onSelect, onClose }) => {
+  const [name, setName] = useState('');
+  const [composition, setComposition] = useState(() => ({ ...emptyComposition(), HDPE: 40, LDPE: 25, PP: 20, PET: 8, PVC: 2, Contaminants: 5 }));
+
+  const total = Object.values(composition).reduce((sum, v) => sum + v, 0);
+  let preview = null;
+  let error = null;
+  try {
+    preview = blendFeedstock(name || 'Preview', composition);
+  } catch (err) {
+    error = err.message;
+  }
+
+  const trimmed = name.trim();
+  if (!error && !trimmed) error = 'Name the blend to save it';
+  if (!error && PLASTIC_TYPES[trimmed]) error = `"${trimmed}" is a built-in plastic type`;
+
+  const save = () => {
+    if (error) return;
+    onSave(trimmed, blendFeedstock(trimmed, composition, {
+      description: Object.entries(preview.composition)
+        .map(([key, value]) => `${key} ${(value * 100).toFixed(0)}%`)
+        .join(', '),
+    }));
+  };
+
+  const edit = (key) => {
+    setName(key);
+    setComposition(toPercent(feedstocks[key].composition));
+  };
+
+  return (
+    <div style={{
+      marginTop: '1rem',
+      background: 'rgba(15,23,42,0.8)',
+      border: '1px solid rgba(245,158,11,0.3)',
+      borderRadius: '12px',
+      padding: '1rem',
+      textAlign: 'left'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+        <div style={{ color: '#f59e0b', fontWeight: 600, display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <Layers size={16} />
+          Feedstock Blends
+        </div>
+        <button onClick={onClose} style={buttonStyle('#8b95a5')}>✕</button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))', gap: '1.5rem' }}>
+        <div>
+          <label style={{ fontSize: '0.75rem', color: '#8b95a5' }}>
+            Blend name
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Curbside MSW"
+              style={{ ...inputStyle, marginTop: '0.25rem', marginBottom: '0.75rem' }}
+            />
+          </label>
+          {Object.entries(FEEDSTOCK_COMPONENTS).map(([key, component]) => (
+            <div key={key} style={{ display: 'grid', gridTemplateColumns: '90px 1fr 60px', gap: '0.5rem', alignItems: 'center', marginBottom: '0.4rem' }}>
+              <span style={{ fontSize: '0.8rem', color: component.color }} title={component.name}>{key}</span>
+              <input
+                type="range"
+                min="0"
+                max="100"
+                step="0.5"
+                value={composition[key]}
+                onChange={(e) => setComposition(prev => ({ ...prev, [key]: parseFloat(e.target.value) }))}
+              />
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={composition[key]}
+                onChange={(e) => {
+                  const value = parseFloat(e.target.value);
+                  setComposition(prev => ({ ...prev, [key]: Number.isFinite(value) ? Math.max(0, Math.min(value, 100)) : 0 }));
+                }}
+                style={{ ...inputStyle, padding: '0.2rem 0.3rem' }}
+              />
+            </div>
+          ))}
+          <div style={{ fontSize: '0.7rem', color: Math.abs(total - 100) < 0.01 ? '#6b7280' : '#fbbf24', marginTop: '0.25rem' }}>
+            Total {total.toFixed(1)}%{Math.abs(total - 100) >= 0.01 && ' — fractions are normalized to 100% on save'}
+          </div>
+        </div>
+
+        <div>
+          <div style={{ fontSize: '0.8rem', color: '#8b95a5', marginBottom: '0.5rem' }}>Blended properties</div>
+          {preview && (
+            <div style={{ fontSize: '0.8rem', lineHeight: 1.7 }}>
+              <div>H₂ yield: <strong style={{ color: '#10b981' }}>{preview.h2_yield.toFixed(1)} mmol/g</strong></div>
+              <div>Carbon: <strong>{(preview.carbon_yield * 100).toFixed(1)}%</strong> · Oil: <strong>{(preview.oil_yield * 100).toFixed(1)}%</strong> · Gas: <strong>{(preview.gas_yield * 100).toFixed(1)}%</strong></div>
+              <div>Carbon content: <strong>{(preview.carbon_content * 100).toFixed(1)}%</strong></div>
+              <div>Optimal temperature: <strong style={{ color: '#ff8800' }}>{preview.optimal_temp}°C</strong></div>
+            </div>
+          )}
+          {error && <div style={{ fontSize: '0.75rem', color: '#fbbf24', margin: '0.5rem 0' }}>{error}</div>}
+          <button onClick={save} disabled={!!error} style={{ ...buttonStyle('#f59e0b'), marginTop: '0.75rem', opacity: error ? 0.5 : 1 }}>
+            {feedstocks[trimmed] ? 'Update blend' : 'Save blend'}
+          </button>
+
+          <div style={{ fontSize: '0.8rem', color: '#8b95a5', margin: '1.25rem 0 0.5rem' }}>Saved blends</div>
+          {Object.keys(feedstocks).length === 0 && (
+            <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>None yet.</div>
+          )}
+          {Object.entries(feedstocks).map(([key, blend]) => (
+            <div key={key} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.4rem', fontSize: '0.8rem' }}>
+              <span style={{ flex: 1, color: key === selected ? '#f59e0b' : '#e0e6ed' }} title={blend.description}>{key}</span>
+              <button onClick={() => onSelect(key)} style={buttonStyle('#10b981')}>Use</button>
+              <button onClick={() => edit(key)} style={buttonStyle('#00b4ff')}>Edit</button>
+              <button onClick={() => onDelete(key)} style={buttonStyle('#ef4444')}>Delete</button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FeedstockEditor;
@@ -0,0 +1,55 @@
+import React, { memo } from 'react';
+import { getFieldLayout, mirrorCleanliness, isMirrorStowed, HELIOSTAT_STATUS } from '../engine';
+
+// Mirror color by instantaneous optical efficiency (0-1)
+const efficiencyColor = (e) => `rgba(255,${Math.round(60 + 160 * e)},0,${(0.2 + 0.8 * e).toFixed(2)})`;
+
+const STATUS_COLORS = {
+  [HELIOSTAT_STATUS.FAULTY]: 'rgba(239,68,68,0.8)',
+  [HELIOSTAT_STATUS.REPAIR]: 'rgba(96,165,250,0.9)',
+};
+const STOWED_COLOR = 'rgba(148,163,184,0.55)';
+const DIRTY_STROKE = 'rgba(251,191,36,0.9)';
+
+// Plan view of the field layout around the tower, north up, each working
+// mirror colored by its optical efficiency times cleanliness at the current
+// sun position; mirrors waiting for a wash are outlined and stowed ones greyed
+const HeliostatField = ({ plant, efficiencies, heliostats, wind }) => {
+  const layout = getFieldLayout(plant);
+  const extent = layout.radius + 10;
+  const mirrorRadius = Math.sqrt(layout.area) / 2;
+
+  return (
+    <div>
+      <svg viewBox={`${-extent} ${-extent} ${2 * extent} ${2 * extent}`} style={{ width: '100%', height: 'auto', display: 'block' }}>
+        {layout.positions.map((p, i) => {
+          const status = heliostats.status[i];
+          const fill = STATUS_COLORS[status]
+            || (isMirrorStowed(wind, i) ? STOWED_COLOR : efficiencyColor(efficiencies[i] * mirrorCleanliness(heliostats, i)));
+          const stroke = heliostats.cleanOrdered[i] ? DIRTY_STROKE : 'none';
+          return <circle key={i} cx={p.x} cy={-p.y} r={mirrorRadius} fill={fill} stroke={stroke} strokeWidth={2} />;
+        })}
+        <circle cx={0} cy={0} r={mirrorRadius * 1.6} fill="#e0e6ed" />
+        <text x={0} y={-extent + 20} textAnchor="middle" fontSize={22} fill="#8b95a5">N</text>
+      </svg>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.7rem', color: '#8b95a5', marginTop: '0.5rem' }}>
+        <span>0%</span>
+        <div style={{
+          flex: 1,
+          height: '6px',
+          borderRadius: '3px',
+          background: `linear-gradient(90deg, ${efficiencyColor(0)}, ${efficiencyColor(0.5)}, ${efficiencyColor(1)})`
+        }} />
+        <span>100% optical efficiency</span>
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'center', gap: '1rem', fontSize: '0.7rem', color: '#8b95a5', marginTop: '0.35rem' }}>
+        <span><span style={{ color: STATUS_COLORS[HELIOSTAT_STATUS.FAULTY] }}>●</span> Faulty</span>
+        <span><span style={{ color: STATUS_COLORS[HELIOSTAT_STATUS.REPAIR] }}>●</span> Under repair</span>
+        <span><span style={{ color: STOWED_COLOR }}>●</span> Stowed</span>
+        <span><span style={{ color: DIRTY_STROKE }}>○</span> Awaiting wash</span>
+      </div>
+    </div>
+  );
+};
+
+export default memo(HeliostatField);
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { LineChart as LineChartIcon } from 'lucide-react';
+import { LineChart, BarChart } from './charts';
+import { getHourlyHistory, simTime } from '../engine';
+
+const RANGES = {
+  Day: 1,
+  Week: 7,
+  Month: 31,
+};
+
+const chartTitle = (text) => (
+  <div style={{ fontSize: '0.85rem', color: '#8b95a5', margin: '0.75rem 0 0.25rem' }}>{text}</div>
+);
+
+// Time-series dashboard over the rolling plant history
+const HistoryCharts = ({ sim }) => {
+  const [range, setRange] = useState('Day');
+  const days = RANGES[range];
+  const now = simTime(sim.date, sim.hour, sim.minute);
+  const since = now - days * 86400000;
+
+  const hourly = getHourlyHistory(sim.history).filter(d => d.time >= since);
+  // Completed days plus today so far
+  const daily = [...sim.history.daily, { time: sim.date.getTime(), ...sim.dailyStats }]
+    .filter(d => d.time >= since - 86400000)
+    .slice(-days);
+
+  return (
+    <div style={{
+      marginTop: '1.5rem',
+      background: 'rgba(15,23,42,0.6)',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid rgba(255,255,255,0.1)',
+      borderRadius: '16px',
+      padding: '1.5rem',
+      boxShadow: '0 8px 32px rgba(0,0,0,0.3)',
+      position: 'relative',
+      zIndex: 1
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '1rem' }}>
+        <h3 style={{
+          margin: 0,
+          fontSize: '1.2rem',
+          color: '#00b4ff',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem'
+        }}>
+          <LineChartIcon size={20} />
+          Plant History
+        </h3>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          {Object.keys(RANGES).map(key => (
+            <button
+              key={key}
+              onClick={() => setRange(key)}
+              style={{
+                background: range === key ? 'rgba(0,180,255,0.2)' : 'transparent',
+                border: `1px solid ${range === key ? 'rgba(0,180,255,0.5)' : 'rgba(255,255,255,0.2)'}`,
+                borderRadius: '6px',
+                color: range === key ? '#00b4ff' : '#8b95a5',
+                padding: '0.25rem 0.75rem',
+                cursor: 'pointer'
+              }}
+            >
+              {key}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {hourly.length < 2 ? (
+        <div style={{ fontSize: '0.85rem', color: '#6b7280', marginTop: '1rem' }}>
+          Start the simulation to record history.
+        </div>
+      ) : (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))', gap: '0 1.5rem' }}>
+          <div>
+            {chartTitle('Solar Resource & Thermal Power')}
+            <LineChart
+              data={hourly}
+              series={[{ key: 'dni', label: 'DNI', unit: 'W/m²', color: '#ff8800' }]}
+              height={120}
+            />
+            <LineChart
+              data={hourly}
+              series={[{ key: 'thermalPower', label: 'Thermal power', unit: 'MW', color: '#00b4ff' }]}
+              height={120}
+            />
+          </div>
+          <div>
+            {chartTitle('Temperatures')}
+            <LineChart
+              data={hourly}
+              fromZero={false}
+              series={[
+                { key: 'reactorTemp', label: 'Reactor', unit: '°C', color: '#10b981' },
+                { key: 'saltHotTemp', label: 'Hot salt', unit: '°C', color: '#ff8800' },
+                { key: 'saltColdTemp', label: 'Cold salt', unit: '°C', color: '#3b82f6' },
+              ]}
+              height={240}
+            />
+          </div>
+          <div>
+            {chartTitle('Reactor Feed Rate')}
+            <LineChart
+              data={hourly}
+              series={[{ key: 'feedRate', label: 'Feed', unit: 'kg/h', color: '#10b981' }]}
+            />
+          </div>
+          <div>
+            {range === 'Day' ? (
+              <>
+                {chartTitle('Hourly Output')}
+                <BarChart
+                  data={hourly}
+                  series={[
+                    { key: 'hydrogen', label: 'H₂', unit: 'kg', color: '#10b981' },
+                    { key: 'carbon', label: 'Carbon', unit: 'kg', color: '#64748b' },
+                  ]}
+                />
+              </>
+            ) : (
+              <>
+                {chartTitle('Daily Output')}
+                <BarChart
+                  data={daily}
+                  series={[
+                    { key: 'hydrogenProduced', label: 'H₂', unit: 'kg', color: '#10b981' },
+                    { key: 'carbonProduced', label: 'Carbon', unit: 'kg', color: '#64748b' },
+                  ]}
+                />
+              </>
+            )}
+          </div>
+          {range !== 'Day' && (
+            <div>
+              {chartTitle('Daily Energy')}
+              <BarChart
+                data={daily}
+                series={[
+                  { key: 'energyCollected', label: 'Collected', unit: 'MWh', color: '#ff8800' },
+                  { key: 'heatLoss', label: 'Heat loss', unit: 'MWh', color: '#ef4444' },
+                ]}
+              />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HistoryCharts;
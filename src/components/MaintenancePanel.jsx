@@ -0,0 +1,141 @@
+import React from 'react';
+import { Wrench } from 'lucide-react';
+import { getHeliostatCounts, formatSimTime } from '../engine';
+
+const inputStyle = {
+  background: 'rgba(0,0,0,0.3)',
+  border: '1px solid rgba(255,255,255,0.2)',
+  borderRadius: '6px',
+  color: '#e0e6ed',
+  padding: '0.4rem',
+  fontSize: '0.8rem',
+  width: '100%'
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const formatShift = ([start, end]) => `${String(start).padStart(2, '0')}:00–${String(end).padStart(2, '0')}:00`;
+
+const Figure = ({ label, value, color = '#e0e6ed' }) => (
+  <div style={{ padding: '0.5rem', background: 'rgba(0,0,0,0.2)', borderRadius: '8px' }}>
+    <div style={{ fontSize: '0.7rem', color: '#8b95a5' }}>{label}</div>
+    <div style={{ fontSize: '1.1rem', fontWeight: 700, color }}>{value}</div>
+  </div>
+);
+
+// Heliostat O&M: crew sizing and shifts, the work-order queue and what each
+// crew is doing, with cumulative repair and cleaning figures
+const MaintenancePanel = ({ heliostats, onChange }) => {
+  const { settings, queue, crews, stats } = heliostats;
+  const counts = getHeliostatCounts(heliostats);
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  const numberField = (label, value, unit, min, max, apply, integer = false) => (
+    <label style={{ fontSize: '0.7rem', color: '#8b95a5' }}>
+      {label} ({unit})
+      <input
+        type="number"
+        value={Math.round(value * 1000) / 1000}
+        min={min}
+        max={max}
+        step={integer ? 1 : 'any'}
+        onChange={(e) => {
+          const parsed = parseFloat(e.target.value);
+          if (Number.isFinite(parsed)) apply(clamp(integer ? Math.round(parsed) : parsed, min, max));
+        }}
+        style={{ ...inputStyle, marginTop: '0.25rem' }}
+      />
+    </label>
+  );
+
+  const crewList = (label, list, shift) => (
+    <div style={{ marginBottom: '0.75rem' }}>
+      <div style={{ fontSize: '0.75rem', color: '#8b95a5', marginBottom: '0.25rem' }}>
+        {label} · shift {formatShift(shift)}
+      </div>
+      {list.length === 0 && <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>No crews</div>}
+      {list.map((crew, i) => (
+        <div key={i} style={{ fontSize: '0.75rem', color: crew.order ? '#e0e6ed' : '#6b7280' }}>
+          Crew {i + 1}: {crew.order
+            ? `heliostat #${crew.order.heliostat + 1}, ${crew.hoursLeft.toFixed(1)} h left`
+            : 'idle'}
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div style={{
+      marginTop: '1.5rem',
+      background: 'rgba(15,23,42,0.6)',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid rgba(255,255,255,0.1)',
+      borderRadius: '16px',
+      padding: '1.5rem',
+      boxShadow: '0 8px 32px rgba(0,0,0,0.3)',
+      position: 'relative',
+      zIndex: 1
+    }}>
+      <h3 style={{
+        margin: '0 0 1.5rem 0',
+        fontSize: '1.2rem',
+        color: '#fb923c',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem'
+      }}>
+        <Wrench size={20} />
+        Field O&amp;M
+      </h3>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))', gap: '1.5rem' }}>
+        <div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem', marginBottom: '1rem' }}>
+            <Figure label="Mean cleanliness" value={`${(counts.cleanliness * 100).toFixed(1)}%`} color="#fbbf24" />
+            <Figure label="Unavailable" value={counts.faulty + counts.maintenance} color="#ef4444" />
+            <Figure label="Repairs done" value={stats.repairs} />
+            <Figure label="Washes done" value={stats.cleanings} />
+            <Figure
+              label="Mean repair wait"
+              value={stats.repairs > 0 ? `${(stats.repairWaitHours / stats.repairs).toFixed(1)} h` : '–'}
+            />
+            <Figure label="Open orders" value={`${queue.repair.length} / ${queue.clean.length}`} />
+          </div>
+          <div style={{ fontSize: '0.7rem', color: '#6b7280' }}>Open orders: repair / cleaning</div>
+        </div>
+
+        <div>
+          {crewList('Repair crews', crews.repair, settings.repairShift)}
+          {crewList('Cleaning crews', crews.cleaning, settings.cleaningShift)}
+          <div style={{ fontSize: '0.75rem', color: '#8b95a5', margin: '0.75rem 0 0.25rem' }}>Oldest repair orders</div>
+          <div style={{ maxHeight: '100px', overflowY: 'auto', fontSize: '0.75rem' }}>
+            {queue.repair.length === 0 && <div style={{ color: '#6b7280' }}>Repair queue empty.</div>}
+            {queue.repair.slice(0, 10).map(order => (
+              <div key={order.id} style={{ color: '#ef4444', marginBottom: '0.15rem' }}>
+                <span style={{ color: '#6b7280' }}>{formatSimTime(order.created)}</span> #{order.id} heliostat {order.heliostat + 1}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
+            {numberField('Repair crews', settings.repairCrews, 'crews', 0, 20, repairCrews => update({ repairCrews }), true)}
+            {numberField('Cleaning crews', settings.cleaningCrews, 'crews', 0, 20, cleaningCrews => update({ cleaningCrews }), true)}
+            {numberField('Repair time', settings.repairHours, 'h', 0.5, 72, repairHours => update({ repairHours }))}
+            {numberField('Wash rate', settings.cleaningRate, 'mirrors/h', 1, 100, cleaningRate => update({ cleaningRate }))}
+            {numberField('Failure rate', settings.failureRate * 100, '%/yr', 0, 100, percent => update({ failureRate: percent / 100 }))}
+            {numberField('Soiling', settings.soilingRate * 100, '%/day', 0, 5, percent => update({ soilingRate: percent / 100 }))}
+            {numberField('Wash below', settings.cleaningThreshold * 100, '%', 60, 100, percent => update({ cleaningThreshold: percent / 100 }))}
+            {numberField('Repair shift start', settings.repairShift[0], 'h', 0, 23, start => update({ repairShift: [start, settings.repairShift[1]] }), true)}
+            {numberField('Repair shift end', settings.repairShift[1], 'h', 0, 24, end => update({ repairShift: [settings.repairShift[0], end] }), true)}
+            {numberField('Wash shift start', settings.cleaningShift[0], 'h', 0, 23, start => update({ cleaningShift: [start, settings.cleaningShift[1]] }), true)}
+            {numberField('Wash shift end', settings.cleaningShift[1], 'h', 0, 24, end => update({ cleaningShift: [settings.cleaningShift[0], end] }), true)}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MaintenancePanel;
@@ -0,0 +1,187 @@
+import React, { useRef, useState } from 'react';
+import { Settings } from 'lucide-react';
+import { PLANT_PARAMETERS, PLANT_GROUPS, DEFAULT_PLANT, validatePlantConfig, serializePlantDesign, parsePlantDesign } from '../engine';
+import { downloadFile } from '../utils/download';
+
+const inputStyle = {
+  background: 'rgba(0,0,0,0.3)',
+  border: '1px solid rgba(255,255,255,0.2)',
+  borderRadius: '6px',
+  color: '#e0e6ed',
+  padding: '0.4rem',
+  fontSize: '0.85rem',
+  width: '100%'
+};
+
+const buttonStyle = (color) => ({
+  background: `${color}20`,
+  border: `1px solid ${color}80`,
+  borderRadius: '6px',
+  color,
+  padding: '0.4rem 0.9rem',
+  cursor: 'pointer',
+  fontSize: '0.85rem'
+});
+
+const toDraft = (config) => Object.fromEntries(Object.keys(PLANT_PARAMETERS).map(key => [key, String(config[key])]));
+const fromDraft = (draft) => Object.fromEntries(Object.entries(draft).map(([key, text]) => [key, text.trim() === '' ? NaN : Number(text)]));
+
+const slug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'plant';
+
+// Editor for every plant constant with validation, named presets and JSON
+// design files. Applying a design resets the simulation.
+const PlantConfigPanel = ({ config, presets, onApply, onSavePreset, onDeletePreset, onClose }) => {
+  const [draft, setDraft] = useState(() => toDraft(config));
+  const [name, setName] = useState('');
+  const [fileError, setFileError] = useState(null);
+  const fileInput = useRef(null);
+
+  const values = fromDraft(draft);
+  const errors = validatePlantConfig(values);
+  const valid = Object.keys(errors).length === 0;
+  const changed = Object.keys(PLANT_PARAMETERS).some(key => values[key] !== config[key]);
+  const trimmed = name.trim();
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      const design = parsePlantDesign(await file.text(), file.name);
+      setDraft(toDraft(design.constants));
+      setName(design.name);
+      setFileError(null);
+    } catch (err) {
+      setFileError(err.message);
+    }
+  };
+
+  return (
+    <div style={{
+      marginTop: '1rem',
+      background: 'rgba(15,23,42,0.8)',
+      border: '1px solid rgba(148,163,184,0.3)',
+      borderRadius: '12px',
+      padding: '1rem',
+      textAlign: 'left'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+        <div style={{ color: '#cbd5e1', fontWeight: 600, display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <Settings size={16} />
+          Plant Configuration
+        </div>
+        <button onClick={onClose} style={buttonStyle('#8b95a5')}>✕</button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '1.25rem' }}>
+        {PLANT_GROUPS.map(group => (
+          <div key={group}>
+            <div style={{ fontSize: '0.8rem', color: '#8b95a5', marginBottom: '0.5rem' }}>{group}</div>
+            {Object.entries(PLANT_PARAMETERS).filter(([, meta]) => meta.group === group).map(([key, meta]) => (
+              <label key={key} style={{ display: 'block', fontSize: '0.75rem', color: '#8b95a5', marginBottom: '0.5rem' }}>
+                {meta.label} ({meta.unit})
+                {values[key] !== DEFAULT_PLANT[key] && !errors[key] && (
+                  <span style={{ color: '#6b7280' }}> · default {DEFAULT_PLANT[key]}</span>
+                )}
+                <input
+                  type="number"
+                  value={draft[key]}
+                  min={meta.min}
+                  max={meta.max}
+                  step={meta.integer ? 1 : 'any'}
+                  onChange={(e) => setDraft(prev => ({ ...prev, [key]: e.target.value }))}
+                  style={{ ...inputStyle, marginTop: '0.25rem', border: errors[key] ? '1px solid #ef4444' : inputStyle.border }}
+                />
+                {errors[key] && <div style={{ color: '#ef4444', fontSize: '0.7rem', marginTop: '0.15rem' }}>{errors[key]}</div>}
+              </label>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'center', marginTop: '0.5rem' }}>
+        <button
+          onClick={() => valid && onApply(values)}
+          disabled={!valid || !changed}
+          style={{ ...buttonStyle('#10b981'), opacity: valid && changed ? 1 : 0.5 }}
+        >
+          Apply &amp; reset simulation
+        </button>
+        <button onClick={() => setDraft(toDraft(DEFAULT_PLANT))} style={buttonStyle('#8b95a5')}>Defaults</button>
+        <button onClick={() => setDraft(toDraft(config))} disabled={!changed} style={{ ...buttonStyle('#8b95a5'), opacity: changed ? 1 : 0.5 }}>
+          Revert
+        </button>
+        {!valid && <span style={{ fontSize: '0.75rem', color: '#ef4444' }}>Fix the highlighted values to apply or save</span>}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))', gap: '1.5rem', marginTop: '1.25rem' }}>
+        <div>
+          <div style={{ fontSize: '0.8rem', color: '#8b95a5', marginBottom: '0.5rem' }}>Save design</div>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. 50 MW Atacama"
+              style={inputStyle}
+            />
+            <button
+              onClick={() => valid && trimmed && onSavePreset(trimmed, values)}
+              disabled={!valid || !trimmed}
+              style={{ ...buttonStyle('#00b4ff'), opacity: valid && trimmed ? 1 : 0.5, whiteSpace: 'nowrap' }}
+            >
+              {presets[trimmed] ? 'Overwrite' : 'Save'}
+            </button>
+          </div>
+          <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+            <button
+              onClick={() => valid && downloadFile(`${slug(trimmed || 'plant')}.json`, serializePlantDesign(trimmed || 'Plant design', values), 'application/json')}
+              disabled={!valid}
+              style={{ ...buttonStyle('#fbbf24'), opacity: valid ? 1 : 0.5 }}
+            >
+              ⬇ Export JSON
+            </button>
+            <button onClick={() => fileInput.current && fileInput.current.click()} style={buttonStyle('#fbbf24')}>
+              ⬆ Import JSON
+            </button>
+            <input
+              ref={fileInput}
+              type="file"
+              accept=".json,application/json"
+              style={{ display: 'none' }}
+              onChange={(e) => {
+                importFile(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </div>
+          {fileError && <div style={{ color: '#ef4444', fontSize: '0.75rem', marginTop: '0.35rem' }}>{fileError}</div>}
+        </div>
+
+        <div>
+          <div style={{ fontSize: '0.8rem', color: '#8b95a5', marginBottom: '0.5rem' }}>Saved designs</div>
+          {Object.keys(presets).length === 0 && <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>None yet.</div>}
+          {Object.entries(presets).map(([presetName, constants]) => (
+            <div key={presetName} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.8rem', marginBottom: '0.35rem' }}>
+              <span style={{ color: '#e0e6ed' }}>{presetName}</span>
+              <span style={{ display: 'flex', gap: '0.35rem' }}>
+                <button
+                  onClick={() => {
+                    setDraft(toDraft({ ...DEFAULT_PLANT, ...constants }));
+                    setName(presetName);
+                  }}
+                  style={{ ...buttonStyle('#00b4ff'), padding: '0.15rem 0.5rem', fontSize: '0.75rem' }}
+                >
+                  Load
+                </button>
+                <button onClick={() => onDeletePreset(presetName)} style={{ ...buttonStyle('#ef4444'), padding: '0.15rem 0.5rem', fontSize: '0.75rem' }}>
+                  Delete
+                </button>
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PlantConfigPanel;
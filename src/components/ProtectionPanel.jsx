@@ -0,0 +1,186 @@
+import React from 'react';
+import { ShieldAlert } from 'lucide-react';
+import { TRIP_CAUSES, formatSimTime } from '../engine';
+
+const inputStyle = {
+  background: 'rgba(0,0,0,0.3)',
+  border: '1px solid rgba(255,255,255,0.2)',
+  borderRadius: '6px',
+  color: '#e0e6ed',
+  padding: '0.4rem',
+  fontSize: '0.8rem',
+  width: '100%'
+};
+
+const STATUS_STYLES = {
+  normal: { label: 'Normal operation', color: '#10b981' },
+  tripped: { label: 'TRIPPED', color: '#ef4444' },
+  restarting: { label: 'Restart sequence', color: '#fbbf24' },
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const Figure = ({ label, value, color = '#e0e6ed' }) => (
+  <div style={{ padding: '0.5rem', background: 'rgba(0,0,0,0.2)', borderRadius: '8px' }}>
+    <div style={{ fontSize: '0.7rem', color: '#8b95a5' }}>{label}</div>
+    <div style={{ fontSize: '1.1rem', fontWeight: 700, color }}>{value}</div>
+  </div>
+);
+
+// Plant protection: trip status with emergency stop and reset, heat tracing
+// and defocus state, the trip history, and the protection limits
+const ProtectionPanel = ({ protection, now, onTrip, onReset, onChange }) => {
+  const { settings, status, trip, stats } = protection;
+  const { label, color } = STATUS_STYLES[status];
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  const numberField = (name, value, unit, min, max, apply) => (
+    <label style={{ fontSize: '0.7rem', color: '#8b95a5' }}>
+      {name} ({unit})
+      <input
+        type="number"
+        value={value}
+        min={min}
+        max={max}
+        step="any"
+        onChange={(e) => {
+          const parsed = parseFloat(e.target.value);
+          if (Number.isFinite(parsed)) apply(clamp(parsed, min, max));
+        }}
+        style={{ ...inputStyle, marginTop: '0.25rem' }}
+      />
+    </label>
+  );
+
+  return (
+    <div style={{
+      marginTop: '1.5rem',
+      background: 'rgba(15,23,42,0.6)',
+      backdropFilter: 'blur(10px)',
+      border: `1px solid ${status === 'normal' ? 'rgba(255,255,255,0.1)' : `${color}80`}`,
+      borderRadius: '16px',
+      padding: '1.5rem',
+      boxShadow: '0 8px 32px rgba(0,0,0,0.3)',
+      position: 'relative',
+      zIndex: 1
+    }}>
+      <h3 style={{
+        margin: '0 0 1.5rem 0',
+        fontSize: '1.2rem',
+        color: '#f472b6',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem'
+      }}>
+        <ShieldAlert size={20} />
+        Plant Protection
+      </h3>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))', gap: '1.5rem' }}>
+        <div>
+          <div style={{
+            padding: '0.75rem',
+            marginBottom: '0.75rem',
+            background: `${color}15`,
+            border: `1px solid ${color}60`,
+            borderRadius: '8px'
+          }}>
+            <div style={{ fontSize: '1rem', fontWeight: 700, color }}>{label}</div>
+            {status !== 'normal' && trip && (
+              <div style={{ fontSize: '0.75rem', color: '#e0e6ed', marginTop: '0.25rem' }}>
+                {trip.message} · {formatSimTime(trip.time)}
+              </div>
+            )}
+            {status === 'restarting' && (
+              <div style={{ fontSize: '0.75rem', color: '#8b95a5', marginTop: '0.25rem' }}>
+                Feed resumes in {Math.max(0, (protection.restartAt - now) / 3600000).toFixed(1)} h
+              </div>
+            )}
+            {status === 'tripped' && trip.cause !== 'manual' && (
+              <div style={{ fontSize: '0.75rem', color: '#8b95a5', marginTop: '0.25rem' }}>
+                Restarts automatically once the cause clears
+              </div>
+            )}
+          </div>
+          <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem' }}>
+            <button
+              onClick={onTrip}
+              disabled={status === 'tripped'}
+              style={{
+                flex: 1,
+                background: 'rgba(239,68,68,0.2)',
+                border: '2px solid rgba(239,68,68,0.6)',
+                color: '#ef4444',
+                padding: '0.5rem',
+                borderRadius: '8px',
+                fontWeight: 700,
+                cursor: 'pointer',
+                opacity: status === 'tripped' ? 0.5 : 1
+              }}
+            >
+              ■ EMERGENCY STOP
+            </button>
+            <button
+              onClick={onReset}
+              disabled={status !== 'tripped' || trip.cause !== 'manual'}
+              style={{
+                flex: 1,
+                background: 'rgba(16,185,129,0.15)',
+                border: '2px solid rgba(16,185,129,0.5)',
+                color: '#10b981',
+                padding: '0.5rem',
+                borderRadius: '8px',
+                fontWeight: 700,
+                cursor: 'pointer',
+                opacity: status === 'tripped' && trip.cause === 'manual' ? 1 : 0.5
+              }}
+            >
+              ↻ Reset &amp; restart
+            </button>
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
+            <Figure label="Heat tracing" value={`${(protection.heaterPower * 1000).toFixed(0)} kW`} color={protection.heaterPower > 0 ? '#fbbf24' : '#e0e6ed'} />
+            <Figure label="Receiver" value={protection.defocused ? 'Defocused' : 'Focused'} color={protection.defocused ? '#ef4444' : '#10b981'} />
+            <Figure label="Trips" value={stats.trips} />
+            <Figure label="Downtime" value={`${stats.downtimeHours.toFixed(1)} h`} />
+            <Figure label="Heater energy" value={`${stats.heaterMWh.toFixed(1)} MWh`} />
+            <Figure label="Defocused" value={`${stats.defocusedHours.toFixed(1)} h`} />
+          </div>
+        </div>
+
+        <div>
+          <div style={{ fontSize: '0.75rem', color: '#8b95a5', marginBottom: '0.25rem' }}>Trip history</div>
+          <div style={{ maxHeight: '260px', overflowY: 'auto', fontSize: '0.75rem' }}>
+            {protection.log.length === 0 && <div style={{ color: '#6b7280' }}>No trips.</div>}
+            {protection.log.slice().reverse().map(entry => (
+              <div key={entry.id} style={{ marginBottom: '0.4rem', borderLeft: `3px solid ${entry.restarted === null ? '#ef4444' : '#6b7280'}`, paddingLeft: '0.5rem' }}>
+                <div style={{ color: '#e0e6ed' }}>{TRIP_CAUSES[entry.cause] || entry.cause}: {entry.message}</div>
+                <div style={{ color: '#6b7280' }}>
+                  {formatSimTime(entry.time)}
+                  {entry.cleared !== null && ` · cleared ${formatSimTime(entry.cleared)}`}
+                  {entry.restarted !== null && ` · back online ${formatSimTime(entry.restarted)}`}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
+            {numberField('Heater capacity', settings.heaterCapacity, 'MW', 0, 20, heaterCapacity => update({ heaterCapacity }))}
+            {numberField('Trace setpoint', settings.traceSetpoint, '°C', 200, 400, traceSetpoint => update({ traceSetpoint }))}
+            {numberField('Freeze trip', settings.freezeTrip, '°C', 150, 350, freezeTrip => update({ freezeTrip }))}
+            {numberField('Salt high limit', settings.saltHighLimit, '°C', 400, 650, saltHighLimit => update({ saltHighLimit }))}
+            {numberField('Reactor limit', settings.reactorHighLimit, '°C', 400, 1200, reactorHighLimit => update({ reactorHighLimit }))}
+            {numberField('Restart time', settings.restartHours, 'h', 0, 48, restartHours => update({ restartHours }))}
+          </div>
+          <div style={{ fontSize: '0.7rem', color: '#6b7280', marginTop: '0.5rem' }}>
+            Freeze and overtemperature trips stop the feed and defocus the field; feed resumes after the restart time once the cause clears.
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProtectionPanel;
@@ -0,0 +1,270 @@
+import React, { useState } from 'react';
+import { GitCompare } from 'lucide-react';
+import { LineChart } from './charts';
+import { PLANT_SIZES, scenarioMatrix, scenarioLabel } from '../engine';
+import { formatMoney } from '../utils/format';
+
+const MAX_SCENARIOS = 24;
+const DURATIONS = [7, 30, 90, 365]; // days
+const PALETTE = ['#00b4ff', '#10b981', '#fbbf24', '#ef4444', '#c084fc', '#fb923c', '#06b6d4', '#a3e635'];
+
+// Table columns; `better` marks which direction wins for highlighting
+const COLUMNS = [
+  { key: 'hydrogen', label: 'H₂', unit: 't', value: r => r.totals.hydrogen / 1000, format: v => v.toFixed(2), better: 'high' },
+  { key: 'plastic', label: 'Plastic', unit: 't', value: r => r.totals.plasticProcessed / 1000, format: v => v.toFixed(1), better: 'high' },
+  { key: 'capacityFactor', label: 'Capacity factor', unit: '%', value: r => r.totals.capacityFactor * 100, format: v => v.toFixed(1), better: 'high' },
+  { key: 'solarToThermal', label: 'Solar→thermal', unit: '%', value: r => r.solarToThermal * 100, format: v => v.toFixed(1), better: 'high' },
+  { key: 'defocused', label: 'Defocused', unit: '%', value: r => r.defocused * 100, format: v => v.toFixed(1), better: 'low' },
+  { key: 'yield', label: 'H₂ yield', unit: 'kg/t', value: r => r.hydrogenPerTonne, format: v => v.toFixed(1), better: 'high' },
+  { key: 'intensity', label: 'CO₂ intensity', unit: 'kg/kg', value: r => r.carbonIntensity, format: v => v.toFixed(1), better: 'low' },
+  { key: 'lcoh', label: 'LCOH', unit: '$/kg', value: r => r.economics.lcoh, format: v => `$${v.toFixed(2)}`, better: 'low' },
+  { key: 'npv', label: 'NPV', unit: '', value: r => r.economics.npv, format: formatMoney, better: 'high' },
+];
+
+const cellStyle = {
+  padding: '0.4rem 0.6rem',
+  textAlign: 'right',
+  borderBottom: '1px solid rgba(255,255,255,0.05)',
+  whiteSpace: 'nowrap'
+};
+
+const inputStyle = {
+  background: 'rgba(0,0,0,0.3)',
+  border: '1px solid rgba(255,255,255,0.2)',
+  borderRadius: '6px',
+  color: '#e0e6ed',
+  padding: '0.4rem',
+  fontSize: '0.8rem'
+};
+
+const toDateInput = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const fromDateInput = (text) => {
+  const [year, month, day] = text.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const toggle = (list, item) => (list.includes(item) ? list.filter(x => x !== item) : [...list, item]);
+
+// Row of toggle chips for picking several options
+const ChipGroup = ({ label, options, selected, onChange }) => (
+  <div style={{ marginBottom: '0.75rem' }}>
+    <div style={{ fontSize: '0.75rem', color: '#8b95a5', marginBottom: '0.35rem' }}>{label}</div>
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.35rem' }}>
+      {options.map(option => {
+        const active = selected.includes(option);
+        return (
+          <button
+            key={option}
+            onClick={() => onChange(toggle(selected, option))}
+            style={{
+              padding: '0.25rem 0.6rem',
+              fontSize: '0.75rem',
+              cursor: 'pointer',
+              borderRadius: '12px',
+              border: `1px solid ${active ? 'rgba(0,180,255,0.6)' : 'rgba(255,255,255,0.15)'}`,
+              background: active ? 'rgba(0,180,255,0.2)' : 'transparent',
+              color: active ? '#00b4ff' : '#8b95a5'
+            }}
+          >
+            {option}
+          </button>
+        );
+      })}
+    </div>
+  </div>
+);
+
+// Best value per column among finished results, for highlighting
+const bestValues = (results) => {
+  const best = {};
+  COLUMNS.forEach(col => {
+    const values = results.map(col.value).filter(Number.isFinite);
+    if (values.length > 1) best[col.key] = col.better === 'high' ? Math.max(...values) : Math.min(...values);
+  });
+  return best;
+};
+
+// Side-by-side runs of several location × plastic × plant size combinations
+// under the same seed and date range
+const ScenarioComparison = ({ locations, plastics, defaults, run, onRun, onCancel }) => {
+  const [selectedLocations, setSelectedLocations] = useState([defaults.location]);
+  const [selectedPlastics, setSelectedPlastics] = useState([defaults.plastic]);
+  const [selectedSizes, setSelectedSizes] = useState(['Base']);
+  const [startDate, setStartDate] = useState(defaults.date);
+  const [days, setDays] = useState(30);
+
+  const scenarios = scenarioMatrix(selectedLocations, selectedPlastics, selectedSizes);
+  const running = run && !run.done;
+  const results = run ? run.results.filter(Boolean) : [];
+  const best = bestValues(results);
+
+  // Cumulative hydrogen per scenario, aligned by day
+  const series = results.map((r, i) => ({ key: `s${i}`, label: r.label, color: PALETTE[i % PALETTE.length], unit: 'kg' }));
+  const chartData = results.length > 0
+    ? results[0].daily.map((d, day) => {
+      const point = { time: d.time };
+      results.forEach((r, i) => { point[`s${i}`] = r.daily[day] ? r.daily[day].hydrogen : null; });
+      return point;
+    })
+    : [];
+  const lcohValues = results.map(r => r.economics.lcoh).filter(Number.isFinite);
+  const maxLcoh = Math.max(...lcohValues, 1);
+
+  return (
+    <div style={{
+      marginTop: '1.5rem',
+      background: 'rgba(15,23,42,0.6)',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid rgba(255,255,255,0.1)',
+      borderRadius: '16px',
+      padding: '1.5rem',
+      boxShadow: '0 8px 32px rgba(0,0,0,0.3)',
+      position: 'relative',
+      zIndex: 1
+    }}>
+      <h3 style={{
+        margin: '0 0 1.5rem 0',
+        fontSize: '1.2rem',
+        color: '#00b4ff',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem'
+      }}>
+        <GitCompare size={20} />
+        Scenario Comparison
+      </h3>
+
+      <ChipGroup label="Locations" options={locations} selected={selectedLocations} onChange={setSelectedLocations} />
+      <ChipGroup label="Plastics" options={plastics} selected={selectedPlastics} onChange={setSelectedPlastics} />
+      <ChipGroup label="Plant size (field, reactor and storage scaled together)" options={Object.keys(PLANT_SIZES)} selected={selectedSizes} onChange={setSelectedSizes} />
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.75rem', fontSize: '0.8rem', color: '#8b95a5' }}>
+        <label>
+          Start{' '}
+          <input
+            type="date"
+            value={toDateInput(startDate)}
+            onChange={(e) => e.target.value && setStartDate(fromDateInput(e.target.value))}
+            style={inputStyle}
+          />
+        </label>
+        <label>
+          Duration{' '}
+          <select value={days} onChange={(e) => setDays(Number(e.target.value))} style={inputStyle}>
+            {DURATIONS.map(d => <option key={d} value={d}>{d} days</option>)}
+          </select>
+        </label>
+        <span>
+          {scenarios.length} scenario{scenarios.length === 1 ? '' : 's'} · seed {defaults.seed} · synthetic weather
+          {scenarios.length > MAX_SCENARIOS && <span style={{ color: '#ef4444' }}> (max {MAX_SCENARIOS})</span>}
+        </span>
+        <button
+          onClick={() => (running ? onCancel() : onRun({ scenarios, startDate, days }))}
+          disabled={!running && (scenarios.length === 0 || scenarios.length > MAX_SCENARIOS)}
+          style={{
+            marginLeft: 'auto',
+            background: running ? 'rgba(239,68,68,0.2)' : 'rgba(0,180,255,0.2)',
+            border: `1px solid ${running ? 'rgba(239,68,68,0.5)' : 'rgba(0,180,255,0.5)'}`,
+            color: running ? '#ef4444' : '#00b4ff',
+            padding: '0.4rem 1rem',
+            borderRadius: '6px',
+            cursor: 'pointer',
+            fontWeight: 600
+          }}
+        >
+          {running ? 'Cancel' : 'Run comparison'}
+        </button>
+      </div>
+
+      {run && run.error && (
+        <div style={{ color: '#ef4444', fontSize: '0.85rem', marginTop: '1rem' }}>Comparison failed: {run.error}</div>
+      )}
+
+      {running && (
+        <div style={{ marginTop: '1rem' }}>
+          <div style={{ fontSize: '0.8rem', color: '#8b95a5', marginBottom: '0.35rem' }}>
+            Simulating {results.length + 1} of {run.scenarios.length}… {(run.progress * 100).toFixed(0)}%
+          </div>
+          <div style={{ height: '8px', background: 'rgba(255,255,255,0.1)', borderRadius: '4px', overflow: 'hidden' }}>
+            <div style={{
+              height: '100%',
+              width: `${run.progress * 100}%`,
+              background: 'linear-gradient(90deg, #00b4ff, #10b981)',
+              transition: 'width 0.3s'
+            }} />
+          </div>
+        </div>
+      )}
+
+      {results.length > 0 && (
+        <>
+          <div style={{ overflowX: 'auto', marginTop: '1.5rem' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+              <thead>
+                <tr style={{ color: '#8b95a5' }}>
+                  <th style={{ ...cellStyle, textAlign: 'left' }}>Scenario</th>
+                  {COLUMNS.map(col => (
+                    <th key={col.key} style={cellStyle}>
+                      {col.label}
+                      {col.unit && <div style={{ fontSize: '0.7rem', fontWeight: 400 }}>{col.unit}</div>}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {results.map((r, i) => (
+                  <tr key={r.label}>
+                    <td style={{ ...cellStyle, textAlign: 'left', color: PALETTE[i % PALETTE.length] }}>{r.label}</td>
+                    {COLUMNS.map(col => {
+                      const value = col.value(r);
+                      return (
+                        <td
+                          key={col.key}
+                          style={{ ...cellStyle, color: value === best[col.key] ? '#4ade80' : '#e0e6ed', fontWeight: value === best[col.key] ? 700 : 400 }}
+                        >
+                          {Number.isFinite(value) ? col.format(value) : '–'}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div style={{ fontSize: '0.7rem', color: '#6b7280', marginTop: '0.35rem' }}>
+            Best in each column in green. Economics annualize the {run.days}-day run; receiver and reactor costs scale with the six-tenths rule.
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))', gap: '1.5rem', marginTop: '1rem' }}>
+            <div>
+              <div style={{ fontSize: '0.85rem', color: '#8b95a5', margin: '0.75rem 0 0.25rem' }}>Cumulative H₂ (kg)</div>
+              <LineChart data={chartData} series={series} height={200} />
+            </div>
+            <div>
+              <div style={{ fontSize: '0.85rem', color: '#8b95a5', margin: '0.75rem 0 0.5rem' }}>Levelized cost of hydrogen ($/kg)</div>
+              {results.map((r, i) => (
+                <div key={r.label} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.75rem', marginBottom: '0.35rem' }}>
+                  <span style={{ width: '40%', color: '#8b95a5', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{scenarioLabel(r)}</span>
+                  <div style={{ flex: 1, height: '10px', background: 'rgba(255,255,255,0.05)', borderRadius: '5px', overflow: 'hidden' }}>
+                    <div style={{
+                      height: '100%',
+                      width: `${Number.isFinite(r.economics.lcoh) ? Math.max(0, r.economics.lcoh) / maxLcoh * 100 : 0}%`,
+                      background: PALETTE[i % PALETTE.length]
+                    }} />
+                  </div>
+                  <span style={{ width: '4rem', textAlign: 'right', color: '#e0e6ed' }}>
+                    {Number.isFinite(r.economics.lcoh) ? `$${r.economics.lcoh.toFixed(2)}` : '–'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioComparison;
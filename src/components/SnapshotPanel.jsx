@@ -0,0 +1,153 @@
+import React, { useRef, useState } from 'react';
+import { Save } from 'lucide-react';
+import { describeSnapshot, restoreSnapshot, parseSnapshot, serializeSnapshot, formatSimTime, simTime } from '../engine';
+import { downloadFile } from '../utils/download';
+
+const inputStyle = {
+  background: 'rgba(0,0,0,0.3)',
+  border: '1px solid rgba(255,255,255,0.2)',
+  borderRadius: '6px',
+  color: '#e0e6ed',
+  padding: '0.4rem',
+  fontSize: '0.85rem',
+  width: '100%'
+};
+
+const buttonStyle = (color) => ({
+  background: `${color}20`,
+  border: `1px solid ${color}80`,
+  borderRadius: '6px',
+  color,
+  padding: '0.4rem 0.9rem',
+  cursor: 'pointer',
+  fontSize: '0.85rem'
+});
+
+const smallButton = (color) => ({ ...buttonStyle(color), padding: '0.15rem 0.5rem', fontSize: '0.75rem' });
+
+// Save the whole run (plant state and design) to named browser slots or a
+// file, resume one later, and autosave so a refresh picks up where it was
+const SnapshotPanel = ({ state, snapshots, autosave, lastAutosave, onSave, onRestore, onDelete, onAutosaveChange, onClose }) => {
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+  const fileInput = useRef(null);
+  const trimmed = name.trim();
+
+  const restore = (read) => {
+    try {
+      onRestore(read());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const importFile = async (file) => {
+    if (!file) return;
+    const text = await file.text();
+    restore(() => parseSnapshot(text, file.name));
+  };
+
+  const save = () => {
+    if (!trimmed) return;
+    if (onSave(trimmed)) {
+      setError(null);
+      setName('');
+    } else {
+      setError('Browser storage is full; delete a saved run or export to a file instead');
+    }
+  };
+
+  const exportFile = () => {
+    const stamp = formatSimTime(simTime(state.date, state.hour, state.minute)).replace(/[ :]/g, '-');
+    downloadFile(`csp-pyrolysis-snapshot-${stamp}.json`, serializeSnapshot(state), 'application/json');
+  };
+
+  return (
+    <div style={{
+      marginTop: '1rem',
+      background: 'rgba(15,23,42,0.8)',
+      border: '1px solid rgba(148,163,184,0.3)',
+      borderRadius: '12px',
+      padding: '1rem',
+      textAlign: 'left'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+        <div style={{ color: '#cbd5e1', fontWeight: 600, display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <Save size={16} />
+          Saved Runs
+        </div>
+        <button onClick={onClose} style={buttonStyle('#8b95a5')}>✕</button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))', gap: '1.5rem' }}>
+        <div>
+          <div style={{ fontSize: '0.8rem', color: '#8b95a5', marginBottom: '0.5rem' }}>Save current run</div>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && save()}
+              placeholder="e.g. Atacama week 3"
+              style={inputStyle}
+            />
+            <button onClick={save} disabled={!trimmed} style={{ ...buttonStyle('#00b4ff'), opacity: trimmed ? 1 : 0.5, whiteSpace: 'nowrap' }}>
+              {snapshots[trimmed] ? 'Overwrite' : 'Save'}
+            </button>
+          </div>
+          <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+            <button onClick={exportFile} style={buttonStyle('#fbbf24')}>⬇ Export file</button>
+            <button onClick={() => fileInput.current && fileInput.current.click()} style={buttonStyle('#fbbf24')}>
+              ⬆ Resume from file
+            </button>
+            <input
+              ref={fileInput}
+              type="file"
+              accept=".json,application/json"
+              style={{ display: 'none' }}
+              onChange={(e) => {
+                importFile(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </div>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', fontSize: '0.8rem', color: '#8b95a5', marginTop: '0.75rem' }}>
+            <input type="checkbox" checked={autosave} onChange={(e) => onAutosaveChange(e.target.checked)} />
+            Autosave and resume after a page reload
+            {autosave && lastAutosave && (
+              <span style={{ color: '#6b7280' }}> · last saved {new Date(lastAutosave).toLocaleTimeString()}</span>
+            )}
+          </label>
+          {error && <div style={{ color: '#ef4444', fontSize: '0.75rem', marginTop: '0.5rem' }}>{error}</div>}
+        </div>
+
+        <div>
+          <div style={{ fontSize: '0.8rem', color: '#8b95a5', marginBottom: '0.5rem' }}>Saved runs</div>
+          {Object.keys(snapshots).length === 0 && <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>None yet.</div>}
+          {Object.entries(snapshots).map(([snapshotName, data]) => {
+            const { site, simTime: time, days, savedAt } = describeSnapshot(data);
+            return (
+              <div key={snapshotName} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem', fontSize: '0.8rem', marginBottom: '0.5rem' }}>
+                <span>
+                  <div style={{ color: '#e0e6ed' }}>{snapshotName}</div>
+                  <div style={{ fontSize: '0.7rem', color: '#6b7280' }}>
+                    {site} · {time} · day {Math.floor(days) + 1} · saved {new Date(savedAt).toLocaleString()}
+                  </div>
+                </span>
+                <span style={{ display: 'flex', gap: '0.35rem' }}>
+                  <button onClick={() => restore(() => restoreSnapshot(data, snapshotName))} style={smallButton('#10b981')}>
+                    Resume
+                  </button>
+                  <button onClick={() => onDelete(snapshotName)} style={smallButton('#ef4444')}>Delete</button>
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SnapshotPanel;
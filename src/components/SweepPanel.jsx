@@ -0,0 +1,249 @@
+import React, { useState } from 'react';
+import { Grid } from 'lucide-react';
+import { HeatMap } from './charts';
+import { SWEEP_PARAMETERS, SWEEP_OBJECTIVES, MAX_SWEEP_POINTS, createSweepRanges, sweepGrid, sweepValues, recommendConfiguration } from '../engine';
+import { formatMoney } from '../utils/format';
+
+const inputStyle = {
+  background: 'rgba(0,0,0,0.3)',
+  border: '1px solid rgba(255,255,255,0.2)',
+  borderRadius: '6px',
+  color: '#e0e6ed',
+  padding: '0.4rem',
+  fontSize: '0.8rem',
+  width: '100%'
+};
+
+const PARAMETER_KEYS = Object.keys(SWEEP_PARAMETERS);
+
+const formatParameter = (key, value) => `${Math.round(value).toLocaleString()} ${SWEEP_PARAMETERS[key].unit}`;
+
+const Figure = ({ label, value, color = '#e0e6ed' }) => (
+  <div style={{ padding: '0.5rem 0.75rem', background: 'rgba(0,0,0,0.2)', borderRadius: '8px' }}>
+    <div style={{ fontSize: '0.7rem', color: '#8b95a5' }}>{label}</div>
+    <div style={{ fontSize: '1rem', fontWeight: 700, color }}>{value}</div>
+  </div>
+);
+
+// Plant sizing: annual runs over ranges of field, reactor and storage size,
+// yield and cost surfaces over two of them, and the recommended configuration,
+// all around the current plant design
+const SweepPanel = ({ plant, locations, defaultLocation, run, onRun, onCancel }) => {
+  const [location, setLocation] = useState(defaultLocation);
+  const [objective, setObjective] = useState('lcoh');
+  const [ranges, setRanges] = useState(() => createSweepRanges(plant));
+  const [xKey, setXKey] = useState('HELIOSTAT_COUNT');
+  const [yKey, setYKey] = useState('REACTOR_CAPACITY');
+  const [sliceIndex, setSliceIndex] = useState(null);
+
+  const pointCount = sweepGrid(ranges).length;
+  const running = run && !run.done;
+  const points = run ? run.points.filter(Boolean) : [];
+  const best = recommendConfiguration(points, run ? run.objective : objective);
+
+  const setRange = (key, field, value) => {
+    const parsed = parseFloat(value);
+    if (!Number.isFinite(parsed)) return;
+    const { min, max } = SWEEP_PARAMETERS[key];
+    const clamped = field === 'steps' ? Math.min(Math.max(Math.round(parsed), 1), 10) : Math.min(Math.max(parsed, min), max);
+    setRanges(prev => ({ ...prev, [key]: { ...prev[key], [field]: clamped } }));
+  };
+
+  // Surfaces over the chosen axes, sliced at one value of the remaining parameter
+  const sliceKey = PARAMETER_KEYS.find(key => key !== xKey && key !== yKey);
+  const surfaces = run && points.length > 0 && (() => {
+    const xValues = sweepValues(xKey, run.ranges[xKey]);
+    const yValues = sweepValues(yKey, run.ranges[yKey]);
+    const sliceValues = sweepValues(sliceKey, run.ranges[sliceKey]);
+    const bestSlice = best ? sliceValues.indexOf(best.constants[sliceKey]) : 0;
+    const slice = sliceIndex !== null && sliceIndex < sliceValues.length ? sliceIndex : Math.max(bestSlice, 0);
+    const lookup = (x, y) => points.find(p => p.constants[xKey] === x && p.constants[yKey] === y && p.constants[sliceKey] === sliceValues[slice]);
+    const grid = (value) => yValues.map(y => xValues.map(x => {
+      const point = lookup(x, y);
+      return point ? value(point) : null;
+    }));
+    const highlight = best && best.constants[sliceKey] === sliceValues[slice]
+      ? { x: xValues.indexOf(best.constants[xKey]), y: yValues.indexOf(best.constants[yKey]) }
+      : null;
+    return {
+      xValues,
+      yValues,
+      sliceValues,
+      slice,
+      highlight,
+      hydrogen: grid(p => p.annual.hydrogen / 1000),
+      lcoh: grid(p => p.economics.lcoh),
+    };
+  })();
+
+  const axisSelect = (value, onChange, exclude) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} style={{ ...inputStyle, width: 'auto' }}>
+      {PARAMETER_KEYS.filter(key => key !== exclude).map(key => (
+        <option key={key} value={key}>{SWEEP_PARAMETERS[key].label}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div style={{
+      marginTop: '1.5rem',
+      background: 'rgba(15,23,42,0.6)',
+      backdropFilter: 'blur(10px)',
+      border: '1px solid rgba(255,255,255,0.1)',
+      borderRadius: '16px',
+      padding: '1.5rem',
+      boxShadow: '0 8px 32px rgba(0,0,0,0.3)',
+      position: 'relative',
+      zIndex: 1
+    }}>
+      <h3 style={{
+        margin: '0 0 1.5rem 0',
+        fontSize: '1.2rem',
+        color: '#a3e635',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem'
+      }}>
+        <Grid size={20} />
+        Plant Sizing Sweep
+      </h3>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '1rem', marginBottom: '1rem' }}>
+        {PARAMETER_KEYS.map(key => (
+          <div key={key}>
+            <div style={{ fontSize: '0.75rem', color: '#8b95a5', marginBottom: '0.25rem' }}>
+              {SWEEP_PARAMETERS[key].label} ({SWEEP_PARAMETERS[key].unit})
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 0.6fr', gap: '0.35rem' }}>
+              {['from', 'to', 'steps'].map(field => (
+                <label key={field} style={{ fontSize: '0.65rem', color: '#6b7280' }}>
+                  {field}
+                  <input
+                    type="number"
+                    value={Math.round(ranges[key][field])}
+                    onChange={(e) => setRange(key, field, e.target.value)}
+                    style={inputStyle}
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.75rem', fontSize: '0.8rem', color: '#8b95a5' }}>
+        <select value={location} onChange={(e) => setLocation(e.target.value)} style={{ ...inputStyle, width: 'auto' }}>
+          {locations.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <select value={objective} onChange={(e) => setObjective(e.target.value)} style={{ ...inputStyle, width: 'auto' }}>
+          {Object.entries(SWEEP_OBJECTIVES).map(([key, o]) => <option key={key} value={key}>{o.name}</option>)}
+        </select>
+        <span>
+          {pointCount} annual run{pointCount === 1 ? '' : 's'}
+          {pointCount > MAX_SWEEP_POINTS && <span style={{ color: '#ef4444' }}> (max {MAX_SWEEP_POINTS})</span>}
+        </span>
+        <button
+          onClick={() => (running ? onCancel() : onRun({ ranges, objective, location }))}
+          disabled={!running && pointCount > MAX_SWEEP_POINTS}
+          style={{
+            marginLeft: 'auto',
+            background: running ? 'rgba(239,68,68,0.2)' : 'rgba(163,230,53,0.15)',
+            border: `1px solid ${running ? 'rgba(239,68,68,0.5)' : 'rgba(163,230,53,0.5)'}`,
+            color: running ? '#ef4444' : '#a3e635',
+            padding: '0.4rem 1rem',
+            borderRadius: '6px',
+            cursor: 'pointer',
+            fontWeight: 600
+          }}
+        >
+          {running ? 'Cancel' : 'Run sweep'}
+        </button>
+      </div>
+
+      {run && run.error && (
+        <div style={{ color: '#ef4444', fontSize: '0.85rem', marginTop: '1rem' }}>Sweep failed: {run.error}</div>
+      )}
+
+      {running && (
+        <div style={{ marginTop: '1rem' }}>
+          <div style={{ fontSize: '0.8rem', color: '#8b95a5', marginBottom: '0.35rem' }}>
+            {points.length} of {run.total} configurations done… {(run.progress * 100).toFixed(0)}%
+          </div>
+          <div style={{ height: '8px', background: 'rgba(255,255,255,0.1)', borderRadius: '4px', overflow: 'hidden' }}>
+            <div style={{
+              height: '100%',
+              width: `${run.progress * 100}%`,
+              background: 'linear-gradient(90deg, #a3e635, #10b981)',
+              transition: 'width 0.3s'
+            }} />
+          </div>
+        </div>
+      )}
+
+      {best && (
+        <div style={{ marginTop: '1.5rem' }}>
+          <div style={{ fontSize: '0.85rem', color: '#a3e635', marginBottom: '0.5rem' }}>
+            Recommended for {run.location} ({SWEEP_OBJECTIVES[run.objective].name.toLowerCase()}{running ? ', so far' : ''})
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))', gap: '0.5rem' }}>
+            {PARAMETER_KEYS.map(key => (
+              <Figure key={key} label={SWEEP_PARAMETERS[key].label} value={formatParameter(key, best.constants[key])} color="#a3e635" />
+            ))}
+            <Figure label="H₂ per year" value={`${(best.annual.hydrogen / 1000).toFixed(1)} t`} />
+            <Figure label="LCOH" value={Number.isFinite(best.economics.lcoh) ? `$${best.economics.lcoh.toFixed(2)}/kg` : '–'} />
+            <Figure label="Capacity factor" value={`${(best.annual.capacityFactor * 100).toFixed(1)}%`} />
+            <Figure label="NPV" value={formatMoney(best.economics.npv)} />
+          </div>
+        </div>
+      )}
+
+      {surfaces && (
+        <div style={{ marginTop: '1.5rem' }}>
+          <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.5rem', fontSize: '0.8rem', color: '#8b95a5' }}>
+            <span>x</span>
+            {axisSelect(xKey, setXKey, yKey)}
+            <span>y</span>
+            {axisSelect(yKey, setYKey, xKey)}
+            <span>at {SWEEP_PARAMETERS[sliceKey].label.toLowerCase()}</span>
+            <select value={surfaces.slice} onChange={(e) => setSliceIndex(Number(e.target.value))} style={{ ...inputStyle, width: 'auto' }}>
+              {surfaces.sliceValues.map((value, i) => <option key={i} value={i}>{formatParameter(sliceKey, value)}</option>)}
+            </select>
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))', gap: '1.5rem' }}>
+            <div>
+              <div style={{ fontSize: '0.85rem', color: '#8b95a5', margin: '0.75rem 0 0.25rem' }}>H₂ per year (t)</div>
+              <HeatMap
+                xValues={surfaces.xValues}
+                yValues={surfaces.yValues}
+                cells={surfaces.hydrogen}
+                format={v => v.toFixed(0)}
+                xLabel={SWEEP_PARAMETERS[xKey].label}
+                yLabel={SWEEP_PARAMETERS[yKey].label}
+                better="high"
+                highlight={surfaces.highlight}
+              />
+            </div>
+            <div>
+              <div style={{ fontSize: '0.85rem', color: '#8b95a5', margin: '0.75rem 0 0.25rem' }}>LCOH ($/kg)</div>
+              <HeatMap
+                xValues={surfaces.xValues}
+                yValues={surfaces.yValues}
+                cells={surfaces.lcoh}
+                format={v => v.toFixed(2)}
+                xLabel={SWEEP_PARAMETERS[xKey].label}
+                yLabel={SWEEP_PARAMETERS[yKey].label}
+                better="low"
+                highlight={surfaces.highlight}
+              />
+            </div>
+          </div>
+          <div style={{ fontSize: '0.7rem', color: '#6b7280', marginTop: '0.35rem' }}>
+            Outlined cell: recommended configuration. Receiver and reactor costs scale with the six-tenths rule.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SweepPanel;
@@ -0,0 +1,124 @@
+import React from 'react';
+import { Wind } from 'lucide-react';
+import { windOpticalFactor, hoursToTracking } from '../engine';
+
+const inputStyle = {
+  background: 'rgba(0,0,0,0.3)',
+  border: '1px solid rgba(255,255,255,0.2)',
+  borderRadius: '6px',
+  color: '#e0e6ed',
+  padding: '0.4rem',
+  fontSize: '0.8rem',
+  width: '100%'
+};
+
+const STATUS_STYLES = {
+  tracking: { label: 'Tracking', color: '#10b981' },
+  stowing: { label: 'Stowing', color: '#fbbf24' },
+  stowed: { label: 'STOWED', color: '#38bdf8' },
+  unstowing: { label: 'Returning to track', color: '#fbbf24' },
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const Figure = ({ label, value, color = '#e0e6ed' }) => (
+  <div style={{ padding: '0.5rem', background: 'rgba(0,0,0,0.2)', borderRadius: '8px' }}>
+    <div style={{ fontSize: '0.7rem', color: '#8b95a5' }}>{label}</div>
+    <div style={{ fontSize: '1.1rem', fontWeight: 700, color }}>{value}</div>
+  </div>
+);
+
+// Heliostat wind protection: stow state and how long until the field tracks
+// again, the optical loss the current wind costs, and the stow and damage limits
+const WindPanel = ({ wind, windSpeed, now, onChange }) => {
+  const { settings, status, stowed, stats } = wind;
+  const { label, color } = STATUS_STYLES[status];
+  const update = (changes) => onChange({ ...settings, ...changes });
+  const resume = hoursToTracking(wind, now);
+
+  const numberField = (name, value, unit, min, max, apply) => (
+    <label style={{ fontSize: '0.7rem', color: '#8b95a5' }}>
+      {name} ({unit})
+      <input
+        type="number"
+        value={Math.round(value * 1000) / 1000}
+        min={min}
+        max={max}
+        step="any"
+        onChange={(e) => {
+          const parsed = parseFloat(e.target.value);
+          if (Number.isFinite(parsed)) apply(clamp(parsed, min, max));
+        }}
+        style={{ ...inputStyle, marginTop: '0.25rem' }}
+      />
+    </label>
+  );
+
+  return (
+    <div style={{
+      marginTop: '1.5rem',
+      background: 'rgba(15,23,42,0.6)',
+      backdropFilter: 'blur(10px)',
+      border: `1px solid ${status === 'tracking' ? 'rgba(255,255,255,0.1)' : `${color}80`}`,
+      borderRadius: '16px',
+      padding: '1.5rem',
+      boxShadow: '0 8px 32px rgba(0,0,0,0.3)',
+      position: 'relative',
+      zIndex: 1
+    }}>
+      <h3 style={{
+        margin: '0 0 1.5rem 0',
+        fontSize: '1.2rem',
+        color: '#38bdf8',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem'
+      }}>
+        <Wind size={20} />
+        Wind Protection
+      </h3>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))', gap: '1.5rem' }}>
+        <div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
+            <Figure label="Field" value={label} color={color} />
+            <Figure label="Wind" value={`${windSpeed.toFixed(1)} m/s`} color={windSpeed >= settings.stowSpeed ? '#ef4444' : '#e0e6ed'} />
+            <Figure label="At stow" value={`${(stowed * 100).toFixed(0)}%`} />
+            <Figure label="Tracking loss" value={`${((1 - windOpticalFactor(settings, windSpeed)) * 100).toFixed(1)}%`} color="#fbbf24" />
+          </div>
+          <div style={{ fontSize: '0.75rem', color: '#8b95a5', marginTop: '0.75rem' }}>
+            {status === 'tracking' && `Stows at ${settings.stowSpeed} m/s`}
+            {status !== 'tracking' && (resume === null
+              ? `Holding stow until the wind drops below ${settings.resumeSpeed} m/s`
+              : `Tracking again in ${(resume * 60).toFixed(0)} min`)}
+          </div>
+        </div>
+
+        <div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
+            <Figure label="Stows" value={stats.stows} />
+            <Figure label="Field-hours stowed" value={stats.stowedHours.toFixed(1)} />
+            <Figure label="Mirrors damaged" value={stats.damaged} color={stats.damaged > 0 ? '#ef4444' : '#e0e6ed'} />
+            <Figure label="Peak wind" value={`${stats.peakWind.toFixed(1)} m/s`} />
+          </div>
+        </div>
+
+        <div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
+            {numberField('Stow above', settings.stowSpeed, 'm/s', 5, 40, stowSpeed => update({ stowSpeed, resumeSpeed: Math.min(settings.resumeSpeed, stowSpeed) }))}
+            {numberField('Resume below', settings.resumeSpeed, 'm/s', 0, settings.stowSpeed, resumeSpeed => update({ resumeSpeed }))}
+            {numberField('Calm hold', settings.holdMinutes, 'min', 0, 240, holdMinutes => update({ holdMinutes }))}
+            {numberField('Stow time', settings.stowMinutes, 'min', 1, 60, stowMinutes => update({ stowMinutes }))}
+            {numberField('Unstow time', settings.unstowMinutes, 'min', 1, 60, unstowMinutes => update({ unstowMinutes }))}
+            {numberField('Tracking error from', settings.errorOnset, 'm/s', 0, 20, errorOnset => update({ errorOnset }))}
+            {numberField('Tracking loss', settings.errorPerSpeed * 100, '%/(m/s)', 0, 5, percent => update({ errorPerSpeed: percent / 100 }))}
+            {numberField('Damage above', settings.damageSpeed, 'm/s', 15, 60, damageSpeed => update({ damageSpeed }))}
+            {numberField('Damage rate', settings.damageRate * 100, '%/h per m/s', 0, 10, percent => update({ damageRate: percent / 100 }))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WindPanel;
@@ -0,0 +1,230 @@
+import React, { useState } from 'react';
+
+// Lightweight SVG charts for the dashboard (no charting dependency)
+
+const WIDTH = 600;
+const PADDING = { top: 10, right: 10, bottom: 22, left: 44 };
+
+const formatTick = (value) => {
+  const abs = Math.abs(value);
+  if (abs >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+  if (abs >= 1e4) return `${(value / 1e3).toFixed(0)}k`;
+  if (abs >= 100) return value.toFixed(0);
+  if (abs >= 1) return value.toFixed(1);
+  return value.toFixed(2);
+};
+
+const formatTime = (time, span) => {
+  const date = new Date(time);
+  if (span <= 2 * 86400000) return `${String(date.getHours()).padStart(2, '0')}:00`;
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+// Nice y-range covering all series values, anchored at zero when values are positive
+const valueRange = (data, series, fromZero) => {
+  let min = Infinity;
+  let max = -Infinity;
+  data.forEach(d => series.forEach(s => {
+    const v = d[s.key];
+    if (Number.isFinite(v)) {
+      min = Math.min(min, v);
+      max = Math.max(max, v);
+    }
+  }));
+  if (!Number.isFinite(min)) return [0, 1];
+  if (fromZero && min >= 0) min = 0;
+  if (max - min < 1e-9) max = min + 1;
+  const pad = (max - min) * 0.05;
+  return [fromZero && min === 0 ? 0 : min - pad, max + pad];
+};
+
+const Frame = ({ height, yMin, yMax, xMin, xMax, children, onMove, onLeave }) => {
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const yTicks = [0, 0.5, 1].map(f => yMin + (yMax - yMin) * f);
+  const xTicks = [0, 0.25, 0.5, 0.75, 1].map(f => xMin + (xMax - xMin) * f);
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${height}`}
+      style={{ width: '100%', height: 'auto', display: 'block' }}
+      onMouseMove={onMove}
+      onMouseLeave={onLeave}
+    >
+      {yTicks.map(tick => {
+        const y = PADDING.top + plotHeight * (1 - (tick - yMin) / (yMax - yMin));
+        return (
+          <g key={tick}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y} y2={y} stroke="rgba(255,255,255,0.08)" />
+            <text x={PADDING.left - 6} y={y + 4} textAnchor="end" fontSize="11" fill="#6b7280">{formatTick(tick)}</text>
+          </g>
+        );
+      })}
+      {xTicks.map(tick => {
+        const x = PADDING.left + (WIDTH - PADDING.left - PADDING.right) * ((tick - xMin) / (xMax - xMin || 1));
+        return (
+          <text key={tick} x={x} y={height - 6} textAnchor="middle" fontSize="11" fill="#6b7280">
+            {formatTime(tick, xMax - xMin)}
+          </text>
+        );
+      })}
+      {children}
+    </svg>
+  );
+};
+
+const Legend = ({ series, values }) => (
+  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', fontSize: '0.7rem', color: '#8b95a5', marginBottom: '0.25rem' }}>
+    {series.map(s => (
+      <span key={s.key} style={{ display: 'flex', alignItems: 'center', gap: '0.3rem' }}>
+        <span style={{ width: '10px', height: '3px', background: s.color, display: 'inline-block' }} />
+        {s.label}
+        {values && Number.isFinite(values[s.key]) && (
+          <span style={{ color: s.color }}>{formatTick(values[s.key])}{s.unit ? ` ${s.unit}` : ''}</span>
+        )}
+      </span>
+    ))}
+  </div>
+);
+
+// Hover index from a mouse event over the plot area
+const useHover = (data, xOf) => {
+  const [hover, setHover] = useState(null);
+  const onMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * WIDTH;
+    let best = null;
+    data.forEach((d, i) => {
+      if (best === null || Math.abs(xOf(d, i) - x) < Math.abs(xOf(data[best], best) - x)) best = i;
+    });
+    setHover(best);
+  };
+  return [hover, onMove, () => setHover(null)];
+};
+
+// Time-series line chart; data items need a `time` (ms) plus one field per series
+export const LineChart = ({ data, series, height = 160, fromZero = true }) => {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const xMin = data.length ? data[0].time : 0;
+  const xMax = data.length ? data[data.length - 1].time : 1;
+  const [yMin, yMax] = valueRange(data, series, fromZero);
+  const xOf = (d) => PADDING.left + plotWidth * ((d.time - xMin) / (xMax - xMin || 1));
+  const yOf = (v) => PADDING.top + plotHeight * (1 - (v - yMin) / (yMax - yMin));
+  const [hover, onMove, onLeave] = useHover(data, xOf);
+
+  return (
+    <div>
+      <Legend series={series} values={hover !== null ? data[hover] : data[data.length - 1]} />
+      <Frame height={height} yMin={yMin} yMax={yMax} xMin={xMin} xMax={xMax} onMove={onMove} onLeave={onLeave}>
+        {series.map(s => (
+          <polyline
+            key={s.key}
+            fill="none"
+            stroke={s.color}
+            strokeWidth="1.5"
+            points={data.map(d => `${xOf(d).toFixed(1)},${yOf(d[s.key] || 0).toFixed(1)}`).join(' ')}
+          />
+        ))}
+        {hover !== null && (
+          <line x1={xOf(data[hover])} x2={xOf(data[hover])} y1={PADDING.top} y2={height - PADDING.bottom} stroke="rgba(255,255,255,0.3)" />
+        )}
+      </Frame>
+    </div>
+  );
+};
+
+// Grouped bar chart over time buckets
+export const BarChart = ({ data, series, height = 160 }) => {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const [, yMax] = valueRange(data, series, true);
+  const slot = plotWidth / Math.max(data.length, 1);
+  const barWidth = Math.max(1, (slot * 0.8) / series.length);
+  const xOf = (d, i) => PADDING.left + slot * (i + 0.5);
+  const [hover, onMove, onLeave] = useHover(data, xOf);
+  const xMin = data.length ? data[0].time : 0;
+  const xMax = data.length ? data[data.length - 1].time : 1;
+
+  return (
+    <div>
+      <Legend series={series} values={hover !== null ? data[hover] : data[data.length - 1]} />
+      <Frame height={height} yMin={0} yMax={yMax} xMin={xMin} xMax={xMax} onMove={onMove} onLeave={onLeave}>
+        {data.map((d, i) => series.map((s, j) => {
+          const value = Math.max(0, d[s.key] || 0);
+          const barHeight = plotHeight * (value / yMax);
+          return (
+            <rect
+              key={`${i}-${s.key}`}
+              x={PADDING.left + slot * i + slot * 0.1 + barWidth * j}
+              y={PADDING.top + plotHeight - barHeight}
+              width={barWidth}
+              height={barHeight}
+              fill={s.color}
+              opacity={hover === null || hover === i ? 0.85 : 0.45}
+            />
+          );
+        }))}
+      </Frame>
+    </div>
+  );
+};
+
+// Color from red (worst) through amber to green (best) for t in 0-1
+const scoreColor = (t) => `hsl(${Math.round(120 * t)}, 70%, 45%)`;
+
+// Grid of values over two swept parameters; cells[y][x] may be null.
+// `better` says whether low or high values are good, for the color scale.
+export const HeatMap = ({ xValues, yValues, cells, format, xLabel, yLabel, better = 'high', highlight = null, height = 220 }) => {
+  const pad = { top: 10, right: 10, bottom: 40, left: 64 };
+  const plotWidth = WIDTH - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+  const cellWidth = plotWidth / Math.max(xValues.length, 1);
+  const cellHeight = plotHeight / Math.max(yValues.length, 1);
+  const finite = cells.flat().filter(Number.isFinite);
+  const min = finite.length ? Math.min(...finite) : 0;
+  const max = finite.length ? Math.max(...finite) : 1;
+  const score = (v) => {
+    const t = max - min < 1e-12 ? 1 : (v - min) / (max - min);
+    return better === 'low' ? 1 - t : t;
+  };
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${height}`} style={{ width: '100%', height: 'auto', display: 'block' }}>
+      {yValues.map((y, j) => xValues.map((x, i) => {
+        const v = cells[j] && cells[j][i];
+        // Rows run bottom-up so the y axis increases upwards
+        const top = pad.top + plotHeight - (j + 1) * cellHeight;
+        const left = pad.left + i * cellWidth;
+        const marked = highlight && highlight.x === i && highlight.y === j;
+        return (
+          <g key={`${i}-${j}`}>
+            <rect
+              x={left + 1}
+              y={top + 1}
+              width={cellWidth - 2}
+              height={cellHeight - 2}
+              fill={Number.isFinite(v) ? scoreColor(score(v)) : 'rgba(255,255,255,0.05)'}
+              opacity={0.75}
+              stroke={marked ? '#ffffff' : 'none'}
+              strokeWidth={marked ? 3 : 0}
+            />
+            <text x={left + cellWidth / 2} y={top + cellHeight / 2 + 4} textAnchor="middle" fontSize="12" fill="#0f172a" fontWeight="600">
+              {Number.isFinite(v) ? format(v) : '–'}
+            </text>
+          </g>
+        );
+      }))}
+      {xValues.map((x, i) => (
+        <text key={`x${i}`} x={pad.left + (i + 0.5) * cellWidth} y={height - pad.bottom + 16} textAnchor="middle" fontSize="11" fill="#6b7280">
+          {formatTick(x)}
+        </text>
+      ))}
+      {yValues.map((y, j) => (
+        <text key={`y${j}`} x={pad.left - 6} y={pad.top + plotHeight - (j + 0.5) * cellHeight + 4} textAnchor="end" fontSize="11" fill="#6b7280">
+          {formatTick(y)}
+        </text>
+      ))}
+      <text x={pad.left + plotWidth / 2} y={height - 6} textAnchor="middle" fontSize="11" fill="#8b95a5">{xLabel}</text>
+      <text x={12} y={pad.top + plotHeight / 2} textAnchor="middle" fontSize="11" fill="#8b95a5" transform={`rotate(-90 12 ${pad.top + plotHeight / 2})`}>{yLabel}</text>
+    </svg>
+  );
+};
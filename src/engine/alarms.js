@@ -0,0 +1,146 @@
+import { CONSTANTS } from './constants.js';
+import { faultedCount } from './heliostats.js';
+import { faultedWeather } from './faults.js';
+
+// Plant alarms: conditions checked after every step against configurable
+// thresholds, raised into a timestamped log (simulation time) when they
+// start, marked cleared when they end, and acknowledged by the operator.
+
+export const ALARM_SEVERITIES = ['critical', 'warning', 'info'];
+
+const LOG_LIMIT = 500;
+const HOT_MARGIN = 5; // K, default hot tank alarm above the hot design temperature
+const COLD_MARGIN = 10; // K, default freeze alarm below the cold design temperature
+
+// Each check gets the step's previous and next state, the alarm's settings and
+// whether it is already active, and returns a message while the condition holds
+export const ALARM_DEFINITIONS = {
+  heliostatFaults: {
+    name: 'Heliostat faults',
+    unit: 'mirrors',
+    range: [1, 1000],
+    check: (prev, next, { threshold }) => {
+      const faulted = faultedCount(next.heliostats);
+      return faulted >= threshold ? `${faulted} heliostat${faulted === 1 ? '' : 's'} out of service with drive faults` : null;
+    },
+  },
+  // The receiver heats salt to the hot design temperature, so by default
+  // anything a little above it is an overshoot
+  hotTankHigh: {
+    name: 'Hot tank high temperature',
+    unit: '°C',
+    range: [300, 650],
+    check: (prev, next, { threshold }) =>
+      (next.storage.hotTemp > threshold ? `Hot tank at ${next.storage.hotTemp.toFixed(1)}°C, above ${threshold}°C` : null),
+  },
+  // Salt returns from the reactor at the cold design temperature, so the
+  // default limit catches a tank cooling some way below it
+  saltFreeze: {
+    name: 'Salt freeze risk',
+    unit: '°C',
+    range: [200, 500],
+    check: (prev, next, { threshold }) => {
+      const { hotTemp, coldTemp } = next.storage;
+      if (Math.min(hotTemp, coldTemp) >= threshold) return null;
+      return `${coldTemp <= hotTemp ? 'Cold' : 'Hot'} tank salt at ${Math.min(hotTemp, coldTemp).toFixed(1)}°C, below ${threshold}°C`;
+    },
+  },
+  // One alarm per emergency shutdown, held until its cause clears
+  plantTrip: {
+    name: 'Plant trip',
+    unit: null,
+    check: (prev, next) => (next.protection.status === 'tripped' ? `Plant tripped: ${next.protection.trip.message}` : null),
+  },
+  windStow: {
+    name: 'Heliostat field stowed',
+    unit: null,
+    check: (prev, next) => {
+      if (next.wind.status === 'tracking') return null;
+      return `Field ${next.wind.status} in ${faultedWeather(next.weather, next.faults).windSpeed.toFixed(1)} m/s wind`;
+    },
+  },
+  // Raised when pyrolysis stops while the dispatcher still wants feed, and
+  // held until it restarts or the demand goes away
+  reactorTrip: {
+    name: 'Reactor dropped out of pyrolysis',
+    unit: null, // no threshold
+    check: (prev, next, settings, active) => {
+      if (next.pyrolysisActive || next.dispatchTarget <= 0) return null;
+      if (!active && !prev.pyrolysisActive) return null;
+      return `Pyrolysis stopped at ${next.reactorTemp.toFixed(0)}°C with ${next.dispatchTarget.toFixed(0)} kg/h dispatched`;
+    },
+  },
+};
+
+// Temperature defaults follow the plant design they are created for
+export const createAlarmSettings = (plant = CONSTANTS) => ({
+  heliostatFaults: { enabled: true, threshold: 1, severity: 'warning' },
+  hotTankHigh: { enabled: true, threshold: plant.SALT_TEMP_HOT + HOT_MARGIN, severity: 'warning' },
+  saltFreeze: { enabled: true, threshold: plant.SALT_TEMP_COLD - COLD_MARGIN, severity: 'critical' },
+  plantTrip: { enabled: true, threshold: null, severity: 'critical' },
+  windStow: { enabled: true, threshold: null, severity: 'warning' },
+  reactorTrip: { enabled: true, threshold: null, severity: 'critical' },
+});
+
+// Settings carried over to a new plant design: thresholds still at the old
+// design's defaults move to the new design's, edited ones are kept
+export const followDesign = (settings, oldDefaults, newDefaults) =>
+  Object.fromEntries(Object.entries(settings).map(([key, alarm]) => [
+    key,
+    oldDefaults[key] && alarm.threshold === oldDefaults[key].threshold ? { ...alarm, threshold: newDefaults[key].threshold } : alarm,
+  ]));
+
+export const createAlarms = (settings = createAlarmSettings()) => ({
+  settings,
+  log: [], // { id, alarm, severity, message, raised, cleared, acknowledged }, oldest first
+  active: {}, // alarm key -> id of its open log entry
+  nextId: 1,
+});
+
+// Raise and clear alarms for one step; returns the same object when nothing changed
+export const updateAlarms = (alarms, prev, next, now) => {
+  let log = null;
+  let active = alarms.active;
+  let nextId = alarms.nextId;
+
+  Object.entries(ALARM_DEFINITIONS).forEach(([key, definition]) => {
+    const settings = alarms.settings[key];
+    const openId = alarms.active[key];
+    const message = settings.enabled ? definition.check(prev, next, settings, openId !== undefined) : null;
+    if (message && openId === undefined) {
+      log = log || [...alarms.log];
+      log.push({ id: nextId, alarm: key, severity: settings.severity, message, raised: now, cleared: null, acknowledged: null });
+      active = { ...active, [key]: nextId++ };
+    } else if (!message && openId !== undefined) {
+      log = log || [...alarms.log];
+      const i = log.findIndex(entry => entry.id === openId);
+      if (i >= 0) log[i] = { ...log[i], cleared: now };
+      const { [key]: closed, ...rest } = active;
+      active = rest;
+    }
+  });
+
+  if (!log) return alarms;
+  return { ...alarms, log: log.slice(-LOG_LIMIT), active, nextId };
+};
+
+// Operator acknowledgement of the given entries at simulation time `now`
+export const acknowledgeAlarms = (alarms, ids, now) => {
+  const pending = new Set(ids);
+  return {
+    ...alarms,
+    log: alarms.log.map(entry => (pending.has(entry.id) && entry.acknowledged === null ? { ...entry, acknowledged: now } : entry)),
+  };
+};
+
+// Headline figures for the dashboard
+export const getAlarmSummary = (alarms) => {
+  const summary = { active: 0, unacknowledged: 0, critical: 0 };
+  alarms.log.forEach(entry => {
+    const open = entry.cleared === null;
+    if (open) summary.active++;
+    if (entry.acknowledged === null) summary.unacknowledged++;
+    if (open && entry.acknowledged === null && entry.severity === 'critical') summary.critical++;
+  });
+  return summary;
+};
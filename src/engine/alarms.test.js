@@ -0,0 +1,67 @@
+import { CONSTANTS } from './constants.js';
+import { createPlant } from './plant.js';
+import { createStorage } from './storage.js';
+import { createAlarms, createAlarmSettings, updateAlarms, acknowledgeAlarms, getAlarmSummary, followDesign } from './alarms.js';
+import { createInitialState } from './simulation.js';
+
+const plant = createInitialState();
+const withStorage = (storage) => ({ ...plant, storage: { ...plant.storage, ...storage } });
+
+describe('alarm defaults', () => {
+  it('sit a margin outside the design salt temperatures', () => {
+    const settings = createAlarmSettings();
+    expect(settings.hotTankHigh.threshold).toBeGreaterThan(CONSTANTS.SALT_TEMP_HOT);
+    expect(settings.saltFreeze.threshold).toBeLessThan(CONSTANTS.SALT_TEMP_COLD);
+  });
+
+  it('stay quiet for salt at its design temperatures', () => {
+    const normal = withStorage(createStorage({ hotTemp: CONSTANTS.SALT_TEMP_HOT }));
+    expect(updateAlarms(createAlarms(), plant, normal, 0).log).toHaveLength(0);
+  });
+
+  it('follow a new plant design unless edited', () => {
+    const oldDefaults = createAlarmSettings();
+    const edited = { ...oldDefaults, saltFreeze: { ...oldDefaults.saltFreeze, threshold: 250 } };
+    const newDefaults = createAlarmSettings(createPlant({ ...CONSTANTS, SALT_TEMP_HOT: 600 }));
+    const settings = followDesign(edited, oldDefaults, newDefaults);
+    expect(settings.hotTankHigh.threshold).toBe(newDefaults.hotTankHigh.threshold);
+    expect(settings.hotTankHigh.threshold).toBeGreaterThan(600);
+    expect(settings.saltFreeze.threshold).toBe(250);
+  });
+});
+
+describe('alarm log', () => {
+  const hot = withStorage({ hotTemp: CONSTANTS.SALT_TEMP_HOT + 20 });
+
+  it('raises once while a condition holds and clears when it ends', () => {
+    let alarms = updateAlarms(createAlarms(), plant, hot, 1000);
+    expect(alarms.log).toHaveLength(1);
+    expect(alarms.log[0]).toMatchObject({ alarm: 'hotTankHigh', severity: 'warning', raised: 1000, cleared: null });
+    expect(updateAlarms(alarms, hot, hot, 2000)).toBe(alarms);
+
+    alarms = updateAlarms(alarms, hot, plant, 3000);
+    expect(alarms.log[0].cleared).toBe(3000);
+    expect(alarms.active).toEqual({});
+  });
+
+  it('counts unacknowledged entries until the operator acknowledges them', () => {
+    const alarms = updateAlarms(createAlarms(), plant, hot, 1000);
+    expect(getAlarmSummary(alarms)).toEqual({ active: 1, unacknowledged: 1, critical: 0 });
+    const acknowledged = acknowledgeAlarms(alarms, [alarms.log[0].id], 1500);
+    expect(acknowledged.log[0].acknowledged).toBe(1500);
+    expect(getAlarmSummary(acknowledged).unacknowledged).toBe(0);
+  });
+
+  it('ignores disabled alarms', () => {
+    const settings = createAlarmSettings();
+    settings.hotTankHigh = { ...settings.hotTankHigh, enabled: false };
+    expect(updateAlarms(createAlarms(settings), plant, hot, 1000).log).toHaveLength(0);
+  });
+
+  it('raises a critical freeze alarm for cold salt', () => {
+    const cold = withStorage({ coldTemp: CONSTANTS.SALT_TEMP_COLD - 30 });
+    const alarms = updateAlarms(createAlarms(), plant, cold, 1000);
+    expect(alarms.log[0]).toMatchObject({ alarm: 'saltFreeze', severity: 'critical' });
+    expect(alarms.log[0].message).toMatch(/^Cold tank salt/);
+  });
+});
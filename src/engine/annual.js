@@ -0,0 +1,90 @@
+import { CONSTANTS } from './constants.js';
+import { createInitialState, step } from './simulation.js';
+
+// Full-year batch run: 8760 hours from Jan 1 00:00, aggregated per month.
+// The per-step accumulation is shared with other batch runs (scenarios.js).
+
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export const emptyTotals = () => ({
+  hours: 0,
+  dni: 0, // kWh/m²
+  energyCollected: 0, // MWh into storage
+  energyDumped: 0, // MWh defocused
+  heatLoss: 0, // MWh
+  heaterEnergy: 0, // MWh electric for heat tracing
+  plasticProcessed: 0, // kg
+  hydrogen: 0, // kg
+  carbon: 0, // kg
+  wax: 0, // kg
+  waste: 0, // kg
+  co2Emitted: 0, // kg CO2e
+  co2Avoided: 0, // kg CO2e
+  operatingHours: 0,
+  tripHours: 0, // tripped or restarting
+});
+
+// Reactor capacity factor: plastic processed over what full load would have processed
+export const withCapacityFactor = (totals, plant = CONSTANTS) => ({
+  ...totals,
+  capacityFactor: totals.hours > 0 ? totals.plasticProcessed / (plant.REACTOR_CAPACITY * totals.hours) : 0,
+});
+
+// Add one step's energy and production (state -> next over dt seconds) to a
+// totals object
+export const addStepTotals = (totals, state, next, dt) => {
+  const hours = dt / 3600;
+  totals.hours += hours;
+  totals.dni += next.dni * hours / 1000;
+  totals.energyCollected += next.storage.chargePower * hours;
+  totals.energyDumped += next.storage.dumpedPower * hours;
+  totals.heatLoss += next.storage.lossPower * hours;
+  totals.heaterEnergy += next.protection.heaterPower * hours;
+  totals.plasticProcessed += next.production.totalPlasticProcessed - state.production.totalPlasticProcessed;
+  totals.hydrogen += next.production.hydrogen - state.production.hydrogen;
+  totals.carbon += next.production.carbon - state.production.carbon;
+  totals.wax += next.production.wax - state.production.wax;
+  totals.waste += next.production.waste - state.production.waste;
+  totals.co2Emitted += next.production.co2Emitted - state.production.co2Emitted;
+  totals.co2Avoided += next.production.co2Avoided - state.production.co2Avoided;
+  if (next.reactorFeedRate > 0) totals.operatingHours += hours;
+  if (state.protection.status !== 'normal') totals.tripHours += hours;
+};
+
+export const runAnnualSimulation = ({
+  year = 2026,
+  stepsPerHour = 4,
+  onProgress,
+  ...options
+} = {}) => {
+  const dt = 3600 / stepsPerHour;
+  let state = createInitialState({ ...options, date: new Date(year, 0, 1), hour: 0 });
+  const months = MONTH_NAMES.map(() => emptyTotals());
+  const totalSteps = 8760 * stepsPerHour;
+
+  for (let i = 0; i < totalSteps; i++) {
+    const month = months[state.date.getMonth()];
+    const next = step(state, dt);
+    addStepTotals(month, state, next, dt);
+    state = next;
+    if (onProgress && i % (stepsPerHour * 24 * 7) === 0) onProgress(i / totalSteps);
+  }
+
+  const annual = months.reduce((sum, m) => {
+    Object.keys(sum).forEach(key => { sum[key] += m[key]; });
+    return sum;
+  }, emptyTotals());
+
+  return {
+    location: state.tmy ? state.tmy.name : state.location,
+    plastic: state.plastic,
+    seed: state.seed,
+    year,
+    dispatch: state.dispatch.strategy,
+    months: months.map((m, i) => ({ month: MONTH_NAMES[i], ...withCapacityFactor(m, state.plant) })),
+    annual: withCapacityFactor(annual, state.plant),
+    maintenance: { ...state.heliostats.stats, settings: state.heliostats.settings },
+    protection: { ...state.protection.stats, settings: state.protection.settings },
+    wind: { ...state.wind.stats, settings: state.wind.settings },
+  };
+};
@@ -0,0 +1,36 @@
+import { runAnnualSimulation, MONTH_NAMES } from './annual.js';
+
+describe('full-year run', () => {
+  const report = runAnnualSimulation({ location: 'Almeria, Spain', year: 2026, stepsPerHour: 1 });
+
+  it('covers every hour of the year, month by month', () => {
+    expect(report.months).toHaveLength(MONTH_NAMES.length);
+    expect(report.annual.hours).toBe(8760);
+    expect(report.months[1].hours).toBe(28 * 24);
+  });
+
+  it('adds the months up to the annual totals', () => {
+    ['dni', 'energyCollected', 'plasticProcessed', 'hydrogen'].forEach(key => {
+      const sum = report.months.reduce((total, month) => total + month[key], 0);
+      expect(report.annual[key]).toBeCloseTo(sum, 6);
+    });
+  });
+
+  it('runs the reactor through the year at plausible yields', () => {
+    const { annual } = report;
+    expect(annual.plasticProcessed).toBeGreaterThan(0);
+    expect(annual.hydrogen).toBeGreaterThan(0);
+    expect(annual.operatingHours).toBeGreaterThan(1000);
+    expect(annual.capacityFactor).toBeGreaterThan(0);
+    expect(annual.capacityFactor).toBeLessThanOrEqual(1);
+
+    // HDPE gives 0.34 kg H₂/kg at its optimum and full load
+    const h2PerKg = annual.hydrogen / annual.plasticProcessed;
+    expect(h2PerKg).toBeGreaterThan(0.2);
+    expect(h2PerKg).toBeLessThan(0.4);
+  });
+
+  it('sees more sun in summer than in winter', () => {
+    expect(report.months[6].dni).toBeGreaterThan(1.5 * report.months[0].dni);
+  });
+});
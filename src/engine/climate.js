@@ -0,0 +1,158 @@
+// Site climatology for the synthetic weather generator: per-month shares of
+// clear and overcast days (the rest are partly cloudy), mean air temperature
+// and sandstorm days, plus each site's diurnal temperature range and mean
+// wind. Monthly arrays run January to December.
+
+export const DAY_TYPES = {
+  clear: { name: 'Clear', cloud: 3, variability: 4, tempRange: 1.1, wind: 1 },
+  partly: { name: 'Partly cloudy', cloud: 40, variability: 25, tempRange: 0.85, wind: 1.15 },
+  overcast: { name: 'Overcast', cloud: 88, variability: 8, tempRange: 0.55, wind: 1.5 },
+};
+
+// Chance a day repeats the previous day's sky beyond what the monthly shares
+// alone would give; weather comes in spells rather than independent days
+const PERSISTENCE = 0.5;
+
+export const SITE_CLIMATES = {
+  'Riyadh, Saudi Arabia': {
+    clear: [0.6, 0.6, 0.5, 0.5, 0.7, 0.85, 0.85, 0.85, 0.85, 0.8, 0.65, 0.6],
+    overcast: [0.1, 0.1, 0.1, 0.1, 0.05, 0.02, 0.02, 0.02, 0.02, 0.03, 0.08, 0.1],
+    temp: [14, 17, 21, 27, 32, 35, 36, 36, 33, 27, 21, 16],
+    dustDays: [1, 2, 3, 3, 2, 2, 2, 1, 0.5, 0.5, 0.5, 1],
+    tempRange: 14,
+    wind: 4,
+  },
+  'Phoenix, USA': {
+    clear: [0.55, 0.55, 0.6, 0.7, 0.8, 0.85, 0.55, 0.6, 0.75, 0.7, 0.6, 0.55],
+    overcast: [0.15, 0.15, 0.1, 0.07, 0.04, 0.03, 0.08, 0.08, 0.05, 0.07, 0.1, 0.15],
+    temp: [13, 15, 18, 22, 27, 33, 35, 34, 31, 24, 17, 12],
+    dustDays: [0, 0, 0.5, 0.5, 0.5, 1, 3, 2, 0.5, 0, 0, 0], // monsoon haboobs
+    tempRange: 14,
+    wind: 3,
+  },
+  'Seville, Spain': {
+    clear: [0.35, 0.4, 0.4, 0.4, 0.55, 0.75, 0.85, 0.8, 0.6, 0.45, 0.35, 0.3],
+    overcast: [0.3, 0.25, 0.25, 0.2, 0.12, 0.05, 0.02, 0.03, 0.1, 0.2, 0.28, 0.3],
+    temp: [11, 12, 15, 17, 21, 25, 28, 28, 25, 20, 15, 12],
+    dustDays: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    tempRange: 12,
+    wind: 3.5,
+  },
+  'Dubai, UAE': {
+    clear: [0.55, 0.55, 0.55, 0.6, 0.7, 0.7, 0.65, 0.65, 0.7, 0.75, 0.65, 0.55],
+    overcast: [0.1, 0.1, 0.1, 0.06, 0.03, 0.03, 0.04, 0.04, 0.03, 0.03, 0.06, 0.1],
+    temp: [19, 20, 23, 27, 31, 33, 35, 35, 33, 29, 25, 21],
+    dustDays: [0.5, 1, 1.5, 1.5, 1.5, 2, 2, 1, 0.5, 0.5, 0.5, 0.5],
+    tempRange: 9,
+    wind: 4,
+  },
+  'Las Vegas, USA': {
+    clear: [0.5, 0.5, 0.55, 0.65, 0.75, 0.85, 0.75, 0.75, 0.8, 0.7, 0.6, 0.5],
+    overcast: [0.2, 0.2, 0.15, 0.1, 0.06, 0.03, 0.05, 0.05, 0.04, 0.08, 0.12, 0.2],
+    temp: [9, 11, 15, 19, 25, 30, 33, 32, 28, 21, 13, 8],
+    dustDays: [0, 0.5, 1, 1, 0.5, 0.5, 0.5, 0.5, 0, 0, 0, 0],
+    tempRange: 13,
+    wind: 4.5,
+  },
+  'Alice Springs, Australia': {
+    clear: [0.5, 0.5, 0.6, 0.65, 0.65, 0.7, 0.75, 0.8, 0.8, 0.7, 0.6, 0.5],
+    overcast: [0.15, 0.15, 0.1, 0.1, 0.1, 0.08, 0.06, 0.04, 0.04, 0.07, 0.1, 0.15],
+    temp: [29, 28, 25, 20, 16, 12, 12, 14, 19, 23, 26, 28],
+    dustDays: [0.5, 0.5, 0.5, 0.3, 0.2, 0.2, 0.3, 0.5, 0.8, 1, 1, 0.8],
+    tempRange: 15,
+    wind: 3.5,
+  },
+  'Almeria, Spain': {
+    clear: [0.4, 0.45, 0.45, 0.45, 0.55, 0.75, 0.85, 0.8, 0.6, 0.45, 0.4, 0.35],
+    overcast: [0.25, 0.2, 0.2, 0.15, 0.1, 0.04, 0.02, 0.03, 0.1, 0.18, 0.22, 0.25],
+    temp: [13, 13, 15, 17, 20, 23, 26, 27, 24, 20, 16, 14],
+    dustDays: [0.3, 0.3, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.3, 0.3, 0.3, 0.3], // Saharan calima
+    tempRange: 8,
+    wind: 4.5,
+  },
+  'Cairo, Egypt': {
+    clear: [0.5, 0.55, 0.55, 0.6, 0.7, 0.85, 0.85, 0.85, 0.8, 0.7, 0.55, 0.5],
+    overcast: [0.15, 0.12, 0.1, 0.07, 0.04, 0.02, 0.02, 0.02, 0.03, 0.05, 0.1, 0.15],
+    temp: [14, 15, 18, 22, 25, 27, 28, 28, 26, 24, 19, 15],
+    dustDays: [0.5, 1, 2, 2.5, 1.5, 0.5, 0, 0, 0, 0.3, 0.5, 0.5], // spring khamsin
+    tempRange: 10,
+    wind: 3.5,
+  },
+  'Atacama, Chile': {
+    clear: [0.8, 0.75, 0.85, 0.9, 0.9, 0.9, 0.9, 0.9, 0.9, 0.9, 0.9, 0.85],
+    overcast: [0.05, 0.08, 0.03, 0.02, 0.02, 0.02, 0.02, 0.02, 0.02, 0.02, 0.02, 0.03],
+    temp: [18, 18, 17, 15, 13, 11, 11, 12, 13, 15, 16, 17],
+    dustDays: [0.2, 0.2, 0.2, 0.2, 0.3, 0.3, 0.3, 0.3, 0.3, 0.2, 0.2, 0.2],
+    tempRange: 18,
+    wind: 5,
+  },
+  'Ouarzazate, Morocco': {
+    clear: [0.6, 0.55, 0.55, 0.55, 0.6, 0.75, 0.8, 0.75, 0.65, 0.6, 0.6, 0.6],
+    overcast: [0.12, 0.12, 0.12, 0.1, 0.08, 0.04, 0.03, 0.05, 0.07, 0.1, 0.12, 0.12],
+    temp: [9, 12, 15, 18, 22, 27, 31, 30, 25, 19, 13, 9],
+    dustDays: [0.3, 0.5, 1, 1, 1, 1, 0.8, 0.8, 0.5, 0.3, 0.3, 0.3],
+    tempRange: 14,
+    wind: 4,
+  },
+  'Tucson, USA': {
+    clear: [0.5, 0.5, 0.55, 0.65, 0.75, 0.8, 0.45, 0.5, 0.7, 0.65, 0.55, 0.5],
+    overcast: [0.15, 0.15, 0.12, 0.08, 0.05, 0.04, 0.1, 0.1, 0.06, 0.08, 0.12, 0.15],
+    temp: [12, 13, 16, 20, 25, 30, 31, 30, 28, 22, 16, 11],
+    dustDays: [0, 0, 0.3, 0.3, 0.3, 0.8, 2, 1.5, 0.5, 0, 0, 0],
+    tempRange: 15,
+    wind: 3.5,
+  },
+  'Jodhpur, India': {
+    clear: [0.8, 0.8, 0.75, 0.7, 0.6, 0.35, 0.1, 0.1, 0.45, 0.8, 0.85, 0.8],
+    overcast: [0.03, 0.03, 0.05, 0.05, 0.1, 0.3, 0.6, 0.6, 0.25, 0.03, 0.02, 0.03], // monsoon
+    temp: [17, 20, 26, 31, 34, 33, 30, 28, 29, 27, 22, 18],
+    dustDays: [0, 0.3, 1, 2, 3, 2.5, 0.5, 0, 0, 0, 0, 0],
+    tempRange: 13,
+    wind: 3.5,
+  },
+};
+
+// Sites with no entry get a mild, sunny climate with no sandstorms
+const DEFAULT_CLIMATE = {
+  clear: Array(12).fill(0.6),
+  overcast: Array(12).fill(0.1),
+  temp: Array(12).fill(20),
+  dustDays: Array(12).fill(0),
+  tempRange: 12,
+  wind: 4,
+};
+
+export const getClimate = (location) => SITE_CLIMATES[location] || DEFAULT_CLIMATE;
+
+// Desert sites are the ones with sandstorms in their climatology
+export const isDesertClimate = (climate) => climate.dustDays.some(days => days > 0);
+
+// Share of each day type in a month (0-11)
+export const dayTypeShares = (climate, month) => ({
+  clear: climate.clear[month],
+  partly: 1 - climate.clear[month] - climate.overcast[month],
+  overcast: climate.overcast[month],
+});
+
+// Next day's sky from the previous one: stay with probability PERSISTENCE,
+// otherwise draw from the month's shares (which is also the chain's long-run
+// distribution, so monthly statistics hold). No previous day draws from the shares.
+export const nextDayType = (climate, month, previous, random) => {
+  if (previous && random() < PERSISTENCE) return previous;
+  const shares = dayTypeShares(climate, month);
+  let draw = random();
+  for (const type of ['clear', 'partly']) {
+    if (draw < shares[type]) return type;
+    draw -= shares[type];
+  }
+  return 'overcast';
+};
+
+// Monthly mean air temperature on a date, interpolated between mid-months
+export const monthlyTemperature = (climate, date) => {
+  const month = date.getMonth();
+  const daysInMonth = new Date(date.getFullYear(), month + 1, 0).getDate();
+  const offset = (date.getDate() - 0.5) / daysInMonth - 0.5; // -0.5 to 0.5 from mid-month
+  const neighbour = (month + (offset < 0 ? 11 : 1)) % 12;
+  return climate.temp[month] + (climate.temp[neighbour] - climate.temp[month]) * Math.abs(offset);
+};
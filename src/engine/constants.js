@@ -0,0 +1,95 @@
+// Real-world solar data by location (Annual average DNI in kWh/m²/day)
+export const SOLAR_DATA = {
+  'Riyadh, Saudi Arabia': { dni: 6.8, lat: 24.7, lon: 46.7, tz: 3 },
+  'Phoenix, USA': { dni: 7.2, lat: 33.4, lon: -112.1, tz: -7 },
+  'Seville, Spain': { dni: 5.9, lat: 37.4, lon: -5.9, tz: 1 },
+  'Dubai, UAE': { dni: 6.5, lat: 25.3, lon: 55.3, tz: 4 },
+  'Las Vegas, USA': { dni: 7.5, lat: 36.2, lon: -115.1, tz: -8 },
+  'Alice Springs, Australia': { dni: 7.3, lat: -23.7, lon: 133.9, tz: 9.5 },
+  'Almeria, Spain': { dni: 6.4, lat: 36.8, lon: -2.4, tz: 1 },
+  'Cairo, Egypt': { dni: 6.2, lat: 30.0, lon: 31.2, tz: 2 },
+  'Atacama, Chile': { dni: 8.5, lat: -23.6, lon: -70.4, tz: -4 },
+  'Ouarzazate, Morocco': { dni: 6.7, lat: 30.9, lon: -6.9, tz: 0 },
+  'Tucson, USA': { dni: 7.0, lat: 32.2, lon: -110.9, tz: -7 },
+  'Jodhpur, India': { dni: 6.3, lat: 26.3, lon: 73.0, tz: 5.5 },
+};
+
+// Plastic types with real pyrolysis characteristics. optimal_temp is the
+// reactor temperature the yields are quoted at, within reach of the hot salt
+// that heats the reactor.
+export const PLASTIC_TYPES = {
+  'HDPE': {
+    name: 'High-Density Polyethylene',
+    h2_yield: 168, // mmol/g - catalytic
+    carbon_yield: 0.25,
+    oil_yield: 0.15,
+    gas_yield: 0.10,
+    carbon_content: 0.857, // mass fraction C, (CH₂)n
+    optimal_temp: 540,
+    color: '#3b82f6',
+    description: 'Bottles, containers',
+  },
+  'LDPE': {
+    name: 'Low-Density Polyethylene',
+    h2_yield: 175, // Higher than HDPE
+    carbon_yield: 0.22,
+    oil_yield: 0.18,
+    gas_yield: 0.12,
+    carbon_content: 0.857,
+    optimal_temp: 530,
+    color: '#06b6d4',
+    description: 'Bags, films',
+  },
+  'PP': {
+    name: 'Polypropylene',
+    h2_yield: 165,
+    carbon_yield: 0.26,
+    oil_yield: 0.16,
+    gas_yield: 0.11,
+    carbon_content: 0.857,
+    optimal_temp: 520,
+    color: '#8b5cf6',
+    description: 'Containers, textiles',
+  },
+  'PS': {
+    name: 'Polystyrene',
+    h2_yield: 95, // Lower H2, high aromatics
+    carbon_yield: 0.48, // Much higher carbon
+    oil_yield: 0.20, // Styrene-rich
+    gas_yield: 0.08,
+    carbon_content: 0.923, // (CH)n
+    optimal_temp: 500,
+    color: '#ec4899',
+    description: 'Foam, packaging',
+  },
+  'Mixed': {
+    name: 'Mixed Plastics',
+    h2_yield: 150,
+    carbon_yield: 0.30,
+    oil_yield: 0.17,
+    gas_yield: 0.10,
+    carbon_content: 0.86,
+    optimal_temp: 530,
+    color: '#f59e0b',
+    description: 'Municipal waste',
+  },
+};
+
+// Built-in plant design. A run's own design is its state.plant (see plant.js),
+// passed to the engine functions that need it; this one is never changed.
+export const CONSTANTS = Object.freeze({
+  HELIOSTAT_AREA: 115,
+  MIRROR_REFLECTIVITY: 0.93,
+  TOWER_HEIGHT: 140, // m, receiver aim point above the field
+  RECEIVER_RADIUS: 4, // m, half-width of the receiver aperture
+  RECEIVER_EFFICIENCY: 0.88,
+  SALT_TEMP_HOT: 565,
+  SALT_TEMP_COLD: 290,
+  SALT_HEAT_CAPACITY: 1.55,
+  SALT_DENSITY: 1800,
+  HEAT_LOSS_PER_HOUR: 0.02,
+  PYROLYSIS_ENERGY: 450,
+  HELIOSTAT_COUNT: 2127,
+  REACTOR_CAPACITY: 500,
+  STORAGE_TANK_VOLUME: 12000,
+});
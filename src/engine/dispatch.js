@@ -0,0 +1,69 @@
+import { CONSTANTS } from './constants.js';
+import { maxFeedRateForPower } from './pyrolysis.js';
+
+// Reactor feed dispatch: how much plastic (kg/h) the operator asks for each
+// step, subject to reactor ramp-rate and minimum turndown limits. `plant` is
+// the run's design, the built-in one by default.
+
+export const DISPATCH_STRATEGIES = {
+  'solar-following': {
+    name: 'Solar-following',
+    description: 'Feed tracks receiver output; idle at night',
+  },
+  baseload: {
+    name: 'Baseload 24/7',
+    description: 'Constant feed, carried overnight by storage',
+  },
+  schedule: {
+    name: 'Hourly schedule',
+    description: 'User-defined feed setpoint for each hour',
+  },
+};
+
+export const createDispatch = (plant = CONSTANTS) => ({
+  strategy: 'solar-following',
+  baseloadRate: plant.REACTOR_CAPACITY * 0.8, // kg/h
+  // Fraction of REACTOR_CAPACITY for each local hour 0-23
+  schedule: Array.from({ length: 24 }, (_, hour) => (hour >= 8 && hour < 18 ? 1 : 0.4)),
+  rampRate: plant.REACTOR_CAPACITY / 2, // kg/h per hour
+  minTurndown: 0.3, // fraction of REACTOR_CAPACITY
+});
+
+// Feed rate each strategy asks for
+const strategyTarget = (dispatch, { hour, receiverPower }, plant) => {
+  switch (dispatch.strategy) {
+    case 'baseload':
+      return dispatch.baseloadRate;
+    case 'schedule':
+      return (dispatch.schedule[Math.floor(hour) % 24] || 0) * plant.REACTOR_CAPACITY;
+    case 'solar-following':
+    default:
+      return maxFeedRateForPower(receiverPower, plant);
+  }
+};
+
+// Operator setpoint before heat, feed and ramp limits; never above reactor capacity
+export const dispatchTarget = (dispatch, conditions, plant = CONSTANTS) =>
+  Math.min(strategyTarget(dispatch, conditions, plant), plant.REACTOR_CAPACITY);
+
+// Feed rate actually achieved: target clamped by capacity, available heat and
+// feed on hand, moved from the previous rate no faster than rampRate and never
+// run below minimum stable load
+export const dispatchFeedRate = (dispatch, { target, heatSupply, supplyLimit = Infinity, previousRate, dt, ready }, plant = CONSTANTS) => {
+  const capacity = plant.REACTOR_CAPACITY;
+  const minRate = dispatch.minTurndown * capacity;
+  const heatLimit = Math.min(maxFeedRateForPower(heatSupply, plant), supplyLimit);
+  if (!ready || heatLimit < minRate) return 0; // trip: not hot enough, out of heat or out of feed
+
+  const maxStep = dispatch.rampRate * dt / 3600;
+  if (target < minRate) {
+    // Controlled shutdown: ramp down to minimum load, then stop
+    return previousRate > minRate ? Math.min(Math.max(minRate, previousRate - maxStep), heatLimit) : 0;
+  }
+
+  // A cold start begins at minimum load
+  const from = previousRate > 0 ? previousRate : minRate;
+  const desired = Math.min(target, capacity, heatLimit);
+  const rate = Math.max(from - maxStep, Math.min(from + maxStep, desired));
+  return Math.min(Math.max(rate, minRate), capacity, heatLimit);
+};
@@ -0,0 +1,57 @@
+import { CONSTANTS } from './constants.js';
+import { createDispatch, dispatchTarget, dispatchFeedRate } from './dispatch.js';
+import { maxFeedRateForPower } from './pyrolysis.js';
+
+const capacity = CONSTANTS.REACTOR_CAPACITY;
+const plentyOfHeat = 1000; // MW
+
+describe('dispatch target', () => {
+  it('follows the receiver but never asks for more than the reactor takes', () => {
+    const dispatch = createDispatch();
+    expect(dispatchTarget(dispatch, { hour: 12, receiverPower: 0.01 })).toBeCloseTo(maxFeedRateForPower(0.01), 6);
+    expect(dispatchTarget(dispatch, { hour: 12, receiverPower: 60 })).toBe(capacity);
+  });
+
+  it('caps an oversized baseload rate at capacity', () => {
+    const dispatch = { ...createDispatch(), strategy: 'baseload', baseloadRate: capacity * 3 };
+    expect(dispatchTarget(dispatch, { hour: 2, receiverPower: 0 })).toBe(capacity);
+  });
+
+  it('reads the hourly schedule', () => {
+    const dispatch = { ...createDispatch(), strategy: 'schedule' };
+    expect(dispatchTarget(dispatch, { hour: 9.5, receiverPower: 0 })).toBe(capacity);
+    expect(dispatchTarget(dispatch, { hour: 22, receiverPower: 0 })).toBeCloseTo(capacity * 0.4, 6);
+  });
+});
+
+describe('dispatch feed rate', () => {
+  const dispatch = createDispatch();
+  const minRate = dispatch.minTurndown * capacity;
+  const feed = (overrides) => dispatchFeedRate(dispatch, {
+    target: capacity,
+    heatSupply: plentyOfHeat,
+    previousRate: 0,
+    dt: 900,
+    ready: true,
+    ...overrides,
+  });
+
+  it('starts cold at minimum load and ramps no faster than the ramp rate', () => {
+    const maxStep = dispatch.rampRate / 4;
+    expect(feed({})).toBeCloseTo(minRate + maxStep, 6);
+    expect(feed({ previousRate: 300 })).toBeCloseTo(300 + maxStep, 6);
+    expect(feed({ previousRate: capacity, target: 200 })).toBeCloseTo(capacity - maxStep, 6);
+  });
+
+  it('stays within capacity, heat and feed on hand', () => {
+    expect(feed({ previousRate: capacity })).toBe(capacity);
+    expect(feed({ previousRate: capacity, heatSupply: 0.04 })).toBeCloseTo(maxFeedRateForPower(0.04), 6);
+    expect(feed({ previousRate: capacity, supplyLimit: 0.6 * capacity })).toBeCloseTo(0.6 * capacity, 6);
+  });
+
+  it('stops below minimum stable load or when the reactor is not ready', () => {
+    expect(feed({ previousRate: capacity, heatSupply: 0.01 })).toBe(0);
+    expect(feed({ previousRate: capacity, ready: false })).toBe(0);
+    expect(feed({ previousRate: minRate, target: 0 })).toBe(0);
+  });
+});
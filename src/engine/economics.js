@@ -0,0 +1,123 @@
+import { CONSTANTS } from './constants.js';
+import { storageCapacity } from './storage.js';
+
+// Techno-economic analysis: CAPEX, OPEX and revenue from annual production,
+// giving levelized cost of hydrogen (LCOH), NPV, IRR and payback.
+// Money in USD, masses in kg unless noted.
+
+export const ECONOMIC_INPUTS = {
+  heliostatCost: { label: 'Heliostat', unit: '$/unit', group: 'CAPEX' },
+  receiverCost: { label: 'Receiver & tower', unit: '$', group: 'CAPEX' },
+  storageCost: { label: 'Thermal storage', unit: '$/kWh_th', group: 'CAPEX' },
+  reactorCost: { label: 'Pyrolysis reactor', unit: '$', group: 'CAPEX' },
+  fixedOpex: { label: 'Fixed O&M', unit: '% CAPEX/yr', group: 'OPEX' },
+  variableOpex: { label: 'Variable O&M', unit: '$/t plastic', group: 'OPEX' },
+  crewCost: { label: 'Field O&M crew', unit: '$/crew/yr', group: 'OPEX' },
+  tippingFee: { label: 'Plastic tipping fee', unit: '$/t', group: 'Revenue' },
+  hydrogenPrice: { label: 'Hydrogen', unit: '$/kg', group: 'Revenue' },
+  carbonPrice: { label: 'Solid carbon', unit: '$/kg', group: 'Revenue' },
+  waxPrice: { label: 'Wax/oil', unit: '$/kg', group: 'Revenue' },
+  byproductPrice: { label: 'By-products', unit: '$/kg', group: 'Revenue' },
+  discountRate: { label: 'Discount rate', unit: '%', group: 'Finance' },
+  lifetime: { label: 'Plant lifetime', unit: 'years', group: 'Finance' },
+};
+
+export const createEconomicInputs = () => ({
+  heliostatCost: 16000,
+  receiverCost: 25e6,
+  storageCost: 25,
+  reactorCost: 4e6,
+  fixedOpex: 2,
+  variableOpex: 50,
+  crewCost: 180000,
+  tippingFee: 60,
+  hydrogenPrice: 5,
+  carbonPrice: 0.5,
+  waxPrice: 0.4,
+  byproductPrice: 0,
+  discountRate: 8,
+  lifetime: 25,
+});
+
+// Scale production accumulated over elapsedHours to a full year
+export const annualizeProduction = (production, elapsedHours) => {
+  const factor = elapsedHours > 0 ? 8760 / elapsedHours : 0;
+  return {
+    hydrogen: production.hydrogen * factor,
+    carbon: production.carbon * factor,
+    wax: production.wax * factor,
+    waste: production.waste * factor,
+    plasticProcessed: production.totalPlasticProcessed * factor,
+  };
+};
+
+// Capital recovery factor
+const crf = (rate, years) => (rate === 0 ? 1 / years : (rate * Math.pow(1 + rate, years)) / (Math.pow(1 + rate, years) - 1));
+
+const npvAt = (rate, capex, cashFlow, years) => {
+  let npv = -capex;
+  for (let t = 1; t <= years; t++) npv += cashFlow / Math.pow(1 + rate, t);
+  return npv;
+};
+
+// Internal rate of return by bisection; null when NPV has no root in range
+const irr = (capex, cashFlow, years) => {
+  let low = -0.99;
+  let high = 1;
+  if (npvAt(low, capex, cashFlow, years) * npvAt(high, capex, cashFlow, years) > 0) return null;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (npvAt(mid, capex, cashFlow, years) > 0) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
+
+// `plant` is the design being costed, the built-in one by default
+export const computeCapex = (inputs, plant = CONSTANTS) => {
+  const heliostats = plant.HELIOSTAT_COUNT * inputs.heliostatCost;
+  const storage = storageCapacity(plant) * 1000 * inputs.storageCost;
+  return {
+    heliostats,
+    receiver: inputs.receiverCost,
+    storage,
+    reactor: inputs.reactorCost,
+    total: heliostats + inputs.receiverCost + storage + inputs.reactorCost,
+  };
+};
+
+// annual: { hydrogen, carbon, wax, waste, plasticProcessed } per year;
+// crews: heliostat repair plus cleaning crews on the payroll
+export const computeEconomics = (inputs, annual, crews = 0, plant = CONSTANTS) => {
+  const capex = computeCapex(inputs, plant);
+  const plasticTonnes = annual.plasticProcessed / 1000;
+  const rate = inputs.discountRate / 100;
+  const years = inputs.lifetime;
+
+  const opex = capex.total * inputs.fixedOpex / 100 + plasticTonnes * inputs.variableOpex + crews * inputs.crewCost;
+  const revenue = {
+    hydrogen: annual.hydrogen * inputs.hydrogenPrice,
+    carbon: annual.carbon * inputs.carbonPrice,
+    wax: annual.wax * inputs.waxPrice,
+    byproducts: annual.waste * inputs.byproductPrice,
+    tipping: plasticTonnes * inputs.tippingFee,
+  };
+  revenue.total = Object.values(revenue).reduce((sum, v) => sum + v, 0);
+  const coproductCredits = revenue.total - revenue.hydrogen;
+
+  const annualizedCapex = capex.total * crf(rate, years);
+  const cashFlow = revenue.total - opex;
+
+  return {
+    capex,
+    opex,
+    revenue,
+    cashFlow,
+    // Cost per kg H₂ before and after co-product and tipping credits
+    lcohGross: annual.hydrogen > 0 ? (annualizedCapex + opex) / annual.hydrogen : null,
+    lcoh: annual.hydrogen > 0 ? (annualizedCapex + opex - coproductCredits) / annual.hydrogen : null,
+    npv: npvAt(rate, capex.total, cashFlow, years),
+    irr: irr(capex.total, cashFlow, years),
+    paybackYears: cashFlow > 0 ? capex.total / cashFlow : null,
+  };
+};
@@ -0,0 +1,40 @@
+// Lifecycle carbon accounting for the pyrolysis products. Feed carbon either
+// stays in the solid carbon product or leaves with the gas and oil fractions,
+// which are assumed to be burned eventually. Masses in kg, CO2 in kg CO2e.
+
+const CO2_PER_CARBON = 44.01 / 12.011;
+
+// Unabated steam methane reforming, including upstream natural gas supply
+export const SMR_INTENSITY = 10; // kg CO2e per kg H2
+
+// What would have happened to the plastic without the plant
+export const WASTE_BASELINES = {
+  landfill: {
+    name: 'Landfill',
+    description: 'Haulage and site operations; plastic carbon stays buried',
+    emissions: () => 0.05, // kg CO2e per kg plastic
+  },
+  incineration: {
+    name: 'Incineration',
+    description: 'Fossil carbon burned, less grid electricity displaced',
+    emissions: (plasticData) => plasticData.carbon_content * CO2_PER_CARBON - 0.9,
+  },
+};
+
+// Carbon balance for one step of processPyrolysis output; undecomposed
+// residue is not burned, so only converted feed carbon counts
+export const pyrolysisEmissions = (plasticData, products, baseline = 'landfill') => {
+  const feedCarbon = products.plastic * products.conversion * plasticData.carbon_content;
+  const retained = Math.min(products.carbon, feedCarbon);
+  return {
+    co2Emitted: (feedCarbon - retained) * CO2_PER_CARBON,
+    co2Avoided: products.plastic * WASTE_BASELINES[baseline].emissions(plasticData),
+  };
+};
+
+// CO2 locked away in the solid carbon product
+export const sequesteredCO2 = (carbon) => carbon * CO2_PER_CARBON;
+
+// Net kg CO2e per kg H2; null before any hydrogen is made
+export const carbonIntensity = (hydrogen, co2Emitted, co2Avoided) =>
+  (hydrogen > 0 ? (co2Emitted - co2Avoided) / hydrogen : null);
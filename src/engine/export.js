@@ -0,0 +1,94 @@
+import { getHourlyHistory, simTime } from './history.js';
+import { getPlasticData } from './feedstock.js';
+
+// Result export: run metadata plus hourly series, daily summaries and
+// cumulative production, serialized as JSON or sectioned CSV.
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Simulation timestamp as "YYYY-MM-DD HH:mm" (site local standard time)
+export const formatSimTime = (time) => {
+  const d = new Date(time);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+export const buildExport = (state, { speed = null } = {}) => {
+  const hourly = getHourlyHistory(state.history);
+  const daily = [...state.history.daily, { time: state.date.getTime(), ...state.dailyStats }];
+  const end = simTime(state.date, state.hour, state.minute);
+  const start = state.startTime;
+
+  return {
+    header: {
+      location: state.tmy ? state.tmy.name : state.location,
+      weatherFile: state.tmy ? state.tmy.source : null,
+      plastic: state.plastic,
+      composition: getPlasticData(state).composition || null,
+      seed: state.seed,
+      dispatch: state.dispatch.strategy,
+      speed,
+      dateRange: { start: formatSimTime(start), end: formatSimTime(end) },
+      constants: { ...state.plant },
+    },
+    hourly: hourly.map(({ time, ...values }) => ({ time: formatSimTime(time), ...values })),
+    daily: daily.map(({ time, ...values }) => ({ date: formatSimTime(time).slice(0, 10), ...values })),
+    production: { ...state.production },
+  };
+};
+
+export const exportToJSON = (data) => JSON.stringify(data, null, 2);
+
+const csvCell = (value) => {
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(4);
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvTable = (rows) => {
+  if (!rows.length) return '';
+  const columns = Object.keys(rows[0]);
+  return [columns.join(','), ...rows.map(row => columns.map(c => csvCell(row[c])).join(','))].join('\n');
+};
+
+// Header as "# key: value" comment lines, then one table per section
+export const exportToCSV = (data) => {
+  const { header } = data;
+  const meta = [
+    ['location', header.location],
+    ['weather_file', header.weatherFile || 'synthetic'],
+    ['plastic', header.plastic],
+    ...(header.composition
+      ? [['composition', Object.entries(header.composition).map(([key, value]) => `${key} ${(value * 100).toFixed(1)}%`).join('; ')]]
+      : []),
+    ['seed', header.seed],
+    ['dispatch', header.dispatch],
+    ['speed', header.speed],
+    ['date_range', `${header.dateRange.start} to ${header.dateRange.end}`],
+    ...Object.entries(header.constants).map(([key, value]) => [`constant.${key}`, value]),
+  ];
+
+  return [
+    ...meta.map(([key, value]) => `# ${key}: ${value}`),
+    '',
+    '# Hourly time series',
+    csvTable(data.hourly),
+    '',
+    '# Daily summaries',
+    csvTable(data.daily),
+    '',
+    '# Cumulative production (kg)',
+    csvTable([data.production]),
+    '',
+  ].join('\n');
+};
+
+// Alarm and event log, one row per alarm raised, times in simulation time
+export const alarmLogToCSV = (log) => csvTable(log.map(entry => ({
+  id: entry.id,
+  raised: formatSimTime(entry.raised),
+  alarm: entry.alarm,
+  severity: entry.severity,
+  message: entry.message,
+  cleared: entry.cleared === null ? '' : formatSimTime(entry.cleared),
+  acknowledged: entry.acknowledged === null ? '' : formatSimTime(entry.acknowledged),
+})));
@@ -0,0 +1,200 @@
+import { failHeliostats, restoreHeliostats } from './heliostats.js';
+import { formatSimTime } from './export.js';
+
+// Scripted fault injection for operator training: a timeline of events at
+// set times after the start of the run's first day. The events draw on the
+// run's seeded RNG, so the same script on the same setup plays out the same
+// way every time.
+
+const HOUR_MS = 3600000;
+const LOG_LIMIT = 100;
+const SCRIPT_TYPE = 'csp-pyrolysis-fault-script';
+const SCRIPT_VERSION = 1;
+
+const duration = (value) => ({ label: 'Duration', unit: 'h', min: 0.25, max: 72, default: value });
+
+export const FAULT_TYPES = {
+  cloud: {
+    name: 'Cloud cover spike',
+    params: { cover: { label: 'Cloud cover', unit: '%', min: 0, max: 100, default: 90 }, duration: duration(1) },
+    describe: ({ cover, duration: hours }) => `${cover}% cloud for ${hours} h`,
+  },
+  windStorm: {
+    name: 'Wind storm',
+    params: { speed: { label: 'Wind speed', unit: 'm/s', min: 0, max: 50, default: 20 }, duration: duration(3) },
+    describe: ({ speed, duration: hours }) => `${speed} m/s wind for ${hours} h`,
+  },
+  heliostatFailure: {
+    name: 'Heliostat failures',
+    params: {
+      share: { label: 'Share of field', unit: '%', min: 1, max: 100, default: 50 },
+      duration: { label: 'Outage (0 = crew repair)', unit: 'h', min: 0, max: 72, default: 2 },
+    },
+    describe: ({ share, duration: hours }) => `${share}% of heliostats ${hours > 0 ? `tripped for ${hours} h` : 'failed, repair orders raised'}`,
+  },
+  feedBlockage: {
+    name: 'Reactor feed blockage',
+    params: { duration: duration(4) },
+    describe: ({ duration: hours }) => `feed screw blocked for ${hours} h`,
+  },
+  pumpFailure: {
+    name: 'Salt pump failure',
+    params: { duration: duration(2) },
+    describe: ({ duration: hours }) => `no salt circulation for ${hours} h`,
+  },
+};
+
+export const createFaultEvent = (type, at = 12) => ({
+  at, // hours after 00:00 on the run's first day
+  type,
+  params: Object.fromEntries(Object.entries(FAULT_TYPES[type].params).map(([key, p]) => [key, p.default])),
+});
+
+export const createFaultScript = (name = 'New script') => ({
+  name,
+  setup: null, // the run it was written for (see faultScriptSetup)
+  events: [],
+});
+
+export const createFaults = () => ({
+  script: null,
+  start: null, // ms, 00:00 on the first day of the scripted run
+  next: 0, // index of the next event to fire
+  active: [], // { index, type, params, until, mirrors }
+  log: [], // { time, message }
+});
+
+// The run a script is written for: site, feed, seed and its first day (the
+// armed script's, else today), so replays start from the same place
+export const faultScriptSetup = (state) => ({
+  location: state.location,
+  plastic: state.plastic,
+  seed: state.seed,
+  date: formatSimTime(state.faults.start !== null ? state.faults.start : state.date.getTime()).slice(0, 10),
+  weatherFile: state.tmy ? state.tmy.name : null,
+});
+
+export const setupDate = (setup) => {
+  const [year, month, day] = setup.date.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const byTime = (events) => events.map((event, i) => ({ event, i })).sort((a, b) => a.event.at - b.event.at || a.i - b.i).map(({ event }) => event);
+
+// Load a script to play from `start`; events already due fire on the next step
+export const armFaultScript = (script, start) => ({
+  ...createFaults(),
+  script: { ...script, events: byTime(script.events) },
+  start,
+});
+
+export const describeFaultEvent = (event) => `${FAULT_TYPES[event.type].name}: ${FAULT_TYPES[event.type].describe(event.params)}`;
+
+// Day number and clock time of an event, for timelines
+export const formatEventTime = (at) => {
+  const day = Math.floor(at / 24);
+  const minutes = Math.round((at - day * 24) * 60);
+  return `Day ${day + 1} ${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+const addLog = (log, entry) => [...log, entry].slice(-LOG_LIMIT);
+
+// End finished effects and start events now due. Heliostat failures act on
+// the field straight away, so the heliostats come back alongside the faults.
+export const advanceFaults = (faults, { now, heliostats, random }) => {
+  if (!faults.script && faults.active.length === 0) return { faults, heliostats };
+  let { log, next } = faults;
+  let field = heliostats;
+
+  const active = faults.active.filter(effect => {
+    if (effect.until > now) return true;
+    if (effect.mirrors) field = restoreHeliostats(field, effect.mirrors);
+    log = addLog(log, { time: now, message: `${FAULT_TYPES[effect.type].name} ended` });
+    return false;
+  });
+
+  const { events } = faults.script || { events: [] };
+  while (next < events.length && faults.start + events[next].at * HOUR_MS <= now) {
+    const event = events[next];
+    const hours = event.params.duration;
+    let mirrors = null;
+    if (event.type === 'heliostatFailure') {
+      const failed = failHeliostats(field, field.status.length * event.params.share / 100, { now, random, repair: hours <= 0 });
+      field = failed.heliostats;
+      mirrors = hours > 0 ? failed.mirrors : null;
+    }
+    if (hours > 0) active.push({ index: next, type: event.type, params: event.params, until: now + hours * HOUR_MS, mirrors });
+    log = addLog(log, { time: now, message: describeFaultEvent(event) });
+    next++;
+  }
+
+  if (next === faults.next && active.length === faults.active.length) return { faults, heliostats };
+  return { faults: { ...faults, next, active, log }, heliostats: field };
+};
+
+// Abandon the script: effects in progress end now, and mirrors it tripped come back
+export const stopFaults = (faults, { now, heliostats }) => {
+  const field = faults.active.reduce((acc, effect) => (effect.mirrors ? restoreHeliostats(acc, effect.mirrors) : acc), heliostats);
+  const log = faults.script ? addLog(faults.log, { time: now, message: `Script ${faults.script.name} stopped` }) : faults.log;
+  return { faults: { ...createFaults(), log }, heliostats: field };
+};
+
+// Combined effect of the faults in progress on weather and plant equipment
+export const faultConditions = (faults) => {
+  const conditions = { cloudCover: null, windSpeed: null, feedBlocked: false, pumpFailed: false };
+  faults.active.forEach(({ type, params }) => {
+    if (type === 'cloud') conditions.cloudCover = Math.max(conditions.cloudCover || 0, params.cover);
+    else if (type === 'windStorm') conditions.windSpeed = Math.max(conditions.windSpeed || 0, params.speed);
+    else if (type === 'feedBlockage') conditions.feedBlocked = true;
+    else if (type === 'pumpFailure') conditions.pumpFailed = true;
+  });
+  return conditions;
+};
+
+// Weather as the plant feels it, with scripted cloud and wind on top of the
+// recorded or generated weather (which carries on underneath unchanged)
+export const faultedWeather = (weather, faults) => {
+  const { cloudCover, windSpeed } = faultConditions(faults);
+  if (cloudCover === null && windSpeed === null) return weather;
+  return {
+    ...weather,
+    cloudCover: Math.max(weather.cloudCover, cloudCover || 0),
+    windSpeed: Math.max(weather.windSpeed, windSpeed || 0),
+  };
+};
+
+// Script errors as readable messages; empty when the script can be played
+export const validateFaultScript = (script) => {
+  const errors = [];
+  if (!script || typeof script.name !== 'string' || !Array.isArray(script.events)) return ['Not a fault script'];
+  script.events.forEach((event, i) => {
+    const type = FAULT_TYPES[event && event.type];
+    if (!type) {
+      errors.push(`Event ${i + 1}: unknown type ${event && event.type}`);
+      return;
+    }
+    if (typeof event.at !== 'number' || !(event.at >= 0)) errors.push(`Event ${i + 1}: time must be zero or later`);
+    Object.entries(type.params).forEach(([key, { label, min, max }]) => {
+      const value = event.params && event.params[key];
+      if (typeof value !== 'number' || value < min || value > max) errors.push(`Event ${i + 1}: ${label.toLowerCase()} must be ${min}-${max}`);
+    });
+  });
+  return errors;
+};
+
+export const serializeFaultScript = (script) => JSON.stringify({ type: SCRIPT_TYPE, version: SCRIPT_VERSION, ...script }, null, 2);
+
+export const parseFaultScript = (text, fileName = 'script') => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${fileName} is not valid JSON`);
+  }
+  if (!data || data.type !== SCRIPT_TYPE) throw new Error(`${fileName} is not a fault script`);
+  if (data.version > SCRIPT_VERSION) throw new Error(`${fileName} was saved by a newer version (format ${data.version})`);
+  const script = { name: data.name, setup: data.setup || null, events: data.events };
+  const errors = validateFaultScript(script);
+  if (errors.length > 0) throw new Error(`${fileName}: ${errors[0]}`);
+  return script;
+};
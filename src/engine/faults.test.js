@@ -0,0 +1,81 @@
+import { createFaultScript, createFaultEvent, armFaultScript, faultConditions, validateFaultScript, serializeFaultScript, parseFaultScript } from './faults.js';
+import { skyTransmission } from './solar.js';
+import { createInitialState, step } from './simulation.js';
+
+const DAY = new Date(2026, 2, 21);
+
+// Clear, calm weather file: 800 W/m² whenever the sun is up
+const flatYear = (value) => new Array(8760).fill(value);
+const clearTmy = {
+  name: 'Test site',
+  lat: 30,
+  lon: 0,
+  tz: 0,
+  hours: 8760,
+  dni: flatYear(800),
+  temperature: flatYear(25),
+  windSpeed: flatYear(2),
+  skyCover: flatYear(0),
+  annualDni: 9.6,
+};
+
+const scriptOf = (...events) => ({ ...createFaultScript('Test'), events });
+const event = (type, at, params) => ({ ...createFaultEvent(type, at), params: { ...createFaultEvent(type, at).params, ...params } });
+
+// Steps from midnight with the script armed (or not), collecting each state
+const play = (script, options = {}, steps = 16 * 6) => {
+  let state = createInitialState({ location: 'Ouarzazate, Morocco', date: DAY, hour: 0, seed: 7, ...options });
+  if (script) state = { ...state, faults: armFaultScript(script, DAY.getTime()) };
+  const states = [];
+  for (let i = 0; i < steps; i++) {
+    state = step(state, 600);
+    states.push(state);
+  }
+  return states;
+};
+
+describe('fault scripts', () => {
+  it('round-trip through their file format', () => {
+    const script = scriptOf(event('cloud', 12, { cover: 80 }), event('pumpFailure', 30));
+    expect(validateFaultScript(script)).toEqual([]);
+    expect(parseFaultScript(serializeFaultScript(script))).toEqual(script);
+    expect(() => parseFaultScript('{"type":"other"}', 'x.json')).toThrow('x.json is not a fault script');
+  });
+
+  it('fire at their times and end after their durations', () => {
+    const states = play(scriptOf(event('feedBlockage', 2, { duration: 1 })), {}, 24);
+    const blocked = states.map(state => faultConditions(state.faults).feedBlocked);
+    expect(blocked.indexOf(true)).toBe(11); // 02:00
+    expect(blocked.lastIndexOf(true)).toBe(16); // until 03:00
+    expect(states[23].faults.log.map(entry => entry.message)).toHaveLength(2);
+  });
+
+  it('shade the measured beam of a weather file', () => {
+    const cover = 90;
+    const noon = 12 * 6 - 1;
+    const clear = play(null, { tmy: clearTmy })[noon];
+    const clouded = play(scriptOf(event('cloud', 11, { cover, duration: 2 })), { tmy: clearTmy })[noon];
+    expect(clear.dni).toBe(800);
+    expect(clouded.dni).toBeCloseTo(800 * skyTransmission(cover), 6);
+    expect(clouded.weather.cloudCover).toBe(0);
+  });
+
+  it('leave the generated weather to carry on underneath', () => {
+    const script = scriptOf(event('cloud', 10, { cover: 100, duration: 3 }), event('windStorm', 10, { speed: 20, duration: 3 }));
+    const plain = play(null);
+    const faulted = play(script);
+    faulted.forEach((state, i) => expect(state.weather).toEqual(plain[i].weather));
+    const noon = 12 * 6 - 1;
+    expect(faulted[noon].dni).toBeLessThan(plain[noon].dni * 0.31);
+    expect(faulted[noon].wind.status).not.toBe('tracking');
+  });
+
+  it('stop the salt pumps, so the receiver output is dumped', () => {
+    const noon = 12 * 6 - 1;
+    const states = play(scriptOf(event('pumpFailure', 11, { duration: 2 })), { tmy: clearTmy });
+    const running = play(null, { tmy: clearTmy });
+    expect(running[noon].storage.chargePower).toBeGreaterThan(0);
+    expect(states[noon].storage.chargePower).toBe(0);
+    expect(states[noon].storage.dumpedPower).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,82 @@
+import { PLASTIC_TYPES } from './constants.js';
+
+// Feedstock blends: user-defined mixtures of polymers and contaminants by
+// mass fraction, with yields and reactor temperature blended from the
+// components so a blend can be used anywhere a PLASTIC_TYPES entry is.
+
+const BLEND_PROPERTIES = ['h2_yield', 'carbon_yield', 'oil_yield', 'gas_yield', 'carbon_content'];
+
+// Blend components: the single-polymer plastic types plus streams found in municipal feed
+export const FEEDSTOCK_COMPONENTS = {
+  HDPE: PLASTIC_TYPES.HDPE,
+  LDPE: PLASTIC_TYPES.LDPE,
+  PP: PLASTIC_TYPES.PP,
+  PS: PLASTIC_TYPES.PS,
+  PET: {
+    name: 'Polyethylene Terephthalate',
+    h2_yield: 45, // Oxygenated, mostly benzoic acid and CO/CO₂
+    carbon_yield: 0.15,
+    oil_yield: 0.35,
+    gas_yield: 0.30,
+    carbon_content: 0.625, // C₁₀H₈O₄
+    optimal_temp: 520,
+    color: '#14b8a6',
+  },
+  PVC: {
+    name: 'Polyvinyl Chloride',
+    h2_yield: 35, // Chlorine leaves as HCl in the gas
+    carbon_yield: 0.20,
+    oil_yield: 0.08,
+    gas_yield: 0.60,
+    carbon_content: 0.384, // C₂H₃Cl
+    optimal_temp: 480,
+    color: '#ef4444',
+  },
+  Contaminants: {
+    name: 'Contaminants',
+    h2_yield: 0, // Moisture, dirt, labels and food residue
+    carbon_yield: 0,
+    oil_yield: 0,
+    gas_yield: 0,
+    carbon_content: 0,
+    optimal_temp: null, // Does not set the reactor temperature
+    color: '#78716c',
+  },
+};
+
+// Fractions scaled to sum to 1, dropping unknown or non-positive entries
+export const normalizeComposition = (composition) => {
+  const entries = Object.entries(composition)
+    .filter(([key, value]) => FEEDSTOCK_COMPONENTS[key] && value > 0);
+  const total = entries.reduce((sum, [, value]) => sum + value, 0);
+  if (total <= 0) throw new Error('A blend needs at least one component with a positive fraction');
+  return Object.fromEntries(entries.map(([key, value]) => [key, value / total]));
+};
+
+// Plastic data for a blend: mass-weighted yields, with the reactor
+// temperature weighted over the components that react
+export const blendFeedstock = (name, composition, { color = '#f59e0b', description = 'Custom blend' } = {}) => {
+  const fractions = normalizeComposition(composition);
+  const blend = { name, color, description, composition: fractions, custom: true };
+
+  BLEND_PROPERTIES.forEach(key => {
+    blend[key] = Object.entries(fractions)
+      .reduce((sum, [component, fraction]) => sum + fraction * FEEDSTOCK_COMPONENTS[component][key], 0);
+  });
+
+  const reacting = Object.entries(fractions).filter(([component]) => FEEDSTOCK_COMPONENTS[component].optimal_temp !== null);
+  const reactingFraction = reacting.reduce((sum, [, fraction]) => sum + fraction, 0);
+  if (reactingFraction <= 0) throw new Error('A blend needs at least one polymer component');
+  blend.optimal_temp = Math.round(reacting
+    .reduce((sum, [component, fraction]) => sum + fraction * FEEDSTOCK_COMPONENTS[component].optimal_temp, 0) / reactingFraction);
+
+  return blend;
+};
+
+// Saved blends re-derived from their compositions, so blends stored before
+// the component data changed pick up the current yields and temperatures
+export const reblendFeedstocks = (feedstocks) => Object.fromEntries(Object.entries(feedstocks)
+  .map(([name, blend]) => [name, blendFeedstock(name, blend.composition, { color: blend.color, description: blend.description })]));
+
+// Plastic data for a state's selected feed: a built-in type or a saved blend
+export const getPlasticData = (state) => (state.feedstocks && state.feedstocks[state.plastic]) || PLASTIC_TYPES[state.plastic];
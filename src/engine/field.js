@@ -0,0 +1,177 @@
+import { CONSTANTS } from './constants.js';
+
+// Heliostat field optics: a radial-staggered surround layout around the tower
+// and per-mirror cosine, shading/blocking, atmospheric attenuation and
+// spillage for a given sun position. Coordinates in metres, x east, y north.
+
+const DEG = Math.PI / 180;
+const OPTICAL_ERROR = 0.0029; // rad, combined slope, tracking and sun shape
+
+// Efficiencies are computed on a fixed sun-position grid and interpolated,
+// so a year of steps costs a few hundred field evaluations
+const AZIMUTH_STEP = 10; // degrees
+const ELEVATION_STEP = 5; // degrees
+
+const LAYOUT_CACHE_SIZE = 2; // designs kept at once, e.g. the live run and a background one
+let layouts = []; // most recent first, each with its own efficiency grid
+let lastLookups = []; // two most recent, since callers alternate between consecutive steps
+
+// Radial-staggered rings: alternate rows offset by half a slot, and a new
+// zone with more mirrors per ring whenever the azimuthal gap reaches two slots
+const generateLayout = (count, towerHeight, mirrorSide) => {
+  const slot = mirrorSide * Math.SQRT2 + 0.5; // characteristic diameter plus clearance
+  const positions = [];
+  let radius = 0.75 * towerHeight;
+  let perRing = Math.floor(2 * Math.PI * radius / slot);
+  let row = 0;
+
+  while (positions.length < count) {
+    if (2 * Math.PI * radius / perRing > 2 * slot) perRing = Math.floor(2 * Math.PI * radius / slot);
+    const remaining = count - positions.length;
+    const placed = Math.min(perRing, remaining);
+    const offset = row % 2 ? 0.5 : 0;
+    for (let k = 0; k < placed; k++) {
+      // A partial last ring is spread evenly rather than bunched on one side
+      const slotIndex = placed < perRing ? Math.floor(k * perRing / placed) : k;
+      const angle = (slotIndex + offset) * 2 * Math.PI / perRing;
+      positions.push({ x: radius * Math.sin(angle), y: radius * Math.cos(angle) });
+    }
+    radius += slot * (0.866 + 0.2 * radius / towerHeight);
+    row++;
+  }
+  return { positions, radius };
+};
+
+// Neighbours close enough to shade or block each mirror
+const findNeighbors = (positions, reach) => positions.map((p, i) => {
+  const near = [];
+  positions.forEach((q, j) => {
+    if (i !== j && Math.abs(q.x - p.x) < reach && Math.abs(q.y - p.y) < reach && Math.hypot(q.x - p.x, q.y - p.y) < reach) near.push(j);
+  });
+  return near;
+});
+
+// Field layout for a plant design (the built-in one by default), built once
+// per field geometry among the most recently used
+export const getFieldLayout = (plant = CONSTANTS) => {
+  const count = plant.HELIOSTAT_COUNT;
+  const towerHeight = plant.TOWER_HEIGHT;
+  const cached = layouts.find(layout => layout.count === count && layout.towerHeight === towerHeight
+    && layout.area === plant.HELIOSTAT_AREA && layout.receiverRadius === plant.RECEIVER_RADIUS);
+  if (cached) return cached;
+  const mirrorSide = Math.sqrt(plant.HELIOSTAT_AREA);
+  const { positions, radius } = generateLayout(count, towerHeight, mirrorSide);
+  const layout = {
+    count,
+    towerHeight,
+    area: plant.HELIOSTAT_AREA,
+    receiverRadius: plant.RECEIVER_RADIUS, // sets spillage in the efficiency grid
+    positions,
+    radius,
+    neighbors: findNeighbors(positions, 2.5 * mirrorSide * Math.SQRT2),
+    grid: new Map(),
+  };
+  layouts = [layout, ...layouts.slice(0, LAYOUT_CACHE_SIZE - 1)];
+  return layout;
+};
+
+// Fraction of a disc of radius r hidden by an equal disc whose centre is d away
+const discOverlap = (d, r) => {
+  if (d >= 2 * r) return 0;
+  return (2 * r * r * Math.acos(d / (2 * r)) - (d / 2) * Math.sqrt(4 * r * r - d * d)) / (Math.PI * r * r);
+};
+
+// Distance of point offset (dx, dy, 0) from the line along unit vector v,
+// or Infinity when the point lies behind
+const offAxis = (dx, dy, v) => {
+  const along = dx * v[0] + dy * v[1];
+  if (along <= 0) return Infinity;
+  return Math.sqrt(Math.max(0, dx * dx + dy * dy - along * along));
+};
+
+// Atmospheric attenuation over slant range d (m)
+const attenuation = (d) => (d <= 1000 ? 0.99321 - 0.0001176 * d + 1.97e-8 * d * d : Math.exp(-0.0001106 * d));
+
+const computeEfficiencies = (layout, azimuth, elevation) => {
+  const { positions, neighbors, towerHeight, area, receiverRadius } = layout;
+  const sun = [Math.sin(azimuth * DEG) * Math.cos(elevation * DEG), Math.cos(azimuth * DEG) * Math.cos(elevation * DEG), Math.sin(elevation * DEG)];
+  const discRadius = Math.sqrt(area / Math.PI); // disc of equal area
+  const targets = positions.map(({ x, y }) => {
+    const d = Math.sqrt(x * x + y * y + towerHeight * towerHeight);
+    return [-x / d, -y / d, towerHeight / d, d];
+  });
+
+  const values = new Float32Array(positions.length);
+  positions.forEach((p, i) => {
+    const t = targets[i];
+    const cosine = Math.sqrt(Math.max(0, (1 + sun[0] * t[0] + sun[1] * t[1] + sun[2] * t[2]) / 2));
+    const projected = discRadius * Math.sqrt(cosine);
+
+    // Neighbours towards the sun shade incoming light; towards the tower they block the reflection
+    let lost = 0;
+    neighbors[i].forEach(j => {
+      const dx = positions[j].x - p.x;
+      const dy = positions[j].y - p.y;
+      lost += discOverlap(offAxis(dx, dy, sun), projected) + discOverlap(offAxis(dx, dy, t), projected);
+    });
+
+    const spread = t[3] * OPTICAL_ERROR * (2 - cosine);
+    const intercept = 1 - Math.exp(-(receiverRadius ** 2) / (2 * spread * spread));
+    values[i] = cosine * Math.max(0, 1 - lost) * attenuation(t[3]) * intercept;
+  });
+  return values;
+};
+
+const gridNode = (layout, azIndex, elIndex) => {
+  const key = `${azIndex}:${elIndex}`;
+  let node = layout.grid.get(key);
+  if (!node) {
+    const values = computeEfficiencies(layout, azIndex * AZIMUTH_STEP, elIndex * ELEVATION_STEP);
+    node = { values, mean: values.reduce((sum, v) => sum + v, 0) / values.length };
+    layout.grid.set(key, node);
+  }
+  return node;
+};
+
+// Four surrounding grid nodes and their bilinear weights
+const gridCorners = (layout, { azimuth, elevation }) => {
+  const a = (((azimuth % 360) + 360) % 360) / AZIMUTH_STEP;
+  const e = Math.min(elevation, 90) / ELEVATION_STEP;
+  const a0 = Math.floor(a);
+  const e0 = Math.min(Math.floor(e), 90 / ELEVATION_STEP - 1);
+  const fa = a - a0;
+  const fe = e - e0;
+  const wrap = (i) => i % (360 / AZIMUTH_STEP);
+  return [
+    [gridNode(layout, wrap(a0), e0), (1 - fa) * (1 - fe)],
+    [gridNode(layout, wrap(a0 + 1), e0), fa * (1 - fe)],
+    [gridNode(layout, wrap(a0), e0 + 1), (1 - fa) * fe],
+    [gridNode(layout, wrap(a0 + 1), e0 + 1), fa * fe],
+  ];
+};
+
+// Mean optical efficiency (excluding reflectivity) over the whole field
+export const fieldEfficiency = (sun, plant = CONSTANTS) => {
+  if (sun.elevation <= 0) return 0;
+  return gridCorners(getFieldLayout(plant), sun).reduce((sum, [node, weight]) => sum + node.mean * weight, 0);
+};
+
+// Per-mirror optical efficiency at a sun position rounded to the degree;
+// zero when the sun is down. Repeated lookups return the same array.
+export const heliostatEfficiencies = (sun, plant = CONSTANTS) => {
+  const layout = getFieldLayout(plant);
+  const azimuth = Math.round(sun.azimuth);
+  const elevation = Math.round(sun.elevation);
+  const key = elevation <= 0 ? 'night' : `${azimuth}:${elevation}`;
+  const cached = lastLookups.find(lookup => lookup.key === key && lookup.layout === layout);
+  if (cached) return cached.values;
+
+  const values = new Float32Array(layout.count);
+  if (elevation > 0) {
+    gridCorners(layout, { azimuth, elevation }).forEach(([node, weight]) => {
+      for (let i = 0; i < values.length; i++) values[i] += node.values[i] * weight;
+    });
+  }
+  lastLookups = [{ key, layout, values }, ...lastLookups.slice(0, 1)];
+  return values;
+};
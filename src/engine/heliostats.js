@@ -0,0 +1,263 @@
+import { CONSTANTS } from './constants.js';
+
+// Per-mirror heliostat condition and field O&M: random drive faults,
+// soiling that lowers reflectivity, and repair and cleaning crews working a
+// queue of work orders during their shifts.
+
+export const HELIOSTAT_STATUS = {
+  OK: 0,
+  FAULTY: 1, // waiting for a repair crew
+  REPAIR: 2, // crew on site
+};
+
+const MIN_CLEANLINESS = 0.6; // heavily soiled mirrors bottom out here
+const DUST_SOILING = 150; // a full sandstorm soils mirrors this many times faster than usual
+const HOURS_PER_YEAR = 8760;
+const HOUR_MS = 3600000;
+
+export const createMaintenanceSettings = () => ({
+  repairCrews: 1,
+  cleaningCrews: 2,
+  repairHours: 6, // mean crew hours per repair
+  cleaningRate: 10, // mirrors washed per crew-hour
+  failureRate: 0.02, // faults per mirror per year
+  soilingRate: 0.003, // reflectivity lost per day
+  cleaningThreshold: 0.95, // wash when cleanliness drops below this
+  repairShift: [7, 17], // local hours [start, end)
+  cleaningShift: [20, 6], // night washing; wraps past midnight
+});
+
+// Fresh field: all mirrors working, cleanliness spread evenly between the
+// cleaning threshold and freshly washed
+export const createHeliostats = (settings = createMaintenanceSettings(), count = CONSTANTS.HELIOSTAT_COUNT) => ({
+  settings,
+  status: Array(count).fill(HELIOSTAT_STATUS.OK),
+  cleanedAt: Array.from({ length: count }, (_, i) => -((i * 0.618034) % 1) * (1 - settings.cleaningThreshold)),
+  cleanOrdered: Array(count).fill(false),
+  soilingIndex: 0, // reflectivity lost by a never-washed mirror since the start
+  queue: { repair: [], clean: [] }, // work orders { id, kind, heliostat, created }, oldest first
+  crews: {
+    repair: Array.from({ length: settings.repairCrews }, () => ({ order: null, hoursLeft: 0 })),
+    cleaning: Array.from({ length: settings.cleaningCrews }, () => ({ order: null, hoursLeft: 0 })),
+  },
+  nextOrderId: 1,
+  stats: { repairs: 0, cleanings: 0, repairWaitHours: 0 },
+});
+
+export const mirrorCleanliness = (heliostats, i) =>
+  Math.max(MIN_CLEANLINESS, 1 - (heliostats.soilingIndex - heliostats.cleanedAt[i]));
+
+// Aggregate counts for the dashboard
+export const getHeliostatCounts = (heliostats) => {
+  const counts = { operational: 0, maintenance: 0, faulty: 0, cleaning_needed: 0, cleanliness: 0 };
+  heliostats.status.forEach((status, i) => {
+    if (status === HELIOSTAT_STATUS.OK) counts.operational++;
+    else if (status === HELIOSTAT_STATUS.REPAIR) counts.maintenance++;
+    else counts.faulty++;
+    const clean = mirrorCleanliness(heliostats, i);
+    if (clean < heliostats.settings.cleaningThreshold) counts.cleaning_needed++;
+    counts.cleanliness += clean / heliostats.status.length;
+  });
+  return counts;
+};
+
+// Mirrors out of service with a drive fault, waiting or under repair;
+// cheap enough to check every step
+export const faultedCount = (heliostats) =>
+  heliostats.queue.repair.length + heliostats.crews.repair.filter(crew => crew.order).length;
+
+// Take working mirrors out of service at once, picked at random. With
+// `repair` each gets a work order; otherwise they wait for restoreHeliostats
+// (a field controller trip rather than drive damage). Returns the mirrors taken.
+export const failHeliostats = (heliostats, count, { now, random, repair = true }) => {
+  const working = [];
+  heliostats.status.forEach((status, i) => { if (status === HELIOSTAT_STATUS.OK) working.push(i); });
+  const taken = Math.min(Math.round(count), working.length);
+  for (let k = 0; k < taken; k++) {
+    const j = k + Math.floor(random() * (working.length - k));
+    [working[k], working[j]] = [working[j], working[k]];
+  }
+  const mirrors = working.slice(0, taken);
+  if (mirrors.length === 0) return { heliostats, mirrors };
+
+  const status = heliostats.status.slice();
+  let nextOrderId = heliostats.nextOrderId;
+  const orders = [];
+  mirrors.forEach(i => {
+    status[i] = HELIOSTAT_STATUS.FAULTY;
+    if (repair) orders.push({ id: nextOrderId++, kind: 'repair', heliostat: i, created: now });
+  });
+  const queue = orders.length > 0 ? { ...heliostats.queue, repair: [...heliostats.queue.repair, ...orders] } : heliostats.queue;
+  return { heliostats: { ...heliostats, status, queue, nextOrderId }, mirrors };
+};
+
+// Bring mirrors taken out without work orders back into service
+export const restoreHeliostats = (heliostats, mirrors) => {
+  const status = heliostats.status.slice();
+  mirrors.forEach(i => { if (status[i] === HELIOSTAT_STATUS.FAULTY) status[i] = HELIOSTAT_STATUS.OK; });
+  return { ...heliostats, status };
+};
+
+// Working mirrors, their mean optical efficiency, and their cleanliness
+// weighted by how much each contributes to the receiver
+export const activeField = (heliostats, efficiencies) => {
+  const { status, cleanedAt, soilingIndex } = heliostats;
+  let active = 0;
+  let sum = 0;
+  let clean = 0;
+  // Runs every daylight step, so kept to a plain loop
+  for (let i = 0; i < status.length; i++) {
+    if (status[i] !== HELIOSTAT_STATUS.OK) continue;
+    active++;
+    sum += efficiencies[i];
+    clean += efficiencies[i] * Math.max(MIN_CLEANLINESS, 1 - (soilingIndex - cleanedAt[i]));
+  }
+  return {
+    active,
+    efficiency: active > 0 ? sum / active : 0,
+    cleanliness: sum > 0 ? clean / sum : 1,
+  };
+};
+
+const onShift = ([start, end], hour) => (start <= end ? hour >= start && hour < end : hour >= start || hour < end);
+
+// Poisson-distributed count with mean lambda (small lambda)
+const poisson = (lambda, random) => {
+  const limit = Math.exp(-lambda);
+  let count = 0;
+  let p = random();
+  while (p > limit) {
+    count++;
+    p *= random();
+  }
+  return count;
+};
+
+// Crews matching their count in the settings, keeping work in progress
+const staffCrews = (crews, size) => Array.from({ length: size }, (_, i) => crews[i] || { order: null, hoursLeft: 0 });
+
+// Orders held by crews beyond the staffed count
+const strandedOrders = (crews, size) => crews.slice(size).filter(crew => crew.order).map(crew => crew.order);
+
+// One crew's shift time spent on the oldest orders in its trade's queue,
+// applying completed work to the draft field
+const workOrders = (crew, kind, budget, draft, { settings, now, random }) => {
+  let { order, hoursLeft } = crew;
+  while (budget > 0) {
+    if (!order) {
+      if (draft.taken[kind] >= draft.queue[kind].length) break;
+      order = draft.queue[kind][draft.taken[kind]++];
+      if (kind === 'repair') {
+        hoursLeft = settings.repairHours * (0.5 + random());
+        draft.writable('status')[order.heliostat] = HELIOSTAT_STATUS.REPAIR;
+        draft.stats.repairWaitHours += (now - order.created) / HOUR_MS;
+      } else {
+        hoursLeft = 1 / settings.cleaningRate;
+      }
+    }
+    const spent = Math.min(budget, hoursLeft);
+    budget -= spent;
+    hoursLeft -= spent;
+    if (hoursLeft > 1e-9) break;
+    if (kind === 'repair') {
+      draft.writable('status')[order.heliostat] = HELIOSTAT_STATUS.OK;
+      draft.stats.repairs++;
+    } else {
+      draft.writable('cleanedAt')[order.heliostat] = draft.soilingIndex;
+      draft.writable('cleanOrdered')[order.heliostat] = false;
+      draft.stats.cleanings++;
+    }
+    order = null;
+    hoursLeft = 0;
+  }
+  return { order, hoursLeft };
+};
+
+// Advance faults, soiling and crew work by dt seconds at local `hour`, with
+// `dust` (0-1) in the air; `now` (ms) timestamps new work orders
+export const updateHeliostats = (heliostats, { dt, hour, now, random, dust = 0 }) => {
+  const { settings } = heliostats;
+  const dtHours = dt / 3600;
+  const soilingIndex = heliostats.soilingIndex + settings.soilingRate * (1 + DUST_SOILING * dust) * dt / 86400;
+
+  // Per-mirror arrays are copied only when something in them changes
+  const draft = {
+    status: heliostats.status,
+    cleanedAt: heliostats.cleanedAt,
+    cleanOrdered: heliostats.cleanOrdered,
+    copied: {},
+    writable(key) {
+      if (!this.copied[key]) {
+        this[key] = this[key].slice();
+        this.copied[key] = true;
+      }
+      return this[key];
+    },
+    soilingIndex,
+    queue: { repair: heliostats.queue.repair, clean: heliostats.queue.clean },
+    taken: { repair: 0, clean: 0 },
+    nextOrderId: heliostats.nextOrderId,
+    stats: { ...heliostats.stats },
+  };
+  const newOrders = { repair: [], clean: [] };
+  const order = (kind, heliostat) => newOrders[kind].push({ id: draft.nextOrderId++, kind, heliostat, created: now });
+
+  // New faults on working mirrors
+  const faults = poisson(settings.failureRate * draft.status.length * dtHours / HOURS_PER_YEAR, random);
+  for (let f = 0; f < faults; f++) {
+    const i = Math.floor(random() * draft.status.length);
+    if (draft.status[i] !== HELIOSTAT_STATUS.OK) continue;
+    draft.writable('status')[i] = HELIOSTAT_STATUS.FAULTY;
+    order('repair', i);
+  }
+
+  // Hourly reflectivity survey raises cleaning orders for mirrors that have
+  // dropped below the threshold
+  if (Math.floor(now / HOUR_MS) !== Math.floor((now - dt * 1000) / HOUR_MS)) {
+    const { cleanedAt, cleanOrdered } = draft;
+    for (let i = 0; i < cleanedAt.length; i++) {
+      if (cleanOrdered[i] || Math.max(MIN_CLEANLINESS, 1 - (soilingIndex - cleanedAt[i])) >= settings.cleaningThreshold) continue;
+      draft.writable('cleanOrdered')[i] = true;
+      order('clean', i);
+    }
+  }
+
+  // Stood-down crews hand their jobs back to the front of the queue
+  const stranded = {
+    repair: strandedOrders(heliostats.crews.repair, settings.repairCrews),
+    clean: strandedOrders(heliostats.crews.cleaning, settings.cleaningCrews),
+  };
+  stranded.repair.forEach(o => { draft.writable('status')[o.heliostat] = HELIOSTAT_STATUS.FAULTY; });
+  Object.keys(draft.queue).forEach(kind => {
+    if (stranded[kind].length > 0 || newOrders[kind].length > 0) {
+      draft.queue[kind] = [...stranded[kind], ...draft.queue[kind], ...newOrders[kind]];
+    }
+  });
+
+  // Crews spend their shift time on the oldest orders of their trade
+  const context = { settings, now, random };
+  const work = (crews, size, kind, shift) => {
+    const budget = onShift(shift, hour) ? dtHours : 0;
+    return staffCrews(crews, size).map(crew => workOrders(crew, kind, budget, draft, context));
+  };
+  const crews = {
+    repair: work(heliostats.crews.repair, settings.repairCrews, 'repair', settings.repairShift),
+    cleaning: work(heliostats.crews.cleaning, settings.cleaningCrews, 'clean', settings.cleaningShift),
+  };
+  const queue = {
+    repair: draft.taken.repair > 0 ? draft.queue.repair.slice(draft.taken.repair) : draft.queue.repair,
+    clean: draft.taken.clean > 0 ? draft.queue.clean.slice(draft.taken.clean) : draft.queue.clean,
+  };
+
+  return {
+    ...heliostats,
+    status: draft.status,
+    cleanedAt: draft.cleanedAt,
+    cleanOrdered: draft.cleanOrdered,
+    soilingIndex,
+    queue,
+    crews,
+    nextOrderId: draft.nextOrderId,
+    stats: draft.stats,
+  };
+};
@@ -0,0 +1,55 @@
+// Rolling time series kept in the plant state: hourly averages for the last
+// month and daily summaries for the last year.
+
+export const HISTORY_LIMITS = {
+  hourly: 24 * 31,
+  daily: 366,
+};
+
+// Time-averaged fields and per-hour totals in an hourly record
+const AVERAGED = ['dni', 'thermalPower', 'saltHotTemp', 'saltColdTemp', 'reactorTemp', 'feedRate'];
+const SUMMED = ['hydrogen', 'carbon'];
+
+export const createHistory = () => ({
+  hourly: [],
+  daily: [],
+  bucket: null, // the hour currently being accumulated
+});
+
+// Simulation clock as a millisecond timestamp
+export const simTime = (date, hour = 0, minute = 0) => date.getTime() + (hour * 60 + minute) * 60000;
+
+const append = (list, record, limit) => [...list, record].slice(-limit);
+
+const closeBucket = (bucket) => {
+  const record = { time: bucket.time };
+  AVERAGED.forEach(key => { record[key] = bucket.weight > 0 ? bucket[key] / bucket.weight : 0; });
+  SUMMED.forEach(key => { record[key] = bucket[key]; });
+  return record;
+};
+
+// Fold one step (prev -> next, dt seconds) into the history
+export const recordHistory = (history, prev, next, sample, dt) => {
+  let { hourly, daily, bucket } = history;
+
+  const hourStart = simTime(prev.date, prev.hour);
+  if (!bucket || bucket.time !== hourStart) {
+    if (bucket) hourly = append(hourly, closeBucket(bucket), HISTORY_LIMITS.hourly);
+    bucket = { time: hourStart, weight: 0 };
+    AVERAGED.concat(SUMMED).forEach(key => { bucket[key] = 0; });
+  }
+  bucket = { ...bucket, weight: bucket.weight + dt };
+  AVERAGED.forEach(key => { bucket[key] += sample[key] * dt; });
+  SUMMED.forEach(key => { bucket[key] += sample[key]; });
+
+  // Day rollover: keep the finished day's report instead of discarding it
+  if (next.date.getTime() !== prev.date.getTime()) {
+    daily = append(daily, { time: prev.date.getTime(), ...prev.dailyStats }, HISTORY_LIMITS.daily);
+  }
+
+  return { hourly, daily, bucket };
+};
+
+// Hourly records including the partially accumulated current hour
+export const getHourlyHistory = (history) =>
+  (history.bucket ? [...history.hourly, closeBucket(history.bucket)] : history.hourly);
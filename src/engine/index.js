@@ -0,0 +1,30 @@
+// Headless plant model: pure functions with no React or DOM dependencies,
+// so the same physics runs in the browser, Node scripts and batch studies.
+export * from './constants.js';
+export * from './plant.js';
+export * from './random.js';
+export * from './solar.js';
+export * from './thermal.js';
+export * from './field.js';
+export * from './heliostats.js';
+export * from './storage.js';
+export * from './pyrolysis.js';
+export * from './feedstock.js';
+export * from './supply.js';
+export * from './dispatch.js';
+export * from './climate.js';
+export * from './weather.js';
+export * from './tmy.js';
+export * from './history.js';
+export * from './alarms.js';
+export * from './protection.js';
+export * from './faults.js';
+export * from './wind.js';
+export * from './simulation.js';
+export * from './annual.js';
+export * from './scenarios.js';
+export * from './sweep.js';
+export * from './export.js';
+export * from './snapshot.js';
+export * from './economics.js';
+export * from './emissions.js';
@@ -0,0 +1,82 @@
+import { CONSTANTS } from './constants.js';
+
+// Editable plant design: metadata and validation for every CONSTANTS entry,
+// and the JSON file format used to share designs. A run carries its design as
+// state.plant, so states built for different designs can run side by side.
+
+export const PLANT_PARAMETERS = {
+  HELIOSTAT_COUNT: { label: 'Heliostats', unit: 'mirrors', group: 'Field', min: 1, max: 20000, integer: true },
+  HELIOSTAT_AREA: { label: 'Mirror area', unit: 'm²', group: 'Field', min: 1, max: 200 },
+  MIRROR_REFLECTIVITY: { label: 'Clean reflectivity', unit: '0-1', group: 'Field', min: 0.5, max: 1 },
+  TOWER_HEIGHT: { label: 'Tower height', unit: 'm', group: 'Receiver', min: 20, max: 300 },
+  RECEIVER_RADIUS: { label: 'Receiver half-width', unit: 'm', group: 'Receiver', min: 0.5, max: 20 },
+  RECEIVER_EFFICIENCY: { label: 'Receiver efficiency', unit: '0-1', group: 'Receiver', min: 0.3, max: 1 },
+  SALT_TEMP_HOT: { label: 'Hot salt', unit: '°C', group: 'Storage', min: 300, max: 600 },
+  SALT_TEMP_COLD: { label: 'Cold salt', unit: '°C', group: 'Storage', min: 240, max: 500 },
+  SALT_HEAT_CAPACITY: { label: 'Salt heat capacity', unit: 'kJ/(kg·K)', group: 'Storage', min: 0.5, max: 3 },
+  SALT_DENSITY: { label: 'Salt density', unit: 'kg/m³', group: 'Storage', min: 1000, max: 2500 },
+  STORAGE_TANK_VOLUME: { label: 'Salt inventory', unit: 'm³', group: 'Storage', min: 10, max: 100000 },
+  HEAT_LOSS_PER_HOUR: { label: 'Tank heat loss', unit: 'MW per 100 K', group: 'Storage', min: 0, max: 1 },
+  REACTOR_CAPACITY: { label: 'Reactor capacity', unit: 'kg/h', group: 'Reactor', min: 1, max: 10000 },
+  PYROLYSIS_ENERGY: { label: 'Process heat', unit: 'kJ/kg', group: 'Reactor', min: 100, max: 5000 },
+};
+
+export const PLANT_GROUPS = ['Field', 'Receiver', 'Storage', 'Reactor'];
+
+// The design the engine ships with
+export const DEFAULT_PLANT = { ...CONSTANTS };
+
+const FILE_TYPE = 'csp-pyrolysis-plant';
+const FILE_VERSION = 1;
+
+// Error message per invalid parameter; empty when the design is usable
+export const validatePlantConfig = (config) => {
+  const errors = {};
+  Object.entries(PLANT_PARAMETERS).forEach(([key, { min, max, integer }]) => {
+    const value = config[key];
+    if (typeof value !== 'number' || !Number.isFinite(value)) errors[key] = 'Must be a number';
+    else if (value < min || value > max) errors[key] = `Must be between ${min} and ${max}`;
+    else if (integer && !Number.isInteger(value)) errors[key] = 'Must be a whole number';
+  });
+  if (!errors.SALT_TEMP_HOT && !errors.SALT_TEMP_COLD && config.SALT_TEMP_HOT <= config.SALT_TEMP_COLD) {
+    errors.SALT_TEMP_HOT = 'Must be above the cold salt temperature';
+  }
+  return errors;
+};
+
+// A checked design to build a run with; throws listing what is invalid
+export const createPlant = (config = DEFAULT_PLANT) => {
+  const errors = validatePlantConfig(config);
+  const invalid = Object.keys(errors);
+  if (invalid.length > 0) throw new Error(`Invalid plant design: ${invalid.map(key => `${key} ${errors[key].toLowerCase()}`).join('; ')}`);
+  return Object.fromEntries(Object.keys(PLANT_PARAMETERS).map(key => [key, config[key]]));
+};
+
+export const serializePlantDesign = (name, config) => JSON.stringify({
+  type: FILE_TYPE,
+  version: FILE_VERSION,
+  name,
+  constants: Object.fromEntries(Object.keys(PLANT_PARAMETERS).map(key => [key, config[key]])),
+}, null, 2);
+
+// Read a shared design file; parameters it leaves out keep their defaults
+export const parsePlantDesign = (text, fileName = 'design') => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${fileName} is not valid JSON`);
+  }
+  if (!data || data.type !== FILE_TYPE || typeof data.constants !== 'object') {
+    throw new Error(`${fileName} is not a plant design file`);
+  }
+  if (data.version > FILE_VERSION) throw new Error(`${fileName} was saved by a newer version (format ${data.version})`);
+  const unknown = Object.keys(data.constants).filter(key => !PLANT_PARAMETERS[key]);
+  if (unknown.length > 0) throw new Error(`${fileName} has unknown parameters: ${unknown.join(', ')}`);
+
+  const constants = { ...DEFAULT_PLANT, ...data.constants };
+  const errors = validatePlantConfig(constants);
+  const invalid = Object.keys(errors);
+  if (invalid.length > 0) throw new Error(`${fileName}: ${invalid[0]} ${errors[invalid[0]].toLowerCase()}`);
+  return { name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : fileName.replace(/\.json$/i, ''), constants };
+};
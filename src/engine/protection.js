@@ -0,0 +1,166 @@
+import { CONSTANTS, PLASTIC_TYPES } from './constants.js';
+
+// Plant protection: electric heat tracing that holds the salt above its
+// freeze margin, receiver defocus on salt overtemperature, and emergency
+// shutdown (trip) with a timed restart sequence. Powers in MW, temperatures °C.
+
+const HOUR_MS = 3600000;
+const LOG_LIMIT = 100;
+const CLEAR_MARGIN = 10; // K inside a limit before a trip cause counts as gone
+const REACTOR_MARGIN = 25; // K below its trip limit the reactor is heated to at most
+const REACTOR_LIMIT_MARGIN = 50; // K the default trip limit sits above the hottest the reactor runs
+
+export const TRIP_CAUSES = {
+  freeze: 'Salt freezing',
+  reactorOvertemp: 'Reactor overtemperature',
+  manual: 'Operator emergency stop',
+};
+
+// Hottest the reactor is run: the hot salt that heats it, or a built-in
+// feed's optimum should one be hotter
+const hottestReactorTemp = (plant) =>
+  Math.max(plant.SALT_TEMP_HOT, ...Object.values(PLASTIC_TYPES).map(plastic => plastic.optimal_temp));
+
+// The reactor limit default follows the plant design the settings are
+// created for, clear of every setpoint the reactor can reach
+export const createProtectionSettings = (plant = CONSTANTS) => ({
+  heaterCapacity: 1, // MW electric, heat tracing and tank immersion heaters
+  traceSetpoint: 290, // heaters hold both tanks at or above this
+  freezeTrip: 260, // salt this cold is crystallizing: trip
+  saltHighLimit: 575, // hot salt at or above this defocuses the receiver
+  reactorHighLimit: hottestReactorTemp(plant) + REACTOR_LIMIT_MARGIN, // reactor wall limit: trip
+  restartHours: 2, // purge and warm-up after a trip clears, before feed restarts
+});
+
+// Settings carried over to a new plant design: a reactor limit still at the
+// old design's default moves to the new design's, an edited one is kept
+export const followDesignLimits = (settings, oldDefaults, newDefaults) =>
+  (settings.reactorHighLimit === oldDefaults.reactorHighLimit ? { ...settings, reactorHighLimit: newDefaults.reactorHighLimit } : settings);
+
+export const createProtection = (settings = createProtectionSettings()) => ({
+  settings,
+  status: 'normal', // 'tripped' | 'restarting'
+  trip: null, // the trip being handled: { id, cause, message, time, cleared, restarted }
+  restartAt: null, // when the restart sequence hands back to normal operation
+  defocused: false,
+  heaterPower: 0,
+  log: [], // past and current trips, oldest first
+  nextId: 1,
+  stats: { trips: 0, downtimeHours: 0, heaterMWh: 0, defocusedHours: 0 },
+});
+
+// What the plant may do this step: the receiver is defocused while tripped or
+// while the hot salt is at its limit; the reactor is heated again during the
+// restart sequence but only fed once it completes
+export const protectionPermits = (protection, storage) => ({
+  receiver: protection.status !== 'tripped' && storage.hotTemp < protection.settings.saltHighLimit,
+  reactorHeat: protection.status !== 'tripped',
+  feed: protection.status === 'normal',
+});
+
+// Hottest the reactor is heated to, whatever its setpoint: far enough under
+// the trip limit that reaching the setpoint, or rewarming during a restart
+// (which begins CLEAR_MARGIN under the limit), never trips it
+export const reactorCeiling = (settings) => settings.reactorHighLimit - REACTOR_MARGIN;
+
+// Heat tracing: bring each tank back to the setpoint within the heater
+// capacity, cold tank first since it sits closest to freezing
+export const applyHeatTracing = (settings, storage, dt, plant = CONSTANTS) => {
+  const cp = plant.SALT_HEAT_CAPACITY;
+  let budget = settings.heaterCapacity;
+  const heat = (temp, mass) => {
+    if (temp >= settings.traceSetpoint || mass <= 0 || budget <= 0) return temp;
+    const needed = mass * cp * (settings.traceSetpoint - temp) / 1000 / dt;
+    const power = Math.min(needed, budget);
+    budget -= power;
+    return power === needed ? settings.traceSetpoint : temp + power * 1000 * dt / (mass * cp);
+  };
+  const coldTemp = heat(storage.coldTemp, storage.coldMass);
+  const hotTemp = heat(storage.hotTemp, storage.hotMass);
+  const heaterPower = settings.heaterCapacity - budget;
+  return { storage: heaterPower > 0 ? { ...storage, coldTemp, hotTemp } : storage, heaterPower };
+};
+
+const addTrip = (protection, cause, message, now) => ({
+  ...protection,
+  status: 'tripped',
+  trip: { id: protection.nextId, cause, message, time: now, cleared: null, restarted: null },
+  restartAt: null,
+  nextId: protection.nextId + 1,
+  stats: { ...protection.stats, trips: protection.stats.trips + 1 },
+});
+
+// Record a trip's progress in the log, replacing its earlier entry
+const logTrip = (protection) => {
+  const { trip, log } = protection;
+  const last = log[log.length - 1];
+  const kept = last && last.id === trip.id ? log.slice(0, -1) : log;
+  return { ...protection, log: [...kept, trip].slice(-LOG_LIMIT) };
+};
+
+// Operator emergency stop by default; other causes bring their own message
+export const tripPlant = (protection, now, cause = 'manual', message = TRIP_CAUSES[cause]) =>
+  logTrip(addTrip(protection, cause, message, now));
+
+// A manual trip stays in until the operator resets it, which starts the restart sequence
+export const resetTrip = (protection, now) => {
+  if (protection.status !== 'tripped' || protection.trip.cause !== 'manual') return protection;
+  return logTrip({
+    ...protection,
+    status: 'restarting',
+    trip: { ...protection.trip, cleared: now },
+    restartAt: now + protection.settings.restartHours * HOUR_MS,
+  });
+};
+
+// Why the plant must trip now, if it must
+const tripCause = (settings, storage, reactorTemp) => {
+  const salt = Math.min(storage.hotTemp, storage.coldTemp);
+  if (salt < settings.freezeTrip) {
+    return ['freeze', `${storage.coldTemp <= storage.hotTemp ? 'Cold' : 'Hot'} tank salt at ${salt.toFixed(1)}°C, below the ${settings.freezeTrip}°C freeze trip`];
+  }
+  if (reactorTemp > settings.reactorHighLimit) {
+    return ['reactorOvertemp', `Reactor at ${reactorTemp.toFixed(1)}°C, above its ${settings.reactorHighLimit}°C limit`];
+  }
+  return null;
+};
+
+// Whether an automatic trip's cause has gone, with some margin
+const causeCleared = (trip, settings, storage, reactorTemp) => {
+  if (trip.cause === 'freeze') return Math.min(storage.hotTemp, storage.coldTemp) >= settings.freezeTrip + CLEAR_MARGIN;
+  if (trip.cause === 'reactorOvertemp') return reactorTemp <= settings.reactorHighLimit - CLEAR_MARGIN;
+  return false;
+};
+
+// Trip, clear and restart transitions after a step, plus running totals
+export const updateProtection = (protection, { storage, reactorTemp, heaterPower, defocused, now, dt }) => {
+  const { settings } = protection;
+  const hours = dt / 3600;
+  let next = {
+    ...protection,
+    heaterPower,
+    defocused,
+    stats: {
+      ...protection.stats,
+      heaterMWh: protection.stats.heaterMWh + heaterPower * hours,
+      defocusedHours: protection.stats.defocusedHours + (defocused ? hours : 0),
+      downtimeHours: protection.stats.downtimeHours + (protection.status === 'normal' ? 0 : hours),
+    },
+  };
+
+  const cause = tripCause(settings, storage, reactorTemp);
+  if (cause && next.status !== 'tripped') return logTrip(addTrip(next, ...cause, now));
+
+  if (next.status === 'tripped' && next.trip.cause !== 'manual' && causeCleared(next.trip, settings, storage, reactorTemp)) {
+    next = logTrip({
+      ...next,
+      status: 'restarting',
+      trip: { ...next.trip, cleared: now },
+      restartAt: now + settings.restartHours * HOUR_MS,
+    });
+  }
+  if (next.status === 'restarting' && now >= next.restartAt) {
+    next = logTrip({ ...next, status: 'normal', trip: { ...next.trip, restarted: now }, restartAt: null });
+  }
+  return next;
+};
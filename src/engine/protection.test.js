@@ -0,0 +1,104 @@
+import { CONSTANTS, PLASTIC_TYPES } from './constants.js';
+import { createPlant } from './plant.js';
+import { createProtection, createProtectionSettings, followDesignLimits, protectionPermits, applyHeatTracing, tripPlant, resetTrip, updateProtection, reactorCeiling } from './protection.js';
+import { createStorage } from './storage.js';
+import { createInitialState, step, reactorTargetTemp } from './simulation.js';
+
+const HOUR_MS = 3600000;
+
+describe('plant protection', () => {
+  it('defaults the reactor limit clear of every setpoint the reactor can reach', () => {
+    const ceiling = reactorCeiling(createProtectionSettings());
+    expect(ceiling).toBeGreaterThanOrEqual(CONSTANTS.SALT_TEMP_HOT);
+    Object.entries(PLASTIC_TYPES).forEach(([plastic, data]) => {
+      expect(ceiling).toBeGreaterThan(data.optimal_temp);
+      expect(reactorTargetTemp(createInitialState({ plastic }), data)).toBe(data.optimal_temp);
+    });
+  });
+
+  it('moves a default reactor limit to a new design, keeping an edited one', () => {
+    const oldDefaults = createProtectionSettings();
+    const edited = { ...oldDefaults, reactorHighLimit: 700 };
+    const newDefaults = createProtectionSettings(createPlant({ ...CONSTANTS, SALT_TEMP_HOT: 600 }));
+    expect(followDesignLimits(oldDefaults, oldDefaults, newDefaults).reactorHighLimit).toBe(newDefaults.reactorHighLimit);
+    expect(newDefaults.reactorHighLimit).toBeGreaterThan(oldDefaults.reactorHighLimit);
+    expect(followDesignLimits(edited, oldDefaults, newDefaults)).toBe(edited);
+  });
+
+  it('warms salt below the trace setpoint within the heater capacity', () => {
+    const settings = createProtectionSettings();
+    const cold = createStorage({ coldTemp: 280 });
+    const { storage, heaterPower } = applyHeatTracing(settings, cold, 600);
+    expect(heaterPower).toBe(settings.heaterCapacity);
+    const rise = heaterPower * 1000 * 600 / (cold.coldMass * CONSTANTS.SALT_HEAT_CAPACITY);
+    expect(storage.coldTemp).toBeCloseTo(280 + rise, 9);
+
+    const nearlyWarm = createStorage({ coldTemp: settings.traceSetpoint - 0.001 });
+    expect(applyHeatTracing(settings, nearlyWarm, 600).storage.coldTemp).toBe(settings.traceSetpoint);
+  });
+
+  it('defocuses the receiver at the salt high limit', () => {
+    const protection = createProtection();
+    const hot = createStorage({ hotTemp: protection.settings.saltHighLimit });
+    expect(protectionPermits(protection, hot)).toEqual({ receiver: false, reactorHeat: true, feed: true });
+  });
+
+  it('trips on freezing salt and restarts once it has warmed', () => {
+    const base = { reactorTemp: 500, heaterPower: 0, defocused: false, dt: 600 };
+    let protection = updateProtection(createProtection(), { ...base, storage: createStorage({ coldTemp: 250 }), now: 0 });
+    expect(protection.status).toBe('tripped');
+    expect(protection.trip.cause).toBe('freeze');
+    expect(protectionPermits(protection, createStorage())).toEqual({ receiver: false, reactorHeat: false, feed: false });
+
+    protection = updateProtection(protection, { ...base, storage: createStorage({ coldTemp: 300 }), now: HOUR_MS });
+    expect(protection.status).toBe('restarting');
+    expect(protectionPermits(protection, createStorage()).feed).toBe(false);
+
+    protection = updateProtection(protection, { ...base, storage: createStorage({ coldTemp: 300 }), now: 3 * HOUR_MS });
+    expect(protection.status).toBe('normal');
+    expect(protection.log[0]).toMatchObject({ cause: 'freeze', time: 0, cleared: HOUR_MS, restarted: 3 * HOUR_MS });
+  });
+
+  it('keeps a manual trip in until the operator resets it', () => {
+    const tripped = tripPlant(createProtection(), 0);
+    const idle = { storage: createStorage(), reactorTemp: 500, heaterPower: 0, defocused: false, dt: 600 };
+    expect(updateProtection(tripped, { ...idle, now: 10 * HOUR_MS }).status).toBe('tripped');
+    expect(resetTrip(tripped, 10 * HOUR_MS).status).toBe('restarting');
+  });
+
+  it('never heats the reactor to its trip limit', () => {
+    const settings = { ...createProtectionSettings(), reactorHighLimit: 500 };
+    let state = {
+      ...createInitialState({ location: 'Riyadh, Saudi Arabia', date: new Date(2026, 5, 1), protection: createProtection(settings) }),
+      storage: createStorage({ hotFraction: 0.8, hotTemp: 565 }),
+      reactorTemp: 440,
+    };
+    for (let i = 0; i < 288; i++) state = step(state, 300);
+    expect(state.protection.stats.trips).toBe(0);
+    expect(state.reactorTemp).toBeCloseTo(reactorCeiling(settings), 6);
+  });
+
+  it('completes a restart after a reactor overtemperature trip without tripping again', () => {
+    const settings = { ...createProtectionSettings(), reactorHighLimit: 500 };
+    let state = {
+      ...createInitialState({ location: 'Riyadh, Saudi Arabia', date: new Date(2026, 5, 1), protection: createProtection(settings) }),
+      storage: createStorage({ hotFraction: 0.8, hotTemp: 565 }),
+      reactorTemp: 540, // hotter than the new limit allows
+    };
+    state = step(state, 300);
+    expect(state.protection.status).toBe('tripped');
+
+    for (let i = 0; i < 12 * 24 * 4 && state.protection.status !== 'normal'; i++) {
+      state = step(state, 300);
+      if (state.protection.status === 'restarting') expect(state.reactorTemp).toBeLessThan(settings.reactorHighLimit);
+    }
+    expect(state.protection.status).toBe('normal');
+    const [trip] = state.protection.log;
+    expect(trip.cause).toBe('reactorOvertemp');
+    expect(trip.restarted - trip.cleared).toBe(settings.restartHours * HOUR_MS);
+
+    for (let i = 0; i < 12 * 24; i++) state = step(state, 300);
+    expect(state.protection.stats.trips).toBe(1);
+    expect(state.protection.status).toBe('normal');
+  });
+});
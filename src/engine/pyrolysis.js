@@ -0,0 +1,100 @@
+import { CONSTANTS } from './constants.js';
+
+const GAS_CONSTANT = 8.314e-3; // kJ/(mol·K)
+
+// Two-step kinetics: the polymer decomposes to vapours (primary), and the
+// vapours crack further to H₂, carbon and light gas (secondary). Each step is
+// first order with Arrhenius rates, anchored so a plastic's PLASTIC_TYPES
+// yields are reproduced at its optimal_temp and full-load residence times.
+export const KINETICS = {
+  primaryEa: 220, // kJ/mol, polymer chain scission
+  crackingEa: 150, // kJ/mol, vapour-phase cracking
+  halfConversionOffset: 60, // °C below optimal_temp where half the feed decomposes at full load
+  solidResidence: 900, // s at REACTOR_CAPACITY; longer at part load
+  vaporResidence: 3, // s at REACTOR_CAPACITY
+  minConversion: 0.95, // decomposition needed before feed is admitted
+  minLoad: 0.2, // residence times stop growing below this load
+};
+
+// Rate at tempC relative to the rate at refC
+const arrhenius = (ea, tempC, refC) => Math.exp(-(ea / GAS_CONSTANT) * (1 / (tempC + 273.15) - 1 / (refC + 273.15)));
+
+// Solid and vapour residence times (s), inversely proportional to feed rate;
+// `plant` is the run's design, the built-in one by default
+export const residenceTimes = (feedRate, plant = CONSTANTS) => {
+  const load = Math.max(feedRate / plant.REACTOR_CAPACITY, KINETICS.minLoad);
+  return { solid: KINETICS.solidResidence / load, vapor: KINETICS.vaporResidence / load };
+};
+
+// Nominal product yields (kg per kg plastic) and the cracking severity they imply
+const nominalYields = (plasticData) => {
+  const h2 = plasticData.h2_yield * 2.016 / 1000;
+  const volatiles = h2 + plasticData.carbon_yield + plasticData.oil_yield + plasticData.gas_yield;
+  const severity = volatiles > 0 ? Math.min(1 - plasticData.oil_yield / volatiles, 0.999) : 0;
+  return { h2, volatiles, severity };
+};
+
+// Fraction of the feed decomposed within the solid residence time, at full
+// load unless a feed rate is given
+export const primaryConversion = (plasticData, tempC, feedRate = null, plant = CONSTANTS) => {
+  const { solid } = residenceTimes(feedRate === null ? plant.REACTOR_CAPACITY : feedRate, plant);
+  const kt = Math.LN2 * arrhenius(KINETICS.primaryEa, tempC, plasticData.optimal_temp - KINETICS.halfConversionOffset)
+    * solid / KINETICS.solidResidence;
+  return 1 - Math.exp(-kt);
+};
+
+// Product yields (kg per kg plastic fed) at a reactor temperature and feed
+// rate, summing to 1: decomposed feed the yield data leave unaccounted for
+// (water, CO/CO₂, light hydrocarbons) leaves with the gas
+export const pyrolysisYields = (plasticData, tempC, feedRate, plant = CONSTANTS) => {
+  const nominal = nominalYields(plasticData);
+  const conversion = primaryConversion(plasticData, tempC, feedRate, plant);
+  const { vapor } = residenceTimes(feedRate, plant);
+  const kt = -Math.log(1 - nominal.severity) * arrhenius(KINETICS.crackingEa, tempC, plasticData.optimal_temp)
+    * vapor / KINETICS.vaporResidence;
+  const severity = 1 - Math.exp(-kt);
+  const cracked = nominal.severity > 0 ? severity / nominal.severity : 0;
+
+  return {
+    conversion,
+    severity,
+    hydrogen: conversion * nominal.h2 * cracked,
+    carbon: conversion * plasticData.carbon_yield * cracked,
+    gas: conversion * (plasticData.gas_yield * cracked + Math.max(0, 1 - nominal.volatiles)),
+    oil: conversion * nominal.volatiles * (1 - severity),
+    residue: 1 - conversion, // undecomposed feed leaves with the by-products
+  };
+};
+
+// Enough of the feed decomposes at this temperature to admit plastic at full
+// load, whatever the reactor's size
+export const reactorReady = (plasticData, tempC) => primaryConversion(plasticData, tempC) >= KINETICS.minConversion;
+
+// Feed rate (kg/h) a given process heat supply (MW) can sustain
+export const maxFeedRateForPower = (powerMW, plant = CONSTANTS) => {
+  const requiredPowerPerKg = plant.PYROLYSIS_ENERGY / 3600; // kW per kg/h
+  return (powerMW * 1000) / requiredPowerPerKg;
+};
+
+// Process heat (MW) needed for a feed rate (kg/h)
+export const heatDemandForFeedRate = (feedRate, plant = CONSTANTS) => feedRate * plant.PYROLYSIS_ENERGY / 3600 / 1000;
+
+// Pyrolysis products for a plastic fed at feedRate kg/h over deltaTime seconds
+// with the reactor at reactorTemp (°C, defaults to the plastic's optimum)
+export const processPyrolysis = (plasticData, feedRate, deltaTime, reactorTemp = plasticData.optimal_temp, plant = CONSTANTS) => {
+  const actualRate = Math.min(feedRate, plant.REACTOR_CAPACITY);
+
+  const plasticProcessed = actualRate * (deltaTime / 3600);
+  const yields = pyrolysisYields(plasticData, reactorTemp, actualRate, plant);
+
+  return {
+    plastic: plasticProcessed,
+    hydrogen: plasticProcessed * yields.hydrogen,
+    carbon: plasticProcessed * yields.carbon,
+    wax: plasticProcessed * yields.oil,
+    waste: plasticProcessed * (yields.gas + yields.residue),
+    rate: actualRate,
+    conversion: yields.conversion,
+    severity: yields.severity,
+  };
+};
@@ -0,0 +1,50 @@
+import { CONSTANTS, PLASTIC_TYPES } from './constants.js';
+import { FEEDSTOCK_COMPONENTS } from './feedstock.js';
+import { pyrolysisYields, processPyrolysis, primaryConversion, reactorReady } from './pyrolysis.js';
+
+const capacity = CONSTANTS.REACTOR_CAPACITY;
+const plastics = Object.entries({ ...PLASTIC_TYPES, PET: FEEDSTOCK_COMPONENTS.PET, PVC: FEEDSTOCK_COMPONENTS.PVC });
+
+describe('pyrolysis kinetics', () => {
+  it.each(plastics)('accounts for every kilogram of %s fed', (name, plastic) => {
+    [450, 550, 700, plastic.optimal_temp, 1000].forEach(temp => {
+      [0.1, 0.5, 1].forEach(load => {
+        const y = pyrolysisYields(plastic, temp, load * capacity);
+        expect(y.hydrogen + y.carbon + y.gas + y.oil + y.residue).toBeCloseTo(1, 9);
+        Object.values(y).forEach(value => expect(value).toBeGreaterThanOrEqual(0));
+      });
+    });
+  });
+
+  it('splits the feed processed in a step into products and waste', () => {
+    const products = processPyrolysis(PLASTIC_TYPES.HDPE, capacity, 900, 600);
+    expect(products.plastic).toBeCloseTo(capacity / 4, 9);
+    expect(products.hydrogen + products.carbon + products.wax + products.waste).toBeCloseTo(products.plastic, 9);
+  });
+
+  it('reproduces the nominal yields at the optimal temperature and full load', () => {
+    const plastic = PLASTIC_TYPES.HDPE;
+    const y = pyrolysisYields(plastic, plastic.optimal_temp, capacity);
+    expect(y.conversion).toBeGreaterThan(0.999);
+    expect(y.hydrogen).toBeCloseTo(plastic.h2_yield * 2.016 / 1000, 3);
+    expect(y.carbon).toBeCloseTo(plastic.carbon_yield, 3);
+    expect(y.oil).toBeCloseTo(plastic.oil_yield, 3);
+  });
+
+  it('decomposes more, and cracks more, the hotter the reactor', () => {
+    const plastic = PLASTIC_TYPES.PP;
+    expect(primaryConversion(plastic, 520)).toBeGreaterThan(primaryConversion(plastic, 480));
+    expect(pyrolysisYields(plastic, 800, capacity).hydrogen).toBeGreaterThan(pyrolysisYields(plastic, 600, capacity).hydrogen);
+    expect(reactorReady(plastic, 450)).toBe(false);
+    expect(reactorReady(plastic, plastic.optimal_temp)).toBe(true);
+  });
+
+  it.each(Object.entries(PLASTIC_TYPES))('lets %s be fed from a reactor at the hot salt temperature', (name, plastic) => {
+    expect(plastic.optimal_temp).toBeLessThanOrEqual(CONSTANTS.SALT_TEMP_HOT);
+    expect(reactorReady(plastic, CONSTANTS.SALT_TEMP_HOT)).toBe(true);
+  });
+
+  it('never feeds more than the reactor capacity', () => {
+    expect(processPyrolysis(PLASTIC_TYPES.PS, capacity * 2, 3600).rate).toBe(capacity);
+  });
+});
@@ -0,0 +1,29 @@
+// Seeded pseudo-random numbers (mulberry32). The generator state is a single
+// uint32 so it can be stored in the plant state and resumed exactly.
+
+// Accepts numbers or arbitrary strings ("review-42") as seeds
+export const hashSeed = (seed) => {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+  if (/^\d+$/.test(String(seed).trim())) return Number(seed) >>> 0;
+  // FNV-1a over the string form
+  let h = 0x811c9dc5;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+// Returns a function producing numbers in [0, 1); rng.state is the resumable state
+export const createRng = (state) => {
+  const rng = () => {
+    rng.state = (rng.state + 0x6D2B79F5) >>> 0;
+    let t = rng.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.state = state >>> 0;
+  return rng;
+};
@@ -0,0 +1,144 @@
+import { CONSTANTS } from './constants.js';
+import { createInitialState, step } from './simulation.js';
+import { emptyTotals, addStepTotals, withCapacityFactor } from './annual.js';
+import { createHeliostats } from './heliostats.js';
+import { computeEconomics, createEconomicInputs } from './economics.js';
+import { carbonIntensity } from './emissions.js';
+
+// Side-by-side comparison runs: the same seed and date range simulated for
+// each location × plastic × plant size, with production, efficiency and
+// economics per scenario.
+
+const DAY_MS = 86400000;
+
+// Plant sizes scale the field, reactor and storage together from a base design
+export const PLANT_SIZES = {
+  Pilot: { name: 'Pilot', scale: 0.5 },
+  Base: { name: 'Base', scale: 1 },
+  Large: { name: 'Large', scale: 2 },
+};
+
+export const plantConstants = (size, plant = CONSTANTS) => {
+  const { scale } = PLANT_SIZES[size];
+  return {
+    HELIOSTAT_COUNT: Math.round(plant.HELIOSTAT_COUNT * scale),
+    REACTOR_CAPACITY: plant.REACTOR_CAPACITY * scale,
+    STORAGE_TANK_VOLUME: plant.STORAGE_TANK_VOLUME * scale,
+  };
+};
+
+// Every combination of the chosen locations, plastics and sizes
+export const scenarioMatrix = (locations, plastics, sizes) =>
+  locations.flatMap(location => plastics.flatMap(plastic => sizes.map(size => ({ location, plastic, size }))));
+
+export const scenarioLabel = ({ location, plastic, size }) => `${location.split(',')[0]} · ${plastic} · ${size}`;
+
+// Dispatch rates are in kg/h, so they follow the reactor when `plant` is
+// resized to `constants`
+export const scaleDispatch = (dispatch, constants, plant = CONSTANTS) => {
+  const factor = (constants.REACTOR_CAPACITY || plant.REACTOR_CAPACITY) / plant.REACTOR_CAPACITY;
+  return {
+    ...dispatch,
+    baseloadRate: dispatch.baseloadRate * factor,
+    rampRate: dispatch.rampRate * factor,
+  };
+};
+
+// Lump-sum receiver and reactor costs follow the six-tenths rule with field
+// and reactor size; per-unit costs already scale. Same arguments as scaleDispatch.
+export const scaleEconomicInputs = (inputs, constants, plant = CONSTANTS) => {
+  const field = (constants.HELIOSTAT_COUNT || plant.HELIOSTAT_COUNT) / plant.HELIOSTAT_COUNT;
+  const reactor = (constants.REACTOR_CAPACITY || plant.REACTOR_CAPACITY) / plant.REACTOR_CAPACITY;
+  return {
+    ...inputs,
+    receiverCost: inputs.receiverCost * Math.pow(field, 0.6),
+    reactorCost: inputs.reactorCost * Math.pow(reactor, 0.6),
+  };
+};
+
+// One scenario from startDate 00:00 for `days` days. Shared options are the
+// createInitialState ones, except that `plant` is the base design each size
+// scales and heliostats are built for the scenario's field from `maintenance`
+// settings.
+export const runScenario = ({
+  scenario,
+  plant = CONSTANTS,
+  startDate,
+  days,
+  stepsPerHour = 2,
+  economicInputs = createEconomicInputs(),
+  maintenance,
+  dispatch,
+  onProgress,
+  ...options
+}) => {
+  const constants = plantConstants(scenario.size, plant);
+  const sized = { ...plant, ...constants };
+  const scaledDispatch = dispatch && scaleDispatch(dispatch, constants, plant);
+  const scaledInputs = scaleEconomicInputs(economicInputs, constants, plant);
+
+  const heliostats = createHeliostats(maintenance, sized.HELIOSTAT_COUNT);
+  let state = createInitialState({
+    ...options,
+    plant: sized,
+    location: scenario.location,
+    plastic: scenario.plastic,
+    tmy: null, // weather files are site-specific; every scenario uses synthetic weather
+    dispatch: scaledDispatch,
+    heliostats,
+    date: startDate,
+    hour: 0,
+  });
+  const dt = 3600 / stepsPerHour;
+  const totals = emptyTotals();
+  const daily = [];
+  const totalSteps = days * 24 * stepsPerHour;
+
+  for (let i = 0; i < totalSteps; i++) {
+    const next = step(state, dt);
+    addStepTotals(totals, state, next, dt);
+    state = next;
+    if ((i + 1) % (24 * stepsPerHour) === 0) {
+      daily.push({ time: startDate.getTime() + daily.length * DAY_MS, hydrogen: state.production.hydrogen });
+      if (onProgress) onProgress((i + 1) / totalSteps);
+    }
+  }
+
+  const yearFactor = totals.hours > 0 ? 8760 / totals.hours : 0;
+  const annual = {
+    hydrogen: totals.hydrogen * yearFactor,
+    carbon: totals.carbon * yearFactor,
+    wax: totals.wax * yearFactor,
+    waste: totals.waste * yearFactor,
+    plasticProcessed: totals.plasticProcessed * yearFactor,
+  };
+  const fieldArea = sized.HELIOSTAT_COUNT * sized.HELIOSTAT_AREA;
+  const receiverHeat = totals.energyCollected + totals.energyDumped;
+  const crews = heliostats.settings.repairCrews + heliostats.settings.cleaningCrews;
+
+  return {
+    ...scenario,
+    label: scenarioLabel(scenario),
+    constants,
+    totals: withCapacityFactor(totals, sized),
+    daily, // cumulative kg H₂ at the end of each day
+    // Receiver heat as a share of the DNI on the mirror area, and the part of it
+    // defocused because storage was full
+    solarToThermal: totals.dni > 0 ? receiverHeat / (totals.dni * fieldArea / 1000) : 0,
+    defocused: receiverHeat > 0 ? totals.energyDumped / receiverHeat : 0,
+    hydrogenPerTonne: totals.plasticProcessed > 0 ? totals.hydrogen / (totals.plasticProcessed / 1000) : 0,
+    carbonIntensity: carbonIntensity(totals.hydrogen, totals.co2Emitted, totals.co2Avoided),
+    economics: computeEconomics(scaledInputs, annual, crews, sized),
+  };
+};
+
+// All scenarios in turn under the same seed and dates; progress spans the whole batch
+export const runScenarios = ({ scenarios, onProgress, onResult, ...shared }) => scenarios.map((scenario, i) => {
+  const result = runScenario({
+    ...shared,
+    scenario,
+    onProgress: onProgress && (p => onProgress((i + p) / scenarios.length)),
+  });
+  if (onResult) onResult(result, i);
+  return result;
+});
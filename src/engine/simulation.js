@@ -0,0 +1,336 @@
+import { SOLAR_DATA, CONSTANTS } from './constants.js';
+import { calculateSunParameters, getDayOfYear, skyTransmission } from './solar.js';
+import { calculateThermalPower, receiverHeatLoss } from './thermal.js';
+import { heliostatEfficiencies } from './field.js';
+import { createHeliostats, activeField, updateHeliostats } from './heliostats.js';
+import { processPyrolysis, heatDemandForFeedRate, reactorReady } from './pyrolysis.js';
+import { createDispatch, dispatchTarget, dispatchFeedRate } from './dispatch.js';
+import { createWeather, updateWeather, expectedSkyFactors } from './weather.js';
+import { createRng, hashSeed } from './random.js';
+import { getTmySite, getTmyConditions } from './tmy.js';
+import { createHistory, recordHistory, simTime } from './history.js';
+import { pyrolysisEmissions } from './emissions.js';
+import { getPlasticData, blendFeedstock } from './feedstock.js';
+import { createSupply, updateSupply, feedComposition, maxSupplyRate, consumeFeed } from './supply.js';
+import { createAlarms, createAlarmSettings, updateAlarms } from './alarms.js';
+import { createProtection, createProtectionSettings, protectionPermits, applyHeatTracing, updateProtection, reactorCeiling } from './protection.js';
+import { createFaults, advanceFaults, faultConditions, faultedWeather } from './faults.js';
+import { createWind, updateWind, windOpticalFactor } from './wind.js';
+import { createStorage, chargeStorage, maxDischargePower, dischargeStorage, applyTankLosses } from './storage.js';
+
+const DAY_MS = 86400000;
+const RECEIVER_MIN_POWER = 3; // MW, below this the receiver can't hold outlet temperature
+const REACTOR_THERMAL_MASS = 20; // MJ/K, vessel, internals and bed
+const REACTOR_WARMUP_RATE = 0.2; // K/min, thermal stress limit on the vessel
+const REACTOR_LOSS = 0.003; // MW per 100 K above ambient through the insulation
+
+export const emptyProduction = () => ({
+  hydrogen: 0,
+  carbon: 0,
+  wax: 0,
+  waste: 0,
+  totalPlasticProcessed: 0,
+  co2Emitted: 0, // kg CO2e
+  co2Avoided: 0, // kg CO2e
+});
+
+export const emptyDailyStats = () => ({
+  energyCollected: 0,
+  plasticProcessed: 0,
+  hydrogenProduced: 0,
+  carbonProduced: 0,
+  heatLoss: 0,
+  heaterEnergy: 0,
+  co2Emitted: 0,
+  co2Avoided: 0,
+});
+
+// Fresh plant state at the given date and hour (06:00 by default), built for
+// the given plant design (see plant.js)
+export const createInitialState = ({
+  plant = CONSTANTS,
+  location = 'Riyadh, Saudi Arabia',
+  plastic = 'HDPE',
+  feedstocks = {},
+  date = new Date(2026, 0, 15),
+  seed = 1,
+  tmy = null,
+  dispatch = createDispatch(plant),
+  wasteBaseline = 'landfill',
+  supply = createSupply(),
+  reactorSetpoint = null,
+  heliostats = createHeliostats(undefined, plant.HELIOSTAT_COUNT),
+  alarms = createAlarms(createAlarmSettings(plant)),
+  protection = createProtection(createProtectionSettings(plant)),
+  faults = createFaults(),
+  wind = createWind(),
+  hour = 6,
+} = {}) => {
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  return {
+    plant, // design this run was built for; every step reads it from here
+    location,
+    plastic,
+    feedstocks, // saved custom blends by name (see feedstock.js)
+    seed,
+    rngState: hashSeed(seed),
+    tmy, // parsed weather file (see tmy.js); replaces synthetic weather when set
+    date: day,
+    startTime: simTime(day, hour),
+    hour,
+    minute: 0,
+    tick: 0,
+    weather: createWeather(), // synthetic from the site climatology unless tmy is set (see weather.js)
+    dni: 0, // W/m² the last step ran on (see getSolarConditions)
+    heliostats, // per-mirror condition and O&M crews (see heliostats.js)
+    reactorTemp: 290,
+    reactorSetpoint, // °C; null runs at the feed's optimal_temp
+    storage: createStorage({ plant }),
+    pyrolysisActive: false,
+    dispatch,
+    supply, // feed deliveries and inventory (see supply.js)
+    wasteBaseline, // counterfactual fate of the plastic (see emissions.js)
+    alarms, // alarm settings and event log (see alarms.js)
+    protection, // heat tracing, defocus and trips (see protection.js)
+    faults, // scripted training faults (see faults.js)
+    wind, // heliostat stow and wind damage (see wind.js)
+    dispatchTarget: 0, // kg/h requested by the dispatch strategy
+    reactorFeedRate: 0, // kg/h actually fed
+    production: emptyProduction(),
+    dailyStats: emptyDailyStats(),
+    history: createHistory(),
+  };
+};
+
+// Site coordinates: the loaded weather file's, else the selected location's
+// with the sky its synthetic weather is expected to bring (fixed per location)
+const climateSites = new Map();
+const climateSite = (location) => {
+  if (!climateSites.has(location)) {
+    climateSites.set(location, { ...SOLAR_DATA[location], skyFactors: expectedSkyFactors(location) });
+  }
+  return climateSites.get(location);
+};
+export const getSite = (state) => (state.tmy ? getTmySite(state.tmy) : climateSite(state.location));
+
+// Sun position and receiver output at the state's current clock time
+export const getSolarConditions = (state) => {
+  const sun = calculateSunParameters(getSite(state), state.hour, state.minute, getDayOfYear(state.date), state.weather.cloudCover, state.weather.dust);
+
+  // Measured DNI already includes clouds, so it replaces the modelled beam
+  // outright; a scripted cloud then shades whichever one the plant is on
+  const measured = state.tmy && sun.isDaytime ? getTmyConditions(state.tmy, state.date, state.hour).dni : sun.dni;
+  const { cloudCover: faultCloud } = faultConditions(state.faults);
+  const dni = faultCloud === null ? measured : measured * skyTransmission(faultCloud);
+  const weather = faultedWeather(state.weather, state.faults);
+
+  // Only working mirrors off stow track the sun, each derated by its own
+  // soiling and all by wind-induced tracking error
+  const field = sun.elevation > 0
+    ? activeField(state.heliostats, heliostatEfficiencies(sun, state.plant))
+    : { active: 0, efficiency: 0, cleanliness: 1 };
+  const tracking = field.active * (1 - state.wind.stowed);
+  const windEffect = windOpticalFactor(state.wind.settings, weather.windSpeed);
+  const absorbed = calculateThermalPower(dni, tracking, windEffect, field.efficiency, field.cleanliness, state.plant);
+
+  // The receiver loses heat to the air whenever it is taking in sunlight
+  const receiverLoss = absorbed > 0 ? receiverHeatLoss(weather.ambientTemp, weather.windSpeed, state.plant) : 0;
+  const thermalPower = Math.max(0, absorbed - receiverLoss);
+  return { ...sun, dni, fieldEfficiency: field.efficiency, cleanliness: field.cleanliness, receiverLoss, thermalPower };
+};
+
+// Temperature the reactor is heated towards: its setpoint (the feed's optimum
+// unless set), but never past the hot salt that heats it or close to its trip limit
+export const reactorTargetTemp = (state, plasticData, storage = state.storage) => Math.min(
+  state.reactorSetpoint === null ? plasticData.optimal_temp : state.reactorSetpoint,
+  storage.hotTemp,
+  reactorCeiling(state.protection.settings),
+);
+
+// Reactor wall losses over dt, then hot salt (up to heatSupply MW) bringing it
+// back towards the target no faster than the warm-up rate. Returns the new
+// temperature and the salt heat used (MW).
+const heatReactor = (temp, { target, heatSupply, ambientTemp, dt }) => {
+  const loss = REACTOR_LOSS * Math.max(0, temp - ambientTemp) / 100;
+  const cooled = temp - loss * dt / REACTOR_THERMAL_MASS;
+  const wanted = Math.min(target, temp + REACTOR_WARMUP_RATE * dt / 60) - cooled;
+  if (heatSupply <= 0 || wanted <= 0) return { temp: cooled, heat: 0 };
+  const heat = Math.min(wanted * REACTOR_THERMAL_MASS / dt, heatSupply);
+  return { temp: cooled + heat * dt / REACTOR_THERMAL_MASS, heat };
+};
+
+// Advance the plant by dt simulated seconds and return the next state
+export const step = (state, dt) => {
+  const { plant } = state;
+  let plasticData = getPlasticData(state);
+  const dtMinutes = dt / 60;
+  const random = createRng(state.rngState);
+  const next = { ...state, tick: state.tick + 1 };
+
+  // Clock and day rollover
+  const totalMinutes = state.minute + dtMinutes;
+  let hour = state.hour + Math.floor(totalMinutes / 60);
+  next.minute = totalMinutes % 60;
+  if (hour >= 24) {
+    next.date = new Date(state.date.getTime() + Math.floor(hour / 24) * DAY_MS);
+    hour = hour % 24;
+    next.dailyStats = emptyDailyStats();
+  }
+  next.hour = hour;
+  const now = simTime(next.date, next.hour, next.minute);
+
+  // Feed supply: deliveries and drift change what is actually in the reactor
+  let supply = state.supply;
+  if (supply.settings.enabled) {
+    supply = updateSupply(supply, {
+      from: simTime(state.date, state.hour, state.minute),
+      to: now,
+      dt,
+      base: feedComposition(state.plastic, plasticData),
+      random,
+    });
+    plasticData = blendFeedstock(plasticData.name, supply.composition, { color: plasticData.color });
+  }
+
+  // Weather: hourly file records when loaded, otherwise the site climatology
+  if (state.tmy) {
+    const { ambientTemp, windSpeed, cloudCover } = getTmyConditions(state.tmy, next.date, next.hour);
+    next.weather = { ...state.weather, ambientTemp, windSpeed, cloudCover, dust: 0 };
+  } else {
+    next.weather = updateWeather(state.weather, {
+      location: state.location,
+      date: next.date,
+      hour: next.hour,
+      minute: next.minute,
+      now,
+      dt,
+      random,
+    });
+  }
+
+  // Heliostat faults, soiling (faster in a sandstorm) and O&M crew work
+  next.heliostats = updateHeliostats(state.heliostats, { dt, hour: next.hour + next.minute / 60, now, random, dust: next.weather.dust });
+
+  // Scripted training faults add cloud and wind on top of the weather (see
+  // faultedWeather) and disable equipment
+  const scripted = advanceFaults(state.faults, { now, heliostats: next.heliostats, random });
+  next.faults = scripted.faults;
+  next.heliostats = scripted.heliostats;
+  const fault = faultConditions(next.faults);
+
+  // Field stow in high wind, and mirrors broken by extreme gusts
+  const { windSpeed } = faultedWeather(next.weather, next.faults);
+  const winded = updateWind(state.wind, { windSpeed, heliostats: next.heliostats, now, dt, random });
+  next.wind = winded.wind;
+  next.heliostats = winded.heliostats;
+
+  const { isDaytime, dni, thermalPower } = getSolarConditions(next);
+  next.dni = dni;
+
+  // Receiver charges the hot tank unless protection has it defocused or the
+  // salt pumps are down, in which case its whole output counts as dumped
+  let storage = state.storage;
+  const permits = protectionPermits(state.protection, storage);
+  const receiverFocused = permits.receiver && !fault.pumpFailed;
+  const receiverOnline = thermalPower > RECEIVER_MIN_POWER && isDaytime;
+  const receiverPower = receiverOnline ? thermalPower : 0;
+  storage = receiverFocused
+    ? chargeStorage(storage, receiverPower, dt, plant)
+    : { ...chargeStorage(storage, 0, dt, plant), dumpedPower: receiverPower };
+
+  // Reactor warm-up and holding heat come first out of what the hot tank (and
+  // its pumps) can supply this step
+  const saltSupply = fault.pumpFailed ? 0 : maxDischargePower(storage, dt, plant);
+  const reactor = heatReactor(state.reactorTemp, {
+    target: reactorTargetTemp(state, plasticData, storage),
+    heatSupply: permits.reactorHeat ? saltSupply : 0,
+    ambientTemp: next.weather.ambientTemp,
+    dt,
+  });
+  next.reactorTemp = reactor.temp;
+  const heatSupply = saltSupply - reactor.heat;
+
+  // Pyrolysis takes its process heat from the rest at the dispatched feed rate,
+  // once the reactor is hot enough for the feed to decompose
+  const pyrolysisReady = reactorReady(plasticData, state.reactorTemp);
+  next.dispatchTarget = dispatchTarget(state.dispatch, {
+    hour: next.hour,
+    receiverPower: receiverFocused ? receiverPower : 0,
+  }, plant);
+  next.reactorFeedRate = dispatchFeedRate(state.dispatch, {
+    target: next.dispatchTarget,
+    heatSupply,
+    supplyLimit: fault.feedBlocked ? 0 : supply.settings.enabled ? maxSupplyRate(supply, dt) : Infinity,
+    previousRate: state.reactorFeedRate,
+    dt,
+    ready: pyrolysisReady && permits.feed,
+  }, plant);
+  next.pyrolysisActive = next.reactorFeedRate > 0;
+
+  let dailyStats = next.dailyStats;
+  let processHeat = 0;
+  if (next.reactorFeedRate > 0) {
+    const products = processPyrolysis(plasticData, next.reactorFeedRate, dt, next.reactorTemp, plant);
+    processHeat = heatDemandForFeedRate(products.rate, plant);
+    const { co2Emitted, co2Avoided } = pyrolysisEmissions(plasticData, products, state.wasteBaseline);
+    if (supply.settings.enabled) supply = consumeFeed(supply, products.plastic, now);
+
+    next.production = {
+      hydrogen: state.production.hydrogen + products.hydrogen,
+      carbon: state.production.carbon + products.carbon,
+      wax: state.production.wax + products.wax,
+      waste: state.production.waste + products.waste,
+      totalPlasticProcessed: state.production.totalPlasticProcessed + products.plastic,
+      co2Emitted: state.production.co2Emitted + co2Emitted,
+      co2Avoided: state.production.co2Avoided + co2Avoided,
+    };
+
+    dailyStats = {
+      ...dailyStats,
+      plasticProcessed: dailyStats.plasticProcessed + products.plastic,
+      hydrogenProduced: dailyStats.hydrogenProduced + products.hydrogen,
+      carbonProduced: dailyStats.carbonProduced + products.carbon,
+      co2Emitted: dailyStats.co2Emitted + co2Emitted,
+      co2Avoided: dailyStats.co2Avoided + co2Avoided,
+    };
+  }
+  storage = dischargeStorage(storage, reactor.heat + processHeat, dt, plant);
+
+  // Tank heat losses to ambient, made up by heat tracing near the freeze point
+  storage = applyTankLosses(storage, next.weather.ambientTemp, dt, plant);
+  const traced = applyHeatTracing(state.protection.settings, storage, dt, plant);
+  storage = traced.storage;
+  next.storage = storage;
+  next.protection = updateProtection(state.protection, {
+    storage,
+    reactorTemp: next.reactorTemp,
+    heaterPower: traced.heaterPower,
+    defocused: !receiverFocused && receiverPower > 0,
+    now,
+    dt,
+  });
+  next.supply = supply;
+
+  next.dailyStats = {
+    ...dailyStats,
+    energyCollected: dailyStats.energyCollected + storage.chargePower * dt / 3600,
+    heatLoss: dailyStats.heatLoss + storage.lossPower * dt / 3600,
+    heaterEnergy: dailyStats.heaterEnergy + traced.heaterPower * dt / 3600,
+  };
+
+  next.rngState = random.state;
+  next.alarms = updateAlarms(state.alarms, state, next, now);
+
+  next.history = recordHistory(state.history, state, next, {
+    dni,
+    thermalPower,
+    saltHotTemp: next.storage.hotTemp,
+    saltColdTemp: next.storage.coldTemp,
+    reactorTemp: next.reactorTemp,
+    feedRate: next.reactorFeedRate,
+    hydrogen: next.production.hydrogen - state.production.hydrogen,
+    carbon: next.production.carbon - state.production.carbon,
+  }, dt);
+
+  return next;
+};
@@ -0,0 +1,104 @@
+import { CONSTANTS } from './constants.js';
+import { createPlant } from './plant.js';
+import { createInitialState, step, getSolarConditions } from './simulation.js';
+import { createStorage } from './storage.js';
+
+const run = (state, steps, dt = 300) => {
+  let next = state;
+  for (let i = 0; i < steps; i++) next = step(next, dt);
+  return next;
+};
+
+describe('step', () => {
+  it('returns a new state and leaves its input untouched', () => {
+    const state = createInitialState({ location: 'Atacama, Chile', date: new Date(2026, 5, 1) });
+    const before = JSON.stringify(state);
+    const next = step(state, 300);
+    expect(next).not.toBe(state);
+    expect(JSON.stringify(state)).toBe(before);
+  });
+
+  it('keeps the DNI it ran on in the state', () => {
+    const next = run(createInitialState({ location: 'Atacama, Chile', date: new Date(2026, 5, 1) }), 72);
+    expect(next.dni).toBeGreaterThan(0);
+    expect(next.dni).toBe(getSolarConditions(next).dni);
+  });
+
+  it('advances the clock and rolls over the day', () => {
+    const state = createInitialState({ date: new Date(2026, 5, 1), hour: 23 });
+    const next = run(state, 13); // 65 minutes
+    expect(next.date.getDate()).toBe(2);
+    expect(next.hour).toBe(0);
+    expect(next.minute).toBe(5);
+  });
+
+  it('runs each state on its own plant design', () => {
+    const options = { location: 'Atacama, Chile', date: new Date(2026, 5, 1) };
+    const large = { ...CONSTANTS, HELIOSTAT_COUNT: CONSTANTS.HELIOSTAT_COUNT * 2, STORAGE_TANK_VOLUME: CONSTANTS.STORAGE_TANK_VOLUME * 2 };
+    const alone = run(createInitialState(options), 72);
+
+    // Stepping another design in between leaves the default run unchanged
+    let base = createInitialState(options);
+    let other = createInitialState({ ...options, plant: createPlant(large) });
+    for (let i = 0; i < 72; i++) {
+      base = step(base, 300);
+      other = step(other, 300);
+    }
+    expect(JSON.stringify(base)).toBe(JSON.stringify(alone));
+    expect(other.heliostats.status).toHaveLength(large.HELIOSTAT_COUNT);
+    expect(other.storage.hotMass).toBeGreaterThan(base.storage.hotMass);
+  });
+});
+
+describe('seeded runs', () => {
+  const day = (seed) => run(createInitialState({ location: 'Seville, Spain', date: new Date(2026, 2, 10), seed }), 288);
+
+  it('replays exactly from the same seed', () => {
+    expect(JSON.stringify(day('abc'))).toBe(JSON.stringify(day('abc')));
+  });
+
+  it('draws different weather from another seed', () => {
+    expect(day('abc').weather).not.toEqual(day('xyz').weather);
+  });
+});
+
+describe('production', () => {
+  it('warms up from a fresh plant and turns plastic into hydrogen', () => {
+    const state = run(createInitialState(), 3 * 288);
+    expect(state.production.totalPlasticProcessed).toBeGreaterThan(0);
+    expect(state.production.hydrogen).toBeGreaterThan(0);
+  });
+});
+
+describe('reactor heating', () => {
+  const night = (storage, reactorTemp) => ({
+    ...createInitialState({ location: 'Seville, Spain', date: new Date(2026, 0, 15), hour: 0 }),
+    storage,
+    reactorTemp,
+  });
+
+  it('draws its warm-up heat from the hot tank', () => {
+    const state = night(createStorage({ hotFraction: 0.5, hotTemp: 560 }), 400);
+    const next = step(state, 300);
+    expect(next.reactorTemp).toBeGreaterThan(state.reactorTemp);
+    expect(next.storage.dischargePower).toBeGreaterThan(0);
+    expect(next.storage.hotMass).toBeLessThan(state.storage.hotMass);
+  });
+
+  it('never heats above the hot salt', () => {
+    let state = night(createStorage({ hotFraction: 0.5, hotTemp: 480 }), 470);
+    for (let i = 0; i < 72; i++) {
+      const next = step(state, 300);
+      expect(next.reactorTemp).toBeLessThanOrEqual(Math.max(state.reactorTemp, state.storage.hotTemp));
+      state = next;
+    }
+    expect(state.reactorTemp).toBeGreaterThan(475);
+  });
+
+  it('cools without hot salt', () => {
+    const state = night(createStorage({ hotFraction: 0.01, hotTemp: 300 }), 500);
+    const next = step(state, 300);
+    expect(next.reactorTemp).toBeLessThan(state.reactorTemp);
+    expect(next.storage.dischargePower).toBe(0);
+  });
+});
@@ -0,0 +1,92 @@
+import { validatePlantConfig } from './plant.js';
+import { simTime } from './history.js';
+import { formatSimTime } from './export.js';
+import { createAlarms, createAlarmSettings } from './alarms.js';
+import { createProtection, createProtectionSettings } from './protection.js';
+import { createFaults } from './faults.js';
+import { createWind } from './wind.js';
+import { createWeather } from './weather.js';
+import { reblendFeedstocks } from './feedstock.js';
+import { emptyDailyStats } from './simulation.js';
+
+// Whole-run snapshots: the plant state plus the plant design it was built
+// for, in a JSON-safe form that resumes exactly where the run stopped (the
+// RNG state is part of the plant state, so the continuation is identical).
+
+const SNAPSHOT_TYPE = 'csp-pyrolysis-snapshot';
+const SNAPSHOT_VERSION = 1;
+
+// Keys every plant state has; a snapshot missing one cannot be resumed
+const STATE_KEYS = [
+  'location', 'plastic', 'feedstocks', 'seed', 'rngState', 'date', 'startTime', 'hour', 'minute', 'tick',
+  'weather', 'heliostats', 'reactorTemp', 'storage', 'dispatch', 'supply', 'production', 'dailyStats', 'history',
+];
+
+// The date is the only non-JSON value in the state; it is stored as a timestamp
+export const createSnapshot = (state, savedAt = Date.now()) => ({
+  type: SNAPSHOT_TYPE,
+  version: SNAPSHOT_VERSION,
+  savedAt,
+  constants: state.plant,
+  state: { ...state, date: state.date.getTime() },
+});
+
+// Snapshots saved before a subsystem existed start it fresh, and pick up
+// settings and daily counters added since
+const upgradeState = (state) => {
+  const alarms = state.alarms || createAlarms(createAlarmSettings(state.plant));
+  return {
+    ...state,
+    alarms: { ...alarms, settings: { ...createAlarmSettings(state.plant), ...alarms.settings } },
+    protection: state.protection || createProtection(createProtectionSettings(state.plant)),
+    faults: state.faults || createFaults(),
+    wind: state.wind || createWind(),
+    weather: { ...createWeather(), ...state.weather },
+    dni: state.dni || 0,
+    feedstocks: reblendFeedstocks(state.feedstocks),
+    dailyStats: { ...emptyDailyStats(), ...state.dailyStats },
+  };
+};
+
+// Check a parsed snapshot and revive its state; throws with a readable reason
+export const restoreSnapshot = (data, source = 'snapshot') => {
+  if (!data || data.type !== SNAPSHOT_TYPE || !data.state || !data.constants) {
+    throw new Error(`${source} is not a simulation snapshot`);
+  }
+  if (data.version > SNAPSHOT_VERSION) throw new Error(`${source} was saved by a newer version (format ${data.version})`);
+  const missing = STATE_KEYS.filter(key => !(key in data.state));
+  if (missing.length > 0) throw new Error(`${source} is incomplete: missing ${missing.join(', ')}`);
+  const invalid = Object.keys(validatePlantConfig(data.constants));
+  if (invalid.length > 0) throw new Error(`${source} has an invalid plant design (${invalid.join(', ')})`);
+  if (data.state.heliostats.status.length !== data.constants.HELIOSTAT_COUNT) {
+    throw new Error(`${source} does not match its plant design: ${data.state.heliostats.status.length} heliostats`);
+  }
+  return {
+    savedAt: data.savedAt,
+    constants: data.constants,
+    state: upgradeState({ ...data.state, date: new Date(data.state.date), plant: data.constants }),
+  };
+};
+
+export const serializeSnapshot = (state) => JSON.stringify(createSnapshot(state));
+
+export const parseSnapshot = (text, fileName = 'snapshot') => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${fileName} is not valid JSON`);
+  }
+  return restoreSnapshot(data, fileName);
+};
+
+// Where and when a stored (unrevived) snapshot's run stands, for lists
+export const describeSnapshot = ({ savedAt, state }) => {
+  const time = simTime(new Date(state.date), state.hour, state.minute);
+  return {
+    site: state.tmy ? state.tmy.name : state.location,
+    simTime: formatSimTime(time),
+    days: (time - state.startTime) / 86400000,
+    savedAt,
+  };
+};
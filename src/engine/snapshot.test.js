@@ -0,0 +1,41 @@
+import { createInitialState, step } from './simulation.js';
+import { blendFeedstock } from './feedstock.js';
+import { serializeSnapshot, parseSnapshot, createSnapshot, restoreSnapshot } from './snapshot.js';
+
+const run = (state, steps) => {
+  let next = state;
+  for (let i = 0; i < steps; i++) next = step(next, 600);
+  return next;
+};
+
+describe('snapshots', () => {
+  const midRun = run(createInitialState({ location: 'Dubai, UAE', date: new Date(2026, 3, 20), seed: 'snap' }), 200);
+
+  it('resumes exactly where the run stopped', () => {
+    const { state } = parseSnapshot(serializeSnapshot(midRun));
+    expect(state.date).toEqual(midRun.date);
+    expect(JSON.stringify(run(state, 150))).toBe(JSON.stringify(run(midRun, 150)));
+  });
+
+  it('starts subsystems missing from older snapshots fresh', () => {
+    const { alarms, protection, faults, wind, dni, ...older } = midRun;
+    const { state } = restoreSnapshot(createSnapshot(older));
+    expect(state.protection.status).toBe('normal');
+    expect(state.wind.status).toBe('tracking');
+    expect(state.alarms.settings).toBeDefined();
+    expect(() => run(state, 10)).not.toThrow();
+  });
+
+  it('re-derives saved blends from their compositions', () => {
+    const blend = blendFeedstock('Bags', { LDPE: 0.8, Contaminants: 0.2 });
+    const { state } = restoreSnapshot(createSnapshot({ ...midRun, feedstocks: { Bags: { ...blend, optimal_temp: 850 } } }));
+    expect(state.feedstocks.Bags).toEqual(blend);
+  });
+
+  it('rejects files that are not snapshots or are incomplete', () => {
+    expect(() => parseSnapshot('not json', 'run.json')).toThrow('run.json is not valid JSON');
+    expect(() => parseSnapshot('{"type":"other"}')).toThrow('is not a simulation snapshot');
+    const { history, ...partial } = midRun;
+    expect(() => restoreSnapshot(createSnapshot(partial))).toThrow('missing history');
+  });
+});
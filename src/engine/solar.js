@@ -0,0 +1,142 @@
+// Solar geometry (NOAA general solar position equations) and an air-mass
+// based clear-sky DNI model. Clock times are local standard time (site tz).
+
+const DEG = Math.PI / 180;
+const SOLAR_CONSTANT = 1361; // W/m²
+
+// Day of year (1-366) for seasonal calculations
+export const getDayOfYear = (date) =>
+  Math.floor((date - new Date(date.getFullYear(), 0, 0)) / 86400000);
+
+// Declination (rad) and equation of time (minutes) for a day and local hour
+export const solarDeclinationAndEot = (dayOfYear, hourDecimal = 12) => {
+  const g = (2 * Math.PI / 365) * (dayOfYear - 1 + (hourDecimal - 12) / 24);
+  const equationOfTime = 229.18 * (0.000075 + 0.001868 * Math.cos(g) - 0.032077 * Math.sin(g)
+    - 0.014615 * Math.cos(2 * g) - 0.040849 * Math.sin(2 * g));
+  const declination = 0.006918 - 0.399912 * Math.cos(g) + 0.070257 * Math.sin(g)
+    - 0.006758 * Math.cos(2 * g) + 0.000907 * Math.sin(2 * g)
+    - 0.002697 * Math.cos(3 * g) + 0.00148 * Math.sin(3 * g);
+  return { declination, equationOfTime };
+};
+
+// Sun position for a site at local standard time
+export const calculateSolarPosition = (location, dayOfYear, hourDecimal) => {
+  const { lat = 0, lon = 0, tz = 0 } = location || {};
+  const { declination, equationOfTime } = solarDeclinationAndEot(dayOfYear, hourDecimal);
+  const phi = lat * DEG;
+
+  // True solar time and hour angle
+  const timeOffset = equationOfTime + 4 * lon - 60 * tz;
+  const trueSolarTime = hourDecimal * 60 + timeOffset;
+  const hourAngle = trueSolarTime / 4 - 180;
+  const h = hourAngle * DEG;
+
+  const cosZenith = Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.cos(h);
+  const zenith = Math.acos(Math.max(-1, Math.min(1, cosZenith))) / DEG;
+  const azimuth = (Math.atan2(Math.sin(h), Math.cos(h) * Math.sin(phi) - Math.tan(declination) * Math.cos(phi)) / DEG + 180) % 360;
+
+  // Sunrise/sunset with standard refraction correction (90.833° zenith)
+  const solarNoon = (720 - 4 * lon - equationOfTime + 60 * tz) / 60;
+  const cosH0 = Math.cos(90.833 * DEG) / (Math.cos(phi) * Math.cos(declination)) - Math.tan(phi) * Math.tan(declination);
+  let sunrise;
+  let sunset;
+  if (cosH0 >= 1) { // polar night
+    sunrise = solarNoon;
+    sunset = solarNoon;
+  } else if (cosH0 <= -1) { // midnight sun
+    sunrise = solarNoon - 12;
+    sunset = solarNoon + 12;
+  } else {
+    const halfDay = Math.acos(cosH0) / DEG / 15;
+    sunrise = solarNoon - halfDay;
+    sunset = solarNoon + halfDay;
+  }
+
+  return {
+    zenith,
+    elevation: 90 - zenith,
+    azimuth,
+    hourAngle,
+    declination: declination / DEG,
+    equationOfTime,
+    solarNoon,
+    sunrise,
+    sunset,
+  };
+};
+
+// Relative optical air mass (Kasten & Young 1989)
+export const airMass = (zenith) => {
+  if (zenith >= 90) return Infinity;
+  return 1 / (Math.cos(zenith * DEG) + 0.50572 * Math.pow(96.07995 - zenith, -1.6364));
+};
+
+// Clear-sky beam irradiance for a broadband atmospheric transmittance (Meinel form)
+export const clearSkyDNI = (zenith, dayOfYear, transmittance) => {
+  if (zenith >= 90) return 0;
+  const extraterrestrial = SOLAR_CONSTANT * (1 + 0.033 * Math.cos(2 * Math.PI * dayOfYear / 365));
+  return extraterrestrial * Math.pow(transmittance, Math.pow(airMass(zenith), 0.678));
+};
+
+// Transmittance calibrated so the site's annual mean DNI matches its
+// SOLAR_DATA dni (kWh/m²/day). With monthly skyFactors (the expected share of
+// the clear-sky beam the site's cloud and dust let through) that is all-sky
+// DNI, so the synthetic weather averages out to it; without, it is clear-sky.
+// Sun positions are sampled once per site and reused across the bisection.
+const transmittanceCache = new Map();
+export const calibrateTransmittance = (location) => {
+  const key = `${location.lat},${location.lon},${location.tz},${location.dni},${location.skyFactors || ''}`;
+  if (transmittanceCache.has(key)) return transmittanceCache.get(key);
+
+  const samplesPerHour = 2;
+  const samples = [];
+  for (let day = 1; day <= 365; day++) {
+    const sky = location.skyFactors ? location.skyFactors[new Date(2001, 0, day).getMonth()] : 1;
+    for (let i = 0; i < 24 * samplesPerHour; i++) {
+      const { zenith } = calculateSolarPosition(location, day, (i + 0.5) / samplesPerHour);
+      if (zenith < 90) samples.push([zenith, day, sky]);
+    }
+  }
+  const annualMeanDaily = (transmittance) => samples.reduce(
+    (sum, [zenith, day, sky]) => sum + clearSkyDNI(zenith, day, transmittance) * sky, 0
+  ) / samplesPerHour / 365 / 1000;
+
+  let low = 0.2;
+  let high = 0.95;
+  for (let i = 0; i < 25; i++) {
+    const mid = (low + high) / 2;
+    if (annualMeanDaily(mid) < location.dni) low = mid;
+    else high = mid;
+  }
+  const transmittance = (low + high) / 2;
+  transmittanceCache.set(key, transmittance);
+  return transmittance;
+};
+
+// Share of the direct beam airborne dust blocks at full sandstorm strength
+const DUST_EXTINCTION = 0.85;
+
+// Share of the direct beam that gets through cloud cover (0-100%) and dust (0-1)
+export const skyTransmission = (cloudCover = 0, dust = 0) =>
+  (1 - (cloudCover / 100) * 0.7) * (1 - dust * DUST_EXTINCTION);
+
+// Sun position and DNI at a local clock time, through cloud and dust (0-1)
+export const calculateSunParameters = (location, hour, minute, dayOfYear, cloudCover = 0, dust = 0) => {
+  const hourDecimal = (hour || 0) + (minute || 0) / 60;
+  const day = dayOfYear || 1;
+  const position = calculateSolarPosition(location, day, hourDecimal);
+
+  if (position.elevation <= 0) {
+    return { ...position, elevation: Math.max(0, position.elevation), dni: 0, clearSkyDni: 0, isDaytime: false };
+  }
+
+  const transmittance = location ? calibrateTransmittance(location) : 0.7;
+  const clearSkyDni = clearSkyDNI(position.zenith, day, transmittance);
+
+  return {
+    ...position,
+    dni: Math.max(0, clearSkyDni * skyTransmission(cloudCover, dust)),
+    clearSkyDni,
+    isDaytime: true,
+  };
+};
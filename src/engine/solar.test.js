@@ -0,0 +1,50 @@
+import { SOLAR_DATA } from './constants.js';
+import { calculateSolarPosition, calculateSunParameters, calibrateTransmittance, airMass } from './solar.js';
+
+// Annual mean daily DNI (kWh/m²/day) from the model, sampled every half hour
+const annualDni = (location) => {
+  let total = 0;
+  for (let day = 1; day <= 365; day++) {
+    for (let i = 0; i < 48; i++) {
+      total += calculateSunParameters(location, Math.floor(i / 2), 30 * (i % 2) + 15, day).dni / 2;
+    }
+  }
+  return total / 365 / 1000;
+};
+
+describe('solar position', () => {
+  it('puts the equinox noon sun at 90° minus the latitude', () => {
+    const site = { lat: 30, lon: 0, tz: 0 };
+    const { solarNoon } = calculateSolarPosition(site, 80, 12);
+    const { elevation } = calculateSolarPosition(site, 80, solarNoon);
+    expect(elevation).toBeCloseTo(60, 0);
+  });
+
+  it('has the sun down at local midnight', () => {
+    const sun = calculateSunParameters(SOLAR_DATA['Riyadh, Saudi Arabia'], 0, 0, 172);
+    expect(sun.isDaytime).toBe(false);
+    expect(sun.dni).toBe(0);
+  });
+
+  it('has one air mass overhead', () => {
+    expect(airMass(0)).toBeCloseTo(1, 2);
+    expect(airMass(90)).toBe(Infinity);
+  });
+});
+
+describe('clear-sky calibration', () => {
+  it.each(['Riyadh, Saudi Arabia', 'Seville, Spain', 'Atacama, Chile'])('reproduces the annual DNI of %s', (name) => {
+    const site = SOLAR_DATA[name];
+    const transmittance = calibrateTransmittance(site);
+    expect(transmittance).toBeGreaterThan(0.2);
+    expect(transmittance).toBeLessThan(0.95);
+    expect(annualDni(site)).toBeCloseTo(site.dni, 1);
+  });
+
+  it('attenuates the beam through cloud and dust', () => {
+    const site = SOLAR_DATA['Cairo, Egypt'];
+    const clear = calculateSunParameters(site, 12, 0, 100).dni;
+    expect(calculateSunParameters(site, 12, 0, 100, 100).dni).toBeCloseTo(clear * 0.3, 6);
+    expect(calculateSunParameters(site, 12, 0, 100, 0, 1).dni).toBeLessThan(clear * 0.2);
+  });
+});
@@ -0,0 +1,111 @@
+import { CONSTANTS } from './constants.js';
+
+// Two-tank molten salt storage. The salt inventory (STORAGE_TANK_VOLUME m³ at
+// SALT_DENSITY) moves between a cold and a hot tank; each tank can hold the
+// whole inventory. Powers are MW, energies MWh, masses kg, temperatures °C.
+// `plant` is the run's design (state.plant), the built-in one by default.
+
+const KJ_PER_MWH = 3.6e6;
+const HEEL_FRACTION = 0.01; // salt left in an "empty" tank, keeps its temperature well-defined
+
+export const saltInventory = (plant = CONSTANTS) => plant.STORAGE_TANK_VOLUME * plant.SALT_DENSITY;
+
+// A fresh plant's salt sits at the design temperatures, so the hot tank can
+// bring the reactor up to temperature from the start
+export const createStorage = ({
+  plant = CONSTANTS,
+  hotFraction = 0.3,
+  hotTemp = plant.SALT_TEMP_HOT,
+  coldTemp = plant.SALT_TEMP_COLD,
+} = {}) => {
+  const total = saltInventory(plant);
+  return {
+    hotMass: total * hotFraction,
+    coldMass: total * (1 - hotFraction),
+    hotTemp,
+    coldTemp,
+    chargePower: 0, // absorbed from the receiver
+    dischargePower: 0, // delivered to the reactor
+    dumpedPower: 0, // receiver output rejected because the hot tank is full
+    lossPower: 0, // tank wall losses to ambient
+  };
+};
+
+// Heat stored above the cold design temperature
+export const storedEnergy = (storage, plant = CONSTANTS) =>
+  storage.hotMass * plant.SALT_HEAT_CAPACITY * Math.max(0, storage.hotTemp - plant.SALT_TEMP_COLD) / KJ_PER_MWH;
+
+export const storageCapacity = (plant = CONSTANTS) =>
+  saltInventory(plant) * plant.SALT_HEAT_CAPACITY * (plant.SALT_TEMP_HOT - plant.SALT_TEMP_COLD) / KJ_PER_MWH;
+
+// Fill levels (0-1) and state of charge for display
+export const getStorageStatus = (storage, plant = CONSTANTS) => ({
+  hotLevel: storage.hotMass / saltInventory(plant),
+  coldLevel: storage.coldMass / saltInventory(plant),
+  storedMWh: storedEnergy(storage, plant),
+  capacityMWh: storageCapacity(plant),
+});
+
+const mixTemp = (m1, t1, m2, t2) => (m1 + m2 > 0 ? (m1 * t1 + m2 * t2) / (m1 + m2) : t1);
+
+// Receiver heats cold salt to SALT_TEMP_HOT; output the cold tank can't carry is dumped (defocus)
+export const chargeStorage = (storage, powerMW, dt, plant = CONSTANTS) => {
+  const cp = plant.SALT_HEAT_CAPACITY;
+  const deltaT = plant.SALT_TEMP_HOT - storage.coldTemp;
+  if (powerMW <= 0 || deltaT <= 0) {
+    return { ...storage, chargePower: 0, dumpedPower: Math.max(0, powerMW) };
+  }
+  const available = Math.max(0, storage.coldMass - saltInventory(plant) * HEEL_FRACTION);
+  const moved = Math.min(powerMW * 1000 * dt / (cp * deltaT), available);
+  const absorbed = moved * cp * deltaT / 1000 / dt;
+  return {
+    ...storage,
+    coldMass: storage.coldMass - moved,
+    hotMass: storage.hotMass + moved,
+    hotTemp: mixTemp(storage.hotMass, storage.hotTemp, moved, plant.SALT_TEMP_HOT),
+    chargePower: absorbed,
+    dumpedPower: powerMW - absorbed,
+  };
+};
+
+// Most power the hot tank can deliver over dt with salt returning at the cold design temperature
+export const maxDischargePower = (storage, dt, plant = CONSTANTS) => {
+  const available = Math.max(0, storage.hotMass - saltInventory(plant) * HEEL_FRACTION);
+  return available * plant.SALT_HEAT_CAPACITY * Math.max(0, storage.hotTemp - plant.SALT_TEMP_COLD) / 1000 / dt;
+};
+
+// Hot salt passes through the reactor heat exchanger and returns to the cold tank
+export const dischargeStorage = (storage, powerMW, dt, plant = CONSTANTS) => {
+  const cp = plant.SALT_HEAT_CAPACITY;
+  const returnTemp = plant.SALT_TEMP_COLD;
+  const deltaT = storage.hotTemp - returnTemp;
+  if (powerMW <= 0 || deltaT <= 0) return { ...storage, dischargePower: 0 };
+  const available = Math.max(0, storage.hotMass - saltInventory(plant) * HEEL_FRACTION);
+  const moved = Math.min(powerMW * 1000 * dt / (cp * deltaT), available);
+  return {
+    ...storage,
+    hotMass: storage.hotMass - moved,
+    coldMass: storage.coldMass + moved,
+    coldTemp: mixTemp(storage.coldMass, storage.coldTemp, moved, returnTemp),
+    dischargePower: moved * cp * deltaT / 1000 / dt,
+  };
+};
+
+// Tank wall losses, HEAT_LOSS_PER_HOUR MW per 100 K above ambient for each tank
+export const tankHeatLoss = (temp, ambientTemp, plant = CONSTANTS) =>
+  plant.HEAT_LOSS_PER_HOUR * Math.max(0, temp - ambientTemp) * 0.01;
+
+export const applyTankLosses = (storage, ambientTemp, dt, plant = CONSTANTS) => {
+  const cp = plant.SALT_HEAT_CAPACITY;
+  const heel = saltInventory(plant) * HEEL_FRACTION;
+  const hotLoss = tankHeatLoss(storage.hotTemp, ambientTemp, plant);
+  const coldLoss = tankHeatLoss(storage.coldTemp, ambientTemp, plant);
+  const cool = (temp, mass, loss) =>
+    Math.max(ambientTemp, temp - loss * 1000 * dt / (Math.max(mass, heel) * cp));
+  return {
+    ...storage,
+    hotTemp: cool(storage.hotTemp, storage.hotMass, hotLoss),
+    coldTemp: cool(storage.coldTemp, storage.coldMass, coldLoss),
+    lossPower: hotLoss + coldLoss,
+  };
+};
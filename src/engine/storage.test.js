@@ -0,0 +1,51 @@
+import { CONSTANTS } from './constants.js';
+import { createStorage, chargeStorage, dischargeStorage, maxDischargePower, storedEnergy, saltInventory, applyTankLosses } from './storage.js';
+
+const totalMass = (storage) => storage.hotMass + storage.coldMass;
+
+// Sensible heat of both tanks above the cold design temperature, MWh
+const heatContent = (storage) => (storage.hotMass * (storage.hotTemp - CONSTANTS.SALT_TEMP_COLD)
+  + storage.coldMass * (storage.coldTemp - CONSTANTS.SALT_TEMP_COLD)) * CONSTANTS.SALT_HEAT_CAPACITY / 3.6e6;
+
+describe('two-tank storage', () => {
+  it('stores exactly the heat the receiver delivers', () => {
+    const before = createStorage({ hotFraction: 0.3, hotTemp: 500 });
+    const after = chargeStorage(before, 40, 3600);
+    expect(after.chargePower).toBeCloseTo(40, 6);
+    expect(after.dumpedPower).toBeCloseTo(0, 6);
+    expect(heatContent(after) - heatContent(before)).toBeCloseTo(40, 6);
+    expect(totalMass(after)).toBeCloseTo(totalMass(before), 3);
+    expect(after.hotTemp).toBeGreaterThan(before.hotTemp);
+  });
+
+  it('dumps what the cold tank cannot carry', () => {
+    const full = createStorage({ hotFraction: 0.99, hotTemp: CONSTANTS.SALT_TEMP_HOT });
+    const after = chargeStorage(full, 50, 3600);
+    expect(after.chargePower).toBeCloseTo(0, 6);
+    expect(after.dumpedPower).toBeCloseTo(50, 6);
+  });
+
+  it('delivers exactly the heat it loses to the reactor', () => {
+    const before = createStorage({ hotFraction: 0.6, hotTemp: CONSTANTS.SALT_TEMP_HOT });
+    const after = dischargeStorage(before, 10, 3600);
+    expect(after.dischargePower).toBeCloseTo(10, 6);
+    expect(heatContent(before) - heatContent(after)).toBeCloseTo(10, 6);
+    expect(totalMass(after)).toBeCloseTo(totalMass(before), 3);
+  });
+
+  it('never delivers more than the hot tank holds', () => {
+    const before = createStorage({ hotFraction: 0.05, hotTemp: CONSTANTS.SALT_TEMP_HOT });
+    const limit = maxDischargePower(before, 3600);
+    const after = dischargeStorage(before, limit * 10, 3600);
+    expect(after.dischargePower).toBeCloseTo(limit, 6);
+    expect(after.hotMass).toBeCloseTo(saltInventory() * 0.01, 3);
+    expect(storedEnergy(after)).toBeLessThan(storedEnergy(before));
+  });
+
+  it('cools the tanks towards ambient', () => {
+    const before = createStorage({ hotTemp: CONSTANTS.SALT_TEMP_HOT });
+    const after = applyTankLosses(before, 20, 3600);
+    expect(after.hotTemp).toBeLessThan(before.hotTemp);
+    expect(after.lossPower).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,158 @@
+import { FEEDSTOCK_COMPONENTS, normalizeComposition } from './feedstock.js';
+
+// Feedstock supply chain: scheduled truck deliveries into a well-mixed feed
+// store, random drift in the delivered composition and occasional
+// contaminated loads. Inventory in tonnes, compositions as mass fractions.
+
+const HOUR_MS = 3600000;
+const LOG_LIMIT = 100;
+
+// Typical municipal plastic stream, used for the built-in 'Mixed' type
+const MIXED_COMPOSITION = { HDPE: 0.3, LDPE: 0.25, PP: 0.25, PS: 0.1, PET: 0.07, Contaminants: 0.03 };
+
+export const CONTAMINATION_EVENTS = {
+  moisture: { name: 'Wet load', component: 'Contaminants', amount: [0.1, 0.25], severity: 'warning' },
+  pvc: { name: 'PVC contamination', component: 'PVC', amount: [0.05, 0.15], severity: 'warning' },
+  metal: { name: 'Metal contamination', component: 'Contaminants', amount: [0.03, 0.1], severity: 'critical' },
+};
+
+// Inventory composition limits that raise an alarm
+const ALARM_LIMITS = {
+  PVC: 0.03,
+  Contaminants: 0.1,
+  lowInventory: 0.1, // fraction of storage capacity
+};
+
+export const createSupplySettings = () => ({
+  enabled: false, // off: the selected plastic is fed without limit
+  capacity: 100, // t feed store
+  truckSize: 6, // t per delivery
+  deliveryHours: [9, 14],
+  deliveryDays: [false, true, true, true, true, true, false], // Sun-Sat
+  drift: 0.05, // relative day-to-day spread of each delivered fraction
+  contaminationRate: 0.08, // chance a delivery is contaminated
+});
+
+export const createSupply = (settings = createSupplySettings()) => ({
+  settings,
+  inventory: settings.capacity * 0.4, // t
+  composition: null, // fractions in store; null until the first step sets it from the feed
+  incoming: null, // fractions of the next delivery before contamination
+  log: [], // { time, kind, severity, message }
+});
+
+// Nominal composition of the selected feed
+export const feedComposition = (plastic, plasticData) => {
+  if (plasticData.composition) return plasticData.composition;
+  if (FEEDSTOCK_COMPONENTS[plastic]) return { [plastic]: 1 };
+  return MIXED_COMPOSITION;
+};
+
+// Weighted mix of two compositions
+const mix = (a, massA, b, massB) => {
+  const total = massA + massB;
+  if (total <= 0) return b;
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return Object.fromEntries([...keys].map(key => [key, ((a[key] || 0) * massA + (b[key] || 0) * massB) / total]));
+};
+
+// Random walk of the delivered composition, pulled back towards the nominal feed
+const driftComposition = (incoming, base, drift, dt, random) => {
+  const spread = drift * Math.sqrt(dt / 86400) * Math.sqrt(12);
+  const reversion = Math.min(1, dt / (7 * 86400));
+  const walked = {};
+  Object.keys(base).forEach(key => {
+    const value = (incoming[key] || 0) * (1 + (random() - 0.5) * spread);
+    walked[key] = Math.max(0, value + (base[key] - value) * reversion);
+  });
+  return normalizeComposition(walked);
+};
+
+const addLog = (log, entry) => [...log, entry].slice(-LOG_LIMIT);
+
+// Hour boundaries crossed between two timestamps (ms)
+const hoursCrossed = (from, to) => {
+  const hours = [];
+  for (let t = Math.floor(from / HOUR_MS + 1) * HOUR_MS; t <= to; t += HOUR_MS) hours.push(t);
+  return hours;
+};
+
+// Advance deliveries and drift from time `from` to `to` (ms)
+export const updateSupply = (supply, { from, to, dt, base, random }) => {
+  const { settings } = supply;
+  let { inventory, log } = supply;
+  let composition = supply.composition || base;
+  let incoming = driftComposition(supply.incoming || base, base, settings.drift, dt, random);
+
+  hoursCrossed(from, to).forEach(time => {
+    const date = new Date(time);
+    if (!settings.deliveryDays[date.getDay()] || !settings.deliveryHours.includes(date.getHours())) return;
+
+    let load = incoming;
+    if (random() < settings.contaminationRate) {
+      const keys = Object.keys(CONTAMINATION_EVENTS);
+      const key = keys[Math.floor(random() * keys.length) % keys.length];
+      const event = CONTAMINATION_EVENTS[key];
+      const [low, high] = event.amount;
+      const amount = low + random() * (high - low);
+      load = normalizeComposition(mix(load, 1 - amount, { [event.component]: 1 }, amount));
+      log = addLog(log, {
+        time,
+        kind: 'contamination',
+        severity: event.severity,
+        message: `${event.name}: ${(amount * 100).toFixed(0)}% ${event.component} in delivered load`,
+      });
+    }
+
+    const tonnes = settings.truckSize * (0.8 + random() * 0.4);
+    const accepted = Math.min(tonnes, settings.capacity - inventory);
+    if (accepted < tonnes) {
+      log = addLog(log, {
+        time,
+        kind: 'rejected',
+        severity: 'info',
+        message: `Feed store full: ${(tonnes - accepted).toFixed(1)} t turned away`,
+      });
+    }
+    if (accepted > 0) {
+      composition = mix(composition, inventory, load, accepted);
+      inventory += accepted;
+      log = addLog(log, { time, kind: 'delivery', severity: 'info', message: `Delivery: ${accepted.toFixed(1)} t` });
+    }
+  });
+
+  return { ...supply, inventory, composition, incoming, log };
+};
+
+// Feed rate (kg/h) the store can sustain over dt seconds
+export const maxSupplyRate = (supply, dt) => supply.inventory * 1000 / (dt / 3600);
+
+// Remove processed plastic (kg) from the store, logging a stockout once
+export const consumeFeed = (supply, kg, time) => {
+  const inventory = Math.max(0, supply.inventory - kg / 1000);
+  const log = inventory <= 0 && supply.inventory > 0
+    ? addLog(supply.log, { time, kind: 'stockout', severity: 'critical', message: 'Feed store empty: reactor starved' })
+    : supply.log;
+  return { ...supply, inventory, log };
+};
+
+// Active alarms: contaminated deliveries in the last day, plus the current
+// store level and composition
+export const getSupplyAlarms = (supply, now) => {
+  if (!supply.settings.enabled || !supply.composition) return [];
+  const alarms = supply.log
+    .filter(entry => entry.kind === 'contamination' && now - entry.time < 24 * HOUR_MS)
+    .map(({ severity, message }) => ({ severity, message }));
+  if (supply.inventory <= 0) {
+    alarms.push({ severity: 'critical', message: 'Feed stockout' });
+  } else if (supply.inventory < supply.settings.capacity * ALARM_LIMITS.lowInventory) {
+    alarms.push({ severity: 'warning', message: `Feed inventory low (${supply.inventory.toFixed(1)} t)` });
+  }
+  if ((supply.composition.PVC || 0) > ALARM_LIMITS.PVC) {
+    alarms.push({ severity: 'warning', message: `PVC ${(supply.composition.PVC * 100).toFixed(1)}% in feed: HCl in product gas` });
+  }
+  if ((supply.composition.Contaminants || 0) > ALARM_LIMITS.Contaminants) {
+    alarms.push({ severity: 'warning', message: `Contaminants ${(supply.composition.Contaminants * 100).toFixed(1)}% in feed: yields reduced` });
+  }
+  return alarms;
+};
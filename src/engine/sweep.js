@@ -0,0 +1,94 @@
+import { CONSTANTS } from './constants.js';
+import { runAnnualSimulation } from './annual.js';
+import { createHeliostats } from './heliostats.js';
+import { computeEconomics, createEconomicInputs } from './economics.js';
+import { scaleDispatch, scaleEconomicInputs } from './scenarios.js';
+
+// Plant sizing sweep: annual runs over a grid of field, reactor and storage
+// sizes for one site, with the configuration that best meets an objective.
+
+export const SWEEP_PARAMETERS = {
+  HELIOSTAT_COUNT: { label: 'Heliostats', unit: 'mirrors', min: 100, max: 10000, integer: true },
+  REACTOR_CAPACITY: { label: 'Reactor capacity', unit: 'kg/h', min: 50, max: 5000 },
+  STORAGE_TANK_VOLUME: { label: 'Storage volume', unit: 'm³', min: 500, max: 50000 },
+};
+
+export const SWEEP_OBJECTIVES = {
+  lcoh: { name: 'Minimize LCOH', value: point => point.economics.lcoh, better: 'low' },
+  hydrogen: { name: 'Maximize H₂ per year', value: point => point.annual.hydrogen, better: 'high' },
+};
+
+export const MAX_SWEEP_POINTS = 64;
+
+// Ranges around a plant design: half to one and a half times each size
+export const createSweepRanges = (plant = CONSTANTS) => Object.fromEntries(Object.keys(SWEEP_PARAMETERS).map(key => [key, {
+  from: plant[key] * 0.5,
+  to: plant[key] * 1.5,
+  steps: 3,
+}]));
+
+// Evenly spaced values from `from` to `to` inclusive
+export const sweepValues = (key, { from, to, steps }) => {
+  const count = Math.max(1, Math.round(steps));
+  return Array.from({ length: count }, (_, i) => {
+    const value = count === 1 ? from : from + (to - from) * i / (count - 1);
+    return SWEEP_PARAMETERS[key].integer ? Math.round(value) : value;
+  });
+};
+
+// Every combination of the swept values, as overrides of the plant design
+export const sweepGrid = (ranges) => Object.keys(SWEEP_PARAMETERS).reduce(
+  (grid, key) => grid.flatMap(point => sweepValues(key, ranges[key]).map(value => ({ ...point, [key]: value }))),
+  [{}]
+);
+
+// Best point for the objective; points without a finite value never win
+export const recommendConfiguration = (points, objective = 'lcoh') => {
+  const { value, better } = SWEEP_OBJECTIVES[objective];
+  return points.reduce((best, point) => {
+    const v = value(point);
+    if (!Number.isFinite(v)) return best;
+    if (!best) return point;
+    const b = value(best);
+    return (better === 'low' ? v < b : v > b) ? point : best;
+  }, null);
+};
+
+// Annual run for each grid point. Options are the runAnnualSimulation ones,
+// with `plant` the design each point resizes, plus `maintenance` settings for
+// heliostats built at each field size.
+export const runSweep = ({
+  ranges,
+  plant = CONSTANTS,
+  objective = 'lcoh',
+  stepsPerHour = 2,
+  economicInputs = createEconomicInputs(),
+  maintenance,
+  dispatch,
+  onProgress,
+  onPoint,
+  ...options
+}) => {
+  const grid = sweepGrid(ranges);
+  if (grid.length > MAX_SWEEP_POINTS) throw new Error(`Sweep has ${grid.length} points; the limit is ${MAX_SWEEP_POINTS}`);
+
+  const points = grid.map((constants, i) => {
+    const sized = { ...plant, ...constants };
+    const scaledDispatch = dispatch && scaleDispatch(dispatch, constants, plant);
+    const scaledInputs = scaleEconomicInputs(economicInputs, constants, plant);
+    const report = runAnnualSimulation({
+      ...options,
+      plant: sized,
+      stepsPerHour,
+      dispatch: scaledDispatch,
+      heliostats: createHeliostats(maintenance, sized.HELIOSTAT_COUNT),
+      onProgress: onProgress && (p => onProgress((i + p) / grid.length)),
+    });
+    const crews = report.maintenance.settings.repairCrews + report.maintenance.settings.cleaningCrews;
+    const point = { constants, annual: report.annual, economics: computeEconomics(scaledInputs, report.annual, crews, sized) };
+    if (onPoint) onPoint(point, i);
+    return point;
+  });
+
+  return { points, objective, best: recommendConfiguration(points, objective) };
+};
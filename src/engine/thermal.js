@@ -0,0 +1,27 @@
+import { CONSTANTS } from './constants.js';
+
+const RECEIVER_LOSS_COEFF = 0.04; // kW per m² of receiver panel per K above ambient, in still air
+const RECEIVER_WIND_LOSS = 0.1; // extra convective loss per m/s of wind, as a share of the still-air loss
+const RECEIVER_SURFACE_EXCESS = 50; // K the panel surface runs above the mean salt temperature
+
+// Thermal power absorbed by the receiver (MW), before its own heat losses
+// (receiverHeatLoss). fieldEfficiency is
+// the mean optical efficiency of the active mirrors from field.js; soiling
+// scales the clean-mirror reflectivity by cleanliness (0-1), and windEffect is
+// what wind-induced tracking error leaves of it (see wind.js). `plant` is the
+// run's design, the built-in one by default.
+export const calculateThermalPower = (dni, activeHeliostats, windEffect = 1, fieldEfficiency = 1, cleanliness = 1, plant = CONSTANTS) => {
+  const totalArea = activeHeliostats * plant.HELIOSTAT_AREA;
+  const opticalPower = totalArea * dni * fieldEfficiency * plant.MIRROR_REFLECTIVITY * cleanliness * windEffect;
+  const thermalPower = opticalPower * plant.RECEIVER_EFFICIENCY;
+  return thermalPower / 1e6;
+};
+
+// Radiation and convection from the receiver panels to the air (MW) while it
+// is in operation; the panels are taken as a cylinder as tall as it is wide
+export const receiverHeatLoss = (ambientTemp, windSpeed = 0, plant = CONSTANTS) => {
+  const area = 4 * Math.PI * plant.RECEIVER_RADIUS ** 2;
+  const surfaceTemp = (plant.SALT_TEMP_HOT + plant.SALT_TEMP_COLD) / 2 + RECEIVER_SURFACE_EXCESS;
+  const coefficient = RECEIVER_LOSS_COEFF * (1 + RECEIVER_WIND_LOSS * windSpeed);
+  return coefficient * area * Math.max(0, surfaceTemp - ambientTemp) / 1000;
+};
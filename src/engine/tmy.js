@@ -0,0 +1,199 @@
+// Typical meteorological year (TMY) weather files: EPW, NREL TMY3 CSV and
+// NSRDB PSM CSV. Every format is normalized to 8760 hour-beginning records
+// (index = (dayOfYear - 1) * 24 + hour) in local standard time.
+
+const HOURS_PER_YEAR = 8760;
+const CUMULATIVE_DAYS = [0, 31, 59, 90, 120, 151, 181, 212, 243, 273, 304, 334];
+
+const splitCsvLine = (line) => line.split(',').map(cell => cell.trim().replace(/^"|"$/g, ''));
+
+// Hour-of-year index for a calendar date, ignoring leap days
+const hourIndex = (month, day, hour) => (CUMULATIVE_DAYS[month - 1] + day - 1) * 24 + hour;
+
+const emptySeries = () => ({
+  dni: new Array(HOURS_PER_YEAR).fill(null),
+  temperature: new Array(HOURS_PER_YEAR).fill(null),
+  windSpeed: new Array(HOURS_PER_YEAR).fill(null),
+  skyCover: new Array(HOURS_PER_YEAR).fill(null),
+});
+
+// Fill gaps (missing rows or flagged values) from the previous valid hour
+const fillGaps = (values, fallback) => {
+  let last = values.find(v => v !== null);
+  if (last === undefined) last = fallback;
+  return values.map(v => {
+    if (v === null) return last;
+    last = v;
+    return v;
+  });
+};
+
+const finalize = (meta, series, rows) => {
+  if (rows < HOURS_PER_YEAR * 0.9) {
+    throw new Error(`Weather file has ${rows} hourly rows; expected a full year (${HOURS_PER_YEAR})`);
+  }
+  const dni = fillGaps(series.dni, 0).map(v => Math.max(0, v));
+  const annualDni = dni.reduce((sum, v) => sum + v, 0) / 365 / 1000;
+  return {
+    ...meta,
+    hours: HOURS_PER_YEAR,
+    dni,
+    temperature: fillGaps(series.temperature, 20),
+    windSpeed: fillGaps(series.windSpeed, 0).map(v => Math.max(0, v)),
+    skyCover: fillGaps(series.skyCover, 0),
+    annualDni, // kWh/m²/day, comparable to SOLAR_DATA dni
+  };
+};
+
+// Reject the sentinel values weather files use for missing data
+const reading = (text, missing) => {
+  const value = parseFloat(text);
+  if (!Number.isFinite(value) || value >= missing) return null;
+  return value;
+};
+
+// EnergyPlus weather format
+export const parseEPW = (text, fileName = 'weather.epw') => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  const header = splitCsvLine(lines[0]);
+  if (header[0].toUpperCase() !== 'LOCATION') {
+    throw new Error('Not an EPW file: first line must start with LOCATION');
+  }
+  const meta = {
+    name: [header[1], header[3]].filter(Boolean).join(', ') || fileName,
+    source: `EPW (${fileName})`,
+    lat: parseFloat(header[6]),
+    lon: parseFloat(header[7]),
+    tz: parseFloat(header[8]),
+  };
+
+  const series = emptySeries();
+  let rows = 0;
+  lines.slice(8).forEach(line => {
+    const cells = splitCsvLine(line);
+    if (cells.length < 23) return;
+    const month = parseInt(cells[1], 10);
+    const day = parseInt(cells[2], 10);
+    const hour = parseInt(cells[3], 10) - 1; // EPW hours are 1-24, hour ending
+    if (month === 2 && day === 29) return;
+    const i = hourIndex(month, day, hour);
+    if (!(i >= 0 && i < HOURS_PER_YEAR)) return;
+    series.temperature[i] = reading(cells[6], 99.9);
+    series.dni[i] = reading(cells[14], 9999);
+    series.windSpeed[i] = reading(cells[21], 999);
+    const skyCover = reading(cells[22], 99);
+    series.skyCover[i] = skyCover === null ? null : skyCover * 10; // tenths -> %
+    rows++;
+  });
+  return finalize(meta, series, rows);
+};
+
+// Column lookup by header name, tolerant of unit suffixes and case
+const findColumn = (headers, patterns) =>
+  headers.findIndex(h => patterns.some(p => p.test(h)));
+
+// NREL TMY3 and NSRDB PSM CSV files
+export const parseTMYCsv = (text, fileName = 'weather.csv') => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  const headerRow = lines.findIndex(line => {
+    const cells = splitCsvLine(line);
+    return cells.some(c => /^dni( \(.*\))?$/i.test(c)) && cells.some(c => /^(month|date)\b/i.test(c));
+  });
+  if (headerRow < 1) {
+    throw new Error('No DNI column found: expected an NSRDB or TMY3 CSV file');
+  }
+  const headers = splitCsvLine(lines[headerRow]);
+  const meta = { name: fileName, source: `CSV (${fileName})`, lat: NaN, lon: NaN, tz: NaN };
+
+  if (headerRow === 1) {
+    // TMY3: single metadata row "USAF,Name,State,TZ,lat,lon,elev"
+    const cells = splitCsvLine(lines[0]);
+    meta.name = [cells[1], cells[2]].filter(Boolean).join(', ');
+    meta.source = `TMY3 (${fileName})`;
+    meta.tz = parseFloat(cells[3]);
+    meta.lat = parseFloat(cells[4]);
+    meta.lon = parseFloat(cells[5]);
+  } else {
+    // NSRDB: metadata key row followed by a value row
+    const keys = splitCsvLine(lines[0]);
+    const values = splitCsvLine(lines[1]);
+    const field = (pattern) => values[findColumn(keys, [pattern])];
+    meta.name = [field(/^city$/i), field(/^country$/i)].filter(Boolean).join(', ') || fileName;
+    meta.source = `NSRDB (${fileName})`;
+    meta.lat = parseFloat(field(/^latitude$/i));
+    meta.lon = parseFloat(field(/^longitude$/i));
+    meta.tz = parseFloat(field(/^(local )?time zone$/i));
+  }
+
+  const col = {
+    date: findColumn(headers, [/^date/i]),
+    time: findColumn(headers, [/^time/i]),
+    month: findColumn(headers, [/^month$/i]),
+    day: findColumn(headers, [/^day$/i]),
+    hour: findColumn(headers, [/^hour$/i]),
+    dni: findColumn(headers, [/^dni\b/i]),
+    temperature: findColumn(headers, [/^dry-bulb/i, /^temperature/i]),
+    windSpeed: findColumn(headers, [/^wspd/i, /^wind speed/i]),
+    skyCover: findColumn(headers, [/^totcld/i]),
+  };
+
+  const series = emptySeries();
+  let rows = 0;
+  lines.slice(headerRow + 1).forEach(line => {
+    const cells = splitCsvLine(line);
+    let month;
+    let day;
+    let hour;
+    if (col.date >= 0 && col.time >= 0) {
+      // TMY3: MM/DD/YYYY and HH:MM hour ending (01:00-24:00)
+      [month, day] = cells[col.date].split('/').map(Number);
+      hour = parseInt(cells[col.time], 10) - 1;
+    } else {
+      // NSRDB: hour beginning (0-23)
+      month = parseInt(cells[col.month], 10);
+      day = parseInt(cells[col.day], 10);
+      hour = parseInt(cells[col.hour], 10);
+    }
+    if (month === 2 && day === 29) return;
+    const i = hourIndex(month, day, hour);
+    if (!(i >= 0 && i < HOURS_PER_YEAR)) return;
+    series.dni[i] = reading(cells[col.dni], 9999);
+    if (col.temperature >= 0) series.temperature[i] = reading(cells[col.temperature], 999);
+    if (col.windSpeed >= 0) series.windSpeed[i] = reading(cells[col.windSpeed], 999);
+    if (col.skyCover >= 0) {
+      const skyCover = reading(cells[col.skyCover], 99);
+      series.skyCover[i] = skyCover === null ? null : skyCover * 10;
+    }
+    rows++;
+  });
+  return finalize(meta, series, rows);
+};
+
+// Pick the parser from the file name or contents
+export const parseWeatherFile = (text, fileName = '') => {
+  if (/\.epw$/i.test(fileName) || /^\s*LOCATION,/i.test(text)) {
+    return parseEPW(text, fileName || 'weather.epw');
+  }
+  return parseTMYCsv(text, fileName || 'weather.csv');
+};
+
+// Site record compatible with SOLAR_DATA entries
+export const getTmySite = (tmy) => ({
+  dni: Number(tmy.annualDni.toFixed(2)),
+  lat: tmy.lat,
+  lon: tmy.lon,
+  tz: tmy.tz,
+});
+
+// Measured conditions for a calendar date and local clock time
+export const getTmyConditions = (tmy, date, hour) => {
+  const month = date.getMonth() + 1;
+  const day = month === 2 && date.getDate() === 29 ? 28 : date.getDate();
+  const i = hourIndex(month, day, Math.floor(hour) % 24);
+  return {
+    dni: tmy.dni[i],
+    ambientTemp: tmy.temperature[i],
+    windSpeed: tmy.windSpeed[i],
+    cloudCover: tmy.skyCover[i],
+  };
+};
@@ -0,0 +1,127 @@
+import { DAY_TYPES, getClimate, dayTypeShares, nextDayType, monthlyTemperature } from './climate.js';
+import { skyTransmission } from './solar.js';
+
+// Synthetic weather from the site climatology (climate.js), drawn from the
+// seeded generator. Each day gets its sky from a Markov chain and, at desert
+// sites, sometimes a sandstorm; cloud cover and wind wander around that day's
+// levels, and air temperature follows the monthly mean with a daily cycle.
+
+const HOUR_MS = 3600000;
+const CLOUD_HOURS = 1; // how quickly cloud cover forgets its past value
+const WIND_HOURS = 0.5;
+const WIND_VARIABILITY = 0.25; // spread of the wind around its mean, as a share of it
+const GUSTS_PER_HOUR = 0.2;
+const DIURNAL_WIND = 0.35; // afternoon wind this much above the daily mean, night below
+const WARMEST_HOUR = 15;
+const ANOMALY_PERSISTENCE = 0.7; // share of yesterday's temperature anomaly carried over
+const ANOMALY_SPREAD = 2.5; // K, spread of daily temperature anomalies
+const STORM_START = [10, 18]; // h, range of sandstorm start times
+const STORM_HOURS = [2, 8]; // range of sandstorm lengths
+const STORM_PEAK = [0.4, 1]; // range of peak dust
+
+export const createWeather = () => ({
+  cloudCover: 0, // 0-100%
+  windSpeed: 0, // m/s
+  ambientTemp: 20, // °C
+  day: null, // ms, the day the sky below was drawn for
+  dayType: null, // see DAY_TYPES
+  tempAnomaly: 0, // K, today's departure from the monthly mean
+  dust: 0, // airborne dust, 0-1
+  sandstorm: null, // current or coming sandstorm: { start, end } ms and peak dust
+});
+
+// Zero-mean, unit-variance noise (uniform is cheap and good enough here)
+const noise = (random) => (random() - 0.5) * Math.sqrt(12);
+
+// Mean-reverting step: relax towards `mean` over `tau` hours, keeping a
+// long-run spread of `spread` whatever the step length
+const wander = (value, mean, spread, hours, tau, random) => {
+  const decay = Math.exp(-hours / tau);
+  return mean + (value - mean) * decay + spread * Math.sqrt(1 - decay * decay) * noise(random);
+};
+
+// Point `share` (0-1) of the way across a [low, high] range
+const between = ([low, high], share) => low + (high - low) * share;
+
+// Dust in the air at `now`: a sandstorm builds up to its peak and dies away
+export const sandstormDust = (sandstorm, now) => {
+  if (!sandstorm || now <= sandstorm.start || now >= sandstorm.end) return 0;
+  return sandstorm.peak * Math.sin(Math.PI * (now - sandstorm.start) / (sandstorm.end - sandstorm.start));
+};
+
+// A new day's sky, temperature anomaly and, at desert sites, perhaps an
+// afternoon sandstorm (one at a time)
+const startDay = (weather, climate, date, random) => {
+  const month = date.getMonth();
+  const day = date.getTime();
+  const dayType = nextDayType(climate, month, weather.dayType, random);
+  const tempAnomaly = ANOMALY_PERSISTENCE * weather.tempAnomaly
+    + ANOMALY_SPREAD * Math.sqrt(1 - ANOMALY_PERSISTENCE ** 2) * noise(random);
+
+  let { sandstorm } = weather;
+  const daysInMonth = new Date(date.getFullYear(), month + 1, 0).getDate();
+  const stormOver = !sandstorm || sandstorm.end <= day;
+  if (stormOver && climate.dustDays[month] > 0 && random() < climate.dustDays[month] / daysInMonth) {
+    const start = day + between(STORM_START, random()) * HOUR_MS;
+    sandstorm = { start, end: start + between(STORM_HOURS, random()) * HOUR_MS, peak: between(STORM_PEAK, random()) };
+  } else if (stormOver) {
+    sandstorm = null;
+  }
+  return { ...weather, day, dayType, tempAnomaly, sandstorm };
+};
+
+// Weather at the local clock time of `date` (midnight) plus hour and minute,
+// dt seconds after `weather`; `now` is the same time in ms
+export const updateWeather = (weather, { location, date, hour, minute, now, dt, random }) => {
+  const climate = getClimate(location);
+  const today = weather.day === date.getTime() ? weather : startDay(weather, climate, date, random);
+  const sky = DAY_TYPES[today.dayType];
+  const hours = dt / 3600;
+  const cycle = Math.cos(2 * Math.PI * (hour + minute / 60 - WARMEST_HOUR) / 24);
+
+  const cloudCover = Math.min(100, Math.max(0, wander(weather.cloudCover, sky.cloud, sky.variability, hours, CLOUD_HOURS, random)));
+  const ambientTemp = monthlyTemperature(climate, date) + today.tempAnomaly + climate.tempRange * sky.tempRange * cycle / 2;
+
+  // A sandstorm drives the wind up past the day's usual level
+  const dust = sandstormDust(today.sandstorm, now);
+  const meanWind = Math.max(climate.wind * sky.wind * (1 + DIURNAL_WIND * cycle), dust > 0 ? 8 + 14 * dust : 0);
+  let windSpeed = wander(weather.windSpeed, meanWind, WIND_VARIABILITY * meanWind, hours, WIND_HOURS, random);
+  if (random() < 1 - Math.exp(-GUSTS_PER_HOUR * hours)) windSpeed *= 1.2 + 0.4 * random();
+
+  return { ...today, cloudCover, windSpeed: Math.max(0, windSpeed), ambientTemp, dust };
+};
+
+// Share of a day's direct beam a sandstorm takes, averaged over the storms
+// startDay draws, against a daylight beam peaking at noon
+const stormDayLoss = () => {
+  const steps = 8;
+  const peak = between(STORM_PEAK, 0.5); // the loss is linear in the peak
+  let beam = 0;
+  let lost = 0;
+  for (let i = 0; i < steps; i++) {
+    for (let j = 0; j < steps; j++) {
+      const start = between(STORM_START, (i + 0.5) / steps);
+      const storm = { start, end: start + between(STORM_HOURS, (j + 0.5) / steps), peak };
+      for (let hour = 6.05; hour < 18; hour += 0.1) {
+        const clear = Math.sin(Math.PI * (hour - 6) / 12);
+        beam += clear;
+        lost += clear * (1 - skyTransmission(0, sandstormDust(storm, hour)));
+      }
+    }
+  }
+  return lost / beam;
+};
+const STORM_DAY_LOSS = stormDayLoss();
+
+// Expected share of the clear-sky beam the synthetic weather lets through in
+// each month at a site: its mix of day types and its sandstorm days. Solar
+// calibration uses this so the weather averages out to the site's annual DNI.
+export const expectedSkyFactors = (location) => {
+  const climate = getClimate(location);
+  return climate.temp.map((_, month) => {
+    const shares = dayTypeShares(climate, month);
+    const cloud = Object.keys(DAY_TYPES).reduce((sum, type) => sum + shares[type] * skyTransmission(DAY_TYPES[type].cloud), 0);
+    const daysInMonth = new Date(2001, month + 1, 0).getDate();
+    return cloud * (1 - STORM_DAY_LOSS * climate.dustDays[month] / daysInMonth);
+  });
+};
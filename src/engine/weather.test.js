@@ -0,0 +1,73 @@
+import { SOLAR_DATA } from './constants.js';
+import { SITE_CLIMATES, getClimate, dayTypeShares, nextDayType, monthlyTemperature } from './climate.js';
+import { calculateSunParameters, getDayOfYear } from './solar.js';
+import { createRng } from './random.js';
+import { createWeather, updateWeather, expectedSkyFactors } from './weather.js';
+
+const HOUR_MS = 3600000;
+
+// A year of hourly synthetic weather at a site, one reading per hour at half past
+const weatherYear = (location, seed = 1) => {
+  const random = createRng(seed);
+  const hours = [];
+  let weather = createWeather();
+  for (let day = 0; day < 365; day++) {
+    const date = new Date(2025, 0, day + 1);
+    for (let hour = 0; hour < 24; hour++) {
+      weather = updateWeather(weather, { location, date, hour, minute: 30, now: date.getTime() + (hour + 0.5) * HOUR_MS, dt: 3600, random });
+      hours.push({ date, hour, weather });
+    }
+  }
+  return hours;
+};
+
+describe('synthetic weather', () => {
+  it('draws day types in the monthly shares', () => {
+    const climate = getClimate('Seville, Spain');
+    const random = createRng(7);
+    const counts = { clear: 0, partly: 0, overcast: 0 };
+    let dayType = null;
+    for (let i = 0; i < 20000; i++) {
+      dayType = nextDayType(climate, 0, dayType, random);
+      counts[dayType]++;
+    }
+    const shares = dayTypeShares(climate, 0);
+    Object.keys(counts).forEach(type => expect(counts[type] / 20000).toBeCloseTo(shares[type], 1));
+  });
+
+  it('raises sandstorms only at desert sites', () => {
+    const calm = weatherYear('Seville, Spain');
+    expect(calm.every(({ weather }) => weather.dust === 0 && weather.sandstorm === null)).toBe(true);
+
+    const desert = weatherYear('Riyadh, Saudi Arabia');
+    const stormDays = new Set(desert.filter(({ weather }) => weather.dust > 0).map(({ date }) => date.getTime()));
+    const expected = SITE_CLIMATES['Riyadh, Saudi Arabia'].dustDays.reduce((sum, days) => sum + days, 0);
+    expect(stormDays.size).toBeGreaterThan(expected / 2);
+    expect(stormDays.size).toBeLessThan(expected * 2);
+  });
+
+  it('follows the monthly mean temperature', () => {
+    const climate = getClimate('Riyadh, Saudi Arabia');
+    expect(monthlyTemperature(climate, new Date(2025, 6, 16))).toBeCloseTo(climate.temp[6], 0);
+
+    const july = weatherYear('Riyadh, Saudi Arabia').filter(({ date }) => date.getMonth() === 6);
+    const mean = july.reduce((sum, { weather }) => sum + weather.ambientTemp, 0) / july.length;
+    expect(Math.abs(mean - climate.temp[6])).toBeLessThan(2);
+  });
+
+  it('repeats exactly for the same seed', () => {
+    const first = weatherYear('Dubai, UAE', 3).slice(0, 500);
+    const second = weatherYear('Dubai, UAE', 3).slice(0, 500);
+    expect(second).toEqual(first);
+  });
+
+  // All-sky calibration: a year of the site's own weather should deliver about
+  // its annual DNI (kWh/m²/day), give or take one year's luck with the sky
+  it.each(Object.keys(SOLAR_DATA))('averages out to the annual DNI of %s', (location) => {
+    const site = { ...SOLAR_DATA[location], skyFactors: expectedSkyFactors(location) };
+    const total = weatherYear(location).reduce((sum, { date, hour, weather }) =>
+      sum + calculateSunParameters(site, hour, 30, getDayOfYear(date), weather.cloudCover, weather.dust).dni, 0);
+    const annual = total / 365 / 1000;
+    expect(Math.abs(annual / site.dni - 1)).toBeLessThan(0.05);
+  });
+});
@@ -0,0 +1,113 @@
+import { failHeliostats, HELIOSTAT_STATUS } from './heliostats.js';
+
+// Heliostat field wind protection: the field drives to its flat stow position
+// above a stow wind speed and back to tracking once the wind has stayed low
+// for a while. Below stow, tracking error grows with wind; extreme gusts
+// break mirrors, stowed ones far less often. Speeds in m/s.
+
+const HOUR_MS = 3600000;
+const STOWED_DAMAGE_SHARE = 0.1; // stowed mirrors see this fraction of the tracking damage rate
+
+export const createWindSettings = () => ({
+  stowSpeed: 15, // field stows at or above this
+  resumeSpeed: 10, // and tracks again after holdMinutes below this
+  holdMinutes: 30,
+  stowMinutes: 10, // drive time from tracking to stow
+  unstowMinutes: 15, // and back
+  errorOnset: 4, // tracking error grows above this
+  errorPerSpeed: 0.005, // optical loss per m/s above the onset
+  damageSpeed: 25, // mirrors start breaking above this
+  damageRate: 0.002, // share of tracking mirrors broken per hour, per m/s above damageSpeed
+});
+
+export const createWind = (settings = createWindSettings()) => ({
+  settings,
+  status: 'tracking', // 'stowing' | 'stowed' | 'unstowing'
+  stowed: 0, // share of the field at stow (0-1), ramping over the drive times
+  calmSince: null, // ms, wind below the resume speed since
+  stats: { stows: 0, stowedHours: 0, damaged: 0, peakWind: 0 },
+});
+
+// Optical efficiency left after wind-induced tracking error (0-1)
+export const windOpticalFactor = (settings, windSpeed) =>
+  Math.max(0, 1 - settings.errorPerSpeed * Math.max(0, windSpeed - settings.errorOnset));
+
+// Whether mirror i is at stow: mirrors reach stow in a fixed scattered order
+// (the drives don't all start together), so the field grid shows the ramp
+export const isMirrorStowed = (wind, i) => wind.stowed > 0 && (i * 0.618034) % 1 < wind.stowed;
+
+// Broken mirrors for this step, rounded stochastically so small expected
+// counts still happen at the right rate; no draw when none are expected
+const damageCount = (wind, windSpeed, heliostats, hours, random) => {
+  const { damageSpeed, damageRate } = wind.settings;
+  if (windSpeed <= damageSpeed) return 0;
+  const operational = heliostats.status.filter(status => status === HELIOSTAT_STATUS.OK).length;
+  const exposure = 1 - wind.stowed * (1 - STOWED_DAMAGE_SHARE);
+  return Math.floor(operational * damageRate * (windSpeed - damageSpeed) * hours * exposure + random());
+};
+
+// Stow drive transitions and wind damage over dt seconds. Broken mirrors go
+// to the repair queue, so the heliostats come back alongside the wind state;
+// a calm step while tracking returns the same wind state.
+export const updateWind = (wind, { windSpeed, heliostats, now, dt, random }) => {
+  const { settings } = wind;
+  const hours = dt / 3600;
+  let { status, stowed, calmSince } = wind;
+  let stows = wind.stats.stows;
+
+  if (windSpeed >= settings.stowSpeed) {
+    if (status === 'tracking') stows++;
+    if (status !== 'stowed') status = 'stowing';
+    calmSince = null;
+  } else if (status === 'stowed' || status === 'stowing') {
+    calmSince = windSpeed < settings.resumeSpeed ? (calmSince === null ? now : calmSince) : null;
+    if (status === 'stowed' && calmSince !== null && now - calmSince >= settings.holdMinutes * 60000) status = 'unstowing';
+  }
+
+  if (status === 'stowing') {
+    stowed = Math.min(1, stowed + dt / 60 / settings.stowMinutes);
+    if (stowed === 1) status = 'stowed';
+  } else if (status === 'unstowing') {
+    stowed = Math.max(0, stowed - dt / 60 / settings.unstowMinutes);
+    if (stowed === 0) {
+      status = 'tracking';
+      calmSince = null;
+    }
+  }
+
+  let field = heliostats;
+  let damaged = 0;
+  const count = damageCount({ ...wind, stowed }, windSpeed, heliostats, hours, random);
+  if (count > 0) {
+    const failed = failHeliostats(heliostats, count, { now, random });
+    field = failed.heliostats;
+    damaged = failed.mirrors.length;
+  }
+
+  if (status === wind.status && stowed === 0 && damaged === 0 && windSpeed <= wind.stats.peakWind) return { wind, heliostats };
+  return {
+    wind: {
+      ...wind,
+      status,
+      stowed,
+      calmSince,
+      stats: {
+        stows,
+        stowedHours: wind.stats.stowedHours + stowed * hours,
+        damaged: wind.stats.damaged + damaged,
+        peakWind: Math.max(wind.stats.peakWind, windSpeed),
+      },
+    },
+    heliostats: field,
+  };
+};
+
+// How long until the field tracks again, in hours, or null when not stowed
+export const hoursToTracking = (wind, now) => {
+  const { settings, status, stowed, calmSince } = wind;
+  if (status === 'tracking') return null;
+  const drive = stowed * settings.unstowMinutes / 60;
+  if (status === 'unstowing') return drive;
+  if (calmSince === null) return null; // still too windy to say
+  return Math.max(0, calmSince + settings.holdMinutes * 60000 - now) / HOUR_MS + drive;
+};
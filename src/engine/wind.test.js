@@ -0,0 +1,103 @@
+import { createHeliostats, HELIOSTAT_STATUS } from './heliostats.js';
+import { createRng } from './random.js';
+import { createWind, createWindSettings, updateWind, windOpticalFactor, isMirrorStowed, hoursToTracking } from './wind.js';
+
+const MINUTE_MS = 60000;
+
+// Run the wind state through a series of wind speeds, dt seconds apart
+const blow = (wind, speeds, { heliostats = createHeliostats(undefined, 100), dt = 300, start = 0, random = createRng(1) } = {}) => {
+  let now = start;
+  let current = { wind, heliostats };
+  speeds.forEach(windSpeed => {
+    now += dt * 1000;
+    current = updateWind(current.wind, { windSpeed, heliostats: current.heliostats, now, dt, random });
+  });
+  return { ...current, now };
+};
+
+describe('heliostat wind stow', () => {
+  it('leaves a calm tracking field untouched', () => {
+    const wind = createWind();
+    const heliostats = createHeliostats(undefined, 100);
+    const result = updateWind(wind, { windSpeed: 0, heliostats, now: 0, dt: 300, random: createRng(1) });
+    expect(result.wind).toBe(wind);
+    expect(result.heliostats).toBe(heliostats);
+  });
+
+  it('stows at the stow speed, driving over the stow time', () => {
+    const { stowSpeed, stowMinutes } = createWindSettings();
+    const dt = stowMinutes * 30; // half the drive per step
+    let { wind } = blow(createWind(), [stowSpeed], { dt });
+    expect(wind.status).toBe('stowing');
+    expect(wind.stowed).toBe(0.5);
+    expect(isMirrorStowed(wind, 0)).toBe(true);
+    expect(isMirrorStowed(wind, 1)).toBe(false);
+
+    ({ wind } = blow(wind, [stowSpeed], { dt }));
+    expect(wind.status).toBe('stowed');
+    expect(wind.stowed).toBe(1);
+    expect(wind.stats.stows).toBe(1);
+    expect(wind.stats.peakWind).toBe(stowSpeed);
+
+    ({ wind } = blow(createWind(), [stowSpeed - 0.1], { dt }));
+    expect(wind.status).toBe('tracking');
+  });
+
+  it('tracks again only after the hold time below the resume speed', () => {
+    const settings = createWindSettings();
+    const dt = settings.unstowMinutes * 30;
+    const stowed = blow(createWind(), [20, 20], { dt: settings.stowMinutes * 30 });
+    expect(stowed.wind.status).toBe('stowed');
+
+    // Wind between the resume and stow speeds keeps the field stowed
+    const gusty = blow(stowed.wind, Array(10).fill(settings.resumeSpeed + 1), { dt, start: stowed.now });
+    expect(gusty.wind.status).toBe('stowed');
+    expect(gusty.wind.calmSince).toBeNull();
+    expect(hoursToTracking(gusty.wind, gusty.now)).toBeNull();
+
+    const calmSteps = settings.holdMinutes * 60 / dt;
+    let calm = blow(gusty.wind, Array(calmSteps).fill(5), { dt, start: gusty.now });
+    expect(calm.wind.status).toBe('stowed');
+    const calmSince = gusty.now + dt * 1000;
+    expect(calm.wind.calmSince).toBe(calmSince);
+    expect(hoursToTracking(calm.wind, calm.now)).toBeCloseTo((calmSince + settings.holdMinutes * MINUTE_MS - calm.now) / 3600000 + settings.unstowMinutes / 60, 9);
+
+    calm = blow(calm.wind, [5], { dt, start: calm.now });
+    expect(calm.wind.status).toBe('unstowing');
+    expect(calm.wind.stowed).toBe(0.5);
+
+    calm = blow(calm.wind, [5], { dt, start: calm.now });
+    expect(calm.wind.status).toBe('tracking');
+    expect(calm.wind.stowed).toBe(0);
+    expect(calm.wind.calmSince).toBeNull();
+    expect(hoursToTracking(calm.wind, calm.now)).toBeNull();
+  });
+
+  it('loses optics to tracking error above the onset speed', () => {
+    const settings = createWindSettings();
+    expect(windOpticalFactor(settings, settings.errorOnset)).toBe(1);
+    expect(windOpticalFactor(settings, settings.errorOnset + 10)).toBeCloseTo(1 - 10 * settings.errorPerSpeed, 9);
+    expect(windOpticalFactor(settings, 1000)).toBe(0);
+  });
+
+  it('breaks mirrors above the damage speed, stowed ones far less often', () => {
+    const settings = createWindSettings();
+    const windSpeed = settings.damageSpeed + 10;
+    const field = createHeliostats(undefined, 1000);
+    const expected = 1000 * settings.damageRate * 10;
+
+    // A field that never stows takes the full damage rate
+    const exposed = blow(createWind({ ...settings, stowSpeed: 100 }), [windSpeed], { heliostats: field, dt: 3600 });
+    expect(exposed.wind.stats.damaged).toBe(expected);
+    expect(exposed.heliostats.status.filter(status => status === HELIOSTAT_STATUS.OK)).toHaveLength(1000 - expected);
+    expect(exposed.heliostats.queue.repair).toHaveLength(expected);
+
+    const stowed = blow(createWind(settings), [windSpeed], { heliostats: field, dt: 3600 });
+    expect(stowed.wind.status).toBe('stowed');
+    expect(stowed.wind.stats.damaged).toBeLessThanOrEqual(Math.ceil(expected * 0.1));
+
+    const belowDamage = blow(createWind(settings), [settings.damageSpeed], { heliostats: field, dt: 3600 });
+    expect(belowDamage.wind.stats.damaged).toBe(0);
+    expect(belowDamage.heliostats).toBe(field);
+  });
+});
@@ -0,0 +1,27 @@
+// JSON values in localStorage; storage may be unavailable (private mode, quota)
+export const loadJSON = (key, fallback) => {
+  try {
+    const text = window.localStorage.getItem(key);
+    return text === null ? fallback : JSON.parse(text);
+  } catch (err) {
+    return fallback;
+  }
+};
+
+// True when stored; false when storage refused it (the in-memory value still applies)
+export const saveJSON = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+export const removeJSON = (key) => {
+  try {
+    window.localStorage.removeItem(key);
+  } catch (err) {
+    // Nothing stored to remove
+  }
+};
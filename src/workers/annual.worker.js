@@ -0,0 +1,16 @@
+import { runAnnualSimulation } from '../engine';
+
+// Runs the full-year simulation off the UI thread
+globalThis.addEventListener('message', (event) => {
+  try {
+    // The UI's plant design comes along in the options as `plant`
+    const options = event.data;
+    const result = runAnnualSimulation({
+      ...options,
+      onProgress: progress => postMessage({ type: 'progress', progress }),
+    });
+    postMessage({ type: 'result', result });
+  } catch (err) {
+    postMessage({ type: 'error', message: err.message });
+  }
+});
@@ -0,0 +1,18 @@
+import { runScenarios } from '../engine';
+
+// Runs a batch of comparison scenarios off the UI thread, posting each
+// result as soon as it finishes
+globalThis.addEventListener('message', (event) => {
+  try {
+    // The UI's plant design comes along in the options as `plant`
+    const options = event.data;
+    const results = runScenarios({
+      ...options,
+      onProgress: progress => postMessage({ type: 'progress', progress }),
+      onResult: (result, index) => postMessage({ type: 'scenario', result, index }),
+    });
+    postMessage({ type: 'result', results });
+  } catch (err) {
+    postMessage({ type: 'error', message: err.message });
+  }
+});
@@ -0,0 +1,18 @@
+import { runSweep } from '../engine';
+
+// Runs the plant sizing sweep off the UI thread, posting each configuration
+// as soon as its annual run finishes
+globalThis.addEventListener('message', (event) => {
+  try {
+    // The UI's plant design comes along in the options as `plant`
+    const options = event.data;
+    const result = runSweep({
+      ...options,
+      onProgress: progress => postMessage({ type: 'progress', progress }),
+      onPoint: (point, index) => postMessage({ type: 'point', point, index }),
+    });
+    postMessage({ type: 'result', result });
+  } catch (err) {
+    postMessage({ type: 'error', message: err.message });
+  }
+});